@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import os from 'os';
+import { parseArgs } from 'util';
+import winston from 'winston';
+import logger from './utils/logger';
+import scanner from './services/scanner';
+import ocrService from './services/ocr';
+import pdfWorkerPool from './services/pdfWorkerPool';
+import { REPORT_FORMATS, ReportFormat, formatReport } from './utils/reportFormats';
+import { RiskLevel } from './types';
+
+/**
+ * Command-line scanner for CI
+ *
+ * Scans documentation folders and release artifacts with the same
+ * extractors and detectors as the server, without running it:
+ *
+ *   pdf-secret-inspector scan docs/ "dist/**\/*.pdf" --format sarif -o secrets.sarif
+ *
+ * Exit codes: 0 clean, 1 findings at or above --fail-on, 2 bad usage or a
+ * file that couldn't be scanned.
+ */
+
+export const EXIT_CLEAN = 0;
+export const EXIT_FINDINGS = 1;
+export const EXIT_ERROR = 2;
+
+const FAIL_ON_LEVELS = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL', 'NEVER'];
+
+const USAGE = `Usage: pdf-secret-inspector scan <paths...> [options]
+
+Scans files, directories (recursively) and globs for secrets and personal data.
+
+Options:
+  -f, --format <format>      text, json, sarif or junit (default: text)
+  -o, --output <file>        write the report to a file instead of stdout
+      --fail-on <level>      exit 1 on findings at or above LOW, MEDIUM, HIGH
+                             or CRITICAL, or NEVER (default: HIGH)
+      --baseline <file>      accepted findings; reported, but never fail the scan
+      --write-baseline <file>  accept everything found now and write it as a baseline
+  -j, --concurrency <n>      files scanned at once (default: number of CPUs, max 8)
+  -v, --verbose              log progress to stderr
+  -h, --help                 show this help
+      --version              print the version
+
+Set PROMPT_SECURITY_API_URL and PROMPT_SECURITY_APP_ID to use Prompt Security
+as the server does; otherwise only the local patterns run.
+`;
+
+/**
+ * Run the CLI
+ *
+ * @param argv - Arguments after the executable and script name
+ * @returns The exit code
+ */
+export async function main(argv: string[]): Promise<number> {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        format: { type: 'string', short: 'f', default: 'text' },
+        output: { type: 'string', short: 'o' },
+        'fail-on': { type: 'string', default: 'HIGH' },
+        baseline: { type: 'string' },
+        'write-baseline': { type: 'string' },
+        concurrency: { type: 'string', short: 'j' },
+        verbose: { type: 'boolean', short: 'v', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+        version: { type: 'boolean', default: false }
+      }
+    });
+  } catch (error) {
+    return usageError(error instanceof Error ? error.message : 'Invalid arguments');
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...paths] = positionals;
+
+  if (values.version) {
+    process.stdout.write(`${process.env.npm_package_version || '1.0.0'}\n`);
+    return EXIT_CLEAN;
+  }
+  if (values.help || !command) {
+    process.stdout.write(USAGE);
+    return values.help ? EXIT_CLEAN : EXIT_ERROR;
+  }
+  if (command !== 'scan') {
+    return usageError(`Unknown command "${command}"`);
+  }
+  if (paths.length === 0) {
+    return usageError('Give at least one file, directory or glob to scan');
+  }
+
+  const format = values.format as ReportFormat;
+  if (!REPORT_FORMATS.includes(format)) {
+    return usageError(`--format must be one of ${REPORT_FORMATS.join(', ')}`);
+  }
+
+  const failOnValue = (values['fail-on'] as string).toUpperCase();
+  if (!FAIL_ON_LEVELS.includes(failOnValue)) {
+    return usageError(`--fail-on must be one of ${FAIL_ON_LEVELS.join(', ')}`);
+  }
+  const failOn = failOnValue === 'NEVER' ? null : failOnValue as RiskLevel;
+
+  const concurrency = values.concurrency !== undefined
+    ? parseInt(values.concurrency, 10)
+    : Math.min(os.cpus().length || 1, 8);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    return usageError('--concurrency must be a positive number');
+  }
+
+  quietLogger(values.verbose as boolean);
+
+  try {
+    const baseline = values.baseline ? scanner.loadBaseline(values.baseline) : undefined;
+    const files = scanner.resolvePaths(paths);
+    if (files.length === 0) {
+      process.stderr.write(`No supported files found in ${paths.join(', ')}\n`);
+      return EXIT_ERROR;
+    }
+
+    logger.info(`Scanning ${files.length} files, ${concurrency} at a time`);
+    const report = await scanner.scan(files, { concurrency, ...(baseline && { baseline }) });
+    const errors = report.files.filter(file => file.error).length;
+
+    if (values['write-baseline']) {
+      const written = scanner.toBaseline(report);
+      fs.writeFileSync(values['write-baseline'], JSON.stringify(written, null, 2) + '\n');
+      process.stderr.write(`Wrote ${written.findings.length} findings to ${values['write-baseline']}\n`);
+      return errors > 0 ? EXIT_ERROR : EXIT_CLEAN;
+    }
+
+    const output = formatReport(report, format, failOn);
+    if (values.output) {
+      fs.writeFileSync(values.output, output);
+    } else {
+      process.stdout.write(output);
+    }
+
+    const failing = failOn !== null && report.files.some(file =>
+      file.findings.some(finding => !finding.baselined && scanner.meets(finding.riskLevel, failOn)));
+    if (failing) return EXIT_FINDINGS;
+    return errors > 0 ? EXIT_ERROR : EXIT_CLEAN;
+  } catch (error) {
+    process.stderr.write(`${error instanceof Error ? error.message : 'Unknown error'}\n`);
+    return EXIT_ERROR;
+  } finally {
+    await ocrService.terminate().catch(() => undefined);
+    await pdfWorkerPool.close();
+  }
+}
+
+function usageError(message: string): number {
+  process.stderr.write(`${message}\n\n${USAGE}`);
+  return EXIT_ERROR;
+}
+
+// stdout is for the report; logs go to stderr, and only with --verbose
+function quietLogger(verbose: boolean): void {
+  logger.clear();
+  logger.add(new winston.transports.Console({
+    silent: !verbose,
+    stderrLevels: Object.keys(winston.config.npm.levels),
+    format: winston.format.simple()
+  }));
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
@@ -1,5 +1,5 @@
 import { config } from 'dotenv';
-import { AppConfig } from '../types';
+import { AppConfig, RiskLevel } from '../types';
 
 // Load environment variables early
 config();
@@ -30,7 +30,100 @@ const appConfig: AppConfig = {
   
   files: {
     maxSize: parseInt(process.env.MAX_FILE_SIZE || '10485760', 10), // 10MB default
-    allowedTypes: process.env.ALLOWED_FILE_TYPES?.split(',') || ['application/pdf']
+    // '*' for every supported format, or extractor ids / MIME types (see fileExtractor)
+    allowedTypes: process.env.ALLOWED_FILE_TYPES?.split(',').map(type => type.trim()) || ['*']
+  },
+  
+  // gitleaks-format TOML rulesets loaded on top of the built-in patterns.
+  // Reloaded on SIGHUP, so rules can be updated without a restart.
+  rules: {
+    gitleaksFiles: process.env.GITLEAKS_RULES?.split(',').map(file => file.trim()).filter(Boolean) || [],
+    // gitleaks rules carry no severity; a tag like "critical" overrides this
+    defaultRiskLevel: (process.env.GITLEAKS_DEFAULT_RISK as RiskLevel) || 'HIGH'
+  },
+  
+  // 'hybrid' runs local patterns alongside Prompt Security, 'fallback' only when it fails
+  detection: {
+    mode: process.env.DETECTION_MODE === 'fallback' ? 'fallback' : 'hybrid',
+    // Longest prompt /api/inspect-text accepts, in characters
+    maxTextLength: parseInt(process.env.MAX_TEXT_LENGTH || '100000', 10)
+  },
+  
+  // PDFs are parsed in a pool of worker threads, each file under these limits.
+  // A worker that runs out of time or memory is killed and replaced.
+  pdf: {
+    workers: parseInt(process.env.PDF_WORKERS || '2', 10),
+    timeoutMs: parseInt(process.env.PDF_PARSE_TIMEOUT_MS || '30000', 10),
+    maxHeapMb: parseInt(process.env.PDF_MAX_HEAP_MB || '512', 10),
+    // 0 turns either of these off
+    maxPages: parseInt(process.env.PDF_MAX_PAGES || '2000', 10),
+    // Compressed streams once inflated, attachments included - catches deflate bombs
+    maxStreamBytes: parseInt(process.env.PDF_MAX_STREAM_BYTES || '268435456', 10) // 256MB
+  },
+  
+  // OCR for pages without a text layer (scans, screenshots)
+  ocr: {
+    enabled: process.env.OCR_ENABLED !== 'false',
+    dpi: parseInt(process.env.OCR_DPI || '200', 10),
+    maxPages: parseInt(process.env.OCR_MAX_PAGES || '20', 10),
+    // Larger pages are rendered at a lower resolution instead - an A4 page at 200 DPI is ~4M
+    maxPixels: parseInt(process.env.OCR_MAX_PIXELS || '20000000', 10)
+  },
+  
+  // Async inspection jobs (/api/jobs) - run in-process, kept in memory
+  jobs: {
+    concurrency: parseInt(process.env.JOB_CONCURRENCY || '2', 10),
+    // Jobs waiting to start; submissions past this get a 429
+    maxQueued: parseInt(process.env.JOB_MAX_QUEUED || '100', 10),
+    // Finished jobs are forgotten after this long, or once there are more than maxFinished
+    ttlMs: parseInt(process.env.JOB_TTL_MS || '900000', 10), // 15 min
+    maxFinished: parseInt(process.env.JOB_MAX_FINISHED || '1000', 10)
+  },
+  
+  // SQLite audit log of every inspection (masked values only)
+  audit: {
+    enabled: process.env.AUDIT_ENABLED !== 'false',
+    dbPath: process.env.AUDIT_DB_PATH || 'data/inspections.db'
+  },
+  
+  // Results by file SHA-256 + rules version, so repeat uploads skip parsing
+  // and Prompt Security. In memory, least recently used dropped first.
+  cache: {
+    enabled: process.env.CACHE_ENABLED !== 'false',
+    ttlMs: parseInt(process.env.CACHE_TTL_MS || '3600000', 10), // 1 hour
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES || '1000', 10)
+  },
+  
+  // Prometheus metrics at GET /metrics (needs an API key once auth is on)
+  metrics: {
+    enabled: process.env.METRICS_ENABLED !== 'false'
+  },
+  
+  // Webhook / Slack / syslog alerts for high-risk results. Sinks are listed in
+  // a JSON file (reloaded on SIGHUP); unsent alerts are kept in SQLite and retried.
+  alerts: {
+    ...(process.env.ALERTS_CONFIG && { configFile: process.env.ALERTS_CONFIG }),
+    queueDbPath: process.env.ALERTS_DB_PATH || 'data/alerts.db',
+    maxAttempts: parseInt(process.env.ALERT_MAX_ATTEMPTS || '8', 10),
+    // Doubles after every failed attempt: 5s, 10s, 20s ... capped at an hour
+    retryBaseMs: parseInt(process.env.ALERT_RETRY_BASE_MS || '5000', 10),
+    timeoutMs: parseInt(process.env.ALERT_TIMEOUT_MS || '10000', 10)
+  },
+  
+  // API keys (/api/admin/keys). Off by default so local development needs no setup.
+  auth: {
+    enabled: process.env.AUTH_ENABLED === 'true',
+    dbPath: process.env.API_KEYS_DB_PATH || 'data/api-keys.db',
+    // Always accepted as an admin key, so the first real keys can be created
+    ...(process.env.ADMIN_API_KEY && { adminKey: process.env.ADMIN_API_KEY })
+  },
+  
+  // "Not a secret" reports (/api/feedback). Values are only ever stored as an
+  // HMAC keyed with this salt - generated and kept in the database when unset.
+  // Changing it orphans every existing suppression.
+  feedback: {
+    dbPath: process.env.FEEDBACK_DB_PATH || 'data/feedback.db',
+    ...(process.env.FEEDBACK_SALT && { salt: process.env.FEEDBACK_SALT })
   },
   
   promptSecurity: {
@@ -46,6 +139,9 @@ const appConfig: AppConfig = {
 
 // Validate critical config in production
 if (appConfig.server.env === 'production') {
+  if (!appConfig.auth.enabled) {
+    console.warn('⚠️  AUTH_ENABLED is not set - the API is open to anyone who can reach it');
+  }
   if (!appConfig.promptSecurity.apiUrl || !appConfig.promptSecurity.appId) {
     console.warn('⚠️  Prompt Security API not configured - falling back to local detection only');
   }
@@ -12,13 +12,25 @@ import fs from 'fs';
 import logger from './utils/logger';
 import pdfParser from './services/pdfParser';
 import secretDetector from './services/secretDetector';
+import pdfRedactor from './services/pdfRedactor';
+import rulesetLoader from './services/rulesetLoader';
+import ocrService from './services/ocr';
+import fileExtractor from './services/fileExtractor';
+import inspection from './services/inspection';
+import jobQueue, { JobQueueFullError } from './services/jobQueue';
+import auditLog from './services/auditLog';
+import apiKeys from './services/apiKeys';
+import metrics from './services/metrics';
+import alerts from './services/alerts';
+import feedback from './services/feedback';
+import pdfWorkerPool, { PdfEncryptedError, PdfLimitError } from './services/pdfWorkerPool';
 import config from './config';
-import { InspectionResult } from './types';
+import { ApiClient, FileExtractor, InspectionContext, InspectionJob, OverrideItem } from './types';
 
 /**
  * PDF Secret Inspector Backend Service
  * 
- * Express server that processes PDF files and detects secrets.
+ * Express server that processes PDF (and Office, text and source) files and detects secrets.
  * Started as a simple proof of concept but grew into a more robust service.
  */
 
@@ -32,21 +44,108 @@ app.use(compression());
 app.use(cors({
   origin: config.security.corsOrigins,
   credentials: true,
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+  exposedHeaders: ['X-Redaction-Summary']
 }));
 
-// Rate limiting
+/**
+ * The API key sent as `Authorization: Bearer <key>` or `X-API-Key: <key>`
+ */
+const apiKeyFrom = (req: Request): string | undefined => {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '')?.[1];
+  return bearer || req.get('x-api-key') || undefined;
+};
+
+/**
+ * Authenticate API requests; the client ends up in res.locals.client
+ * With AUTH_ENABLED off, requests without a key still go through, but a key
+ * that is sent has to be valid - better the extension hears its key is wrong
+ * now than when auth gets switched on.
+ */
+const authenticate = (req: Request, res: Response, next: NextFunction): void => {
+  // Load balancers need the health check without a key
+  if (req.path === '/health') return next();
+
+  const key = apiKeyFrom(req);
+  if (!key) {
+    if (!config.auth.enabled) return next();
+    res.status(401).json({
+      error: 'Authentication required',
+      message: 'Send an API key as "Authorization: Bearer <key>" or in the X-API-Key header',
+      code: 'AUTH_REQUIRED'
+    });
+    return;
+  }
+
+  let client: ApiClient | null;
+  try {
+    client = apiKeys.authenticate(key);
+  } catch (error) {
+    logger.logError(error as Error, { context: 'api-key-auth' });
+    res.status(500).json({
+      error: 'Failed to check API key',
+      code: 'AUTH_ERROR'
+    });
+    return;
+  }
+
+  if (!client) {
+    res.status(401).json({
+      error: 'Invalid or revoked API key',
+      code: 'INVALID_API_KEY'
+    });
+    return;
+  }
+
+  res.locals.client = client;
+  next();
+};
+
+/**
+ * Only admin keys past this point
+ */
+const requireAdmin = (req: Request, res: Response, next: NextFunction): void => {
+  const client = res.locals.client as ApiClient | undefined;
+  if (client?.role === 'admin') return next();
+
+  res.status(client ? 403 : 401).json({
+    error: client ? 'Admin API key required' : 'Authentication required',
+    code: client ? 'FORBIDDEN' : 'AUTH_REQUIRED'
+  });
+};
+
+app.use('/api/', authenticate);
+
+// Rate limiting - per key when there is one, otherwise per IP
 const limiter = rateLimit({
   windowMs: config.security.rateLimitWindow,
-  max: config.security.rateLimitMax,
+  max: (req: Request, res: Response) => (res.locals.client as ApiClient | undefined)?.rateLimit ?? config.security.rateLimitMax,
+  keyGenerator: (req: Request, res: Response) => {
+    const client = res.locals.client as ApiClient | undefined;
+    return client ? `key:${client.id}` : req.ip || 'unknown';
+  },
   message: {
-    error: 'Too many requests from this IP, please try again later.',
+    error: 'Too many requests, please try again later.',
     code: 'RATE_LIMIT_EXCEEDED'
-  }
+  },
+  handler: (req, res, next, options) => {
+    metrics.recordRejection('RATE_LIMIT_EXCEEDED');
+    res.status(options.statusCode).json(options.message);
+  },
+  // Following a job is one submission, not a stream of new work
+  skip: (req) => req.method === 'GET' && req.path.startsWith('/jobs/')
 });
 app.use('/api/', limiter);
 
+// Key management is admin-only; the audit log too, once auth is on -
+// except cache lookups by hash, which the extension makes before uploading
+app.use('/api/admin', requireAdmin);
+if (config.auth.enabled) {
+  app.use('/api/inspections', (req: Request, res: Response, next: NextFunction) =>
+    req.path.startsWith('/by-hash/') ? next() : requireAdmin(req, res, next));
+}
+
 // Request logging
 app.use(morgan('combined', { 
   stream: { 
@@ -66,7 +165,7 @@ const upload = multer({
     files: 1
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf') {
+    if (file.mimetype === 'application/pdf' && fileExtractor.get('pdf')) {
       cb(null, true);
     } else {
       const error = new Error('Only PDF files are allowed') as any;
@@ -76,12 +175,62 @@ const upload = multer({
   }
 });
 
+// Any format with a registered extractor; PDF-only routes keep using `upload`
+const fileUpload = multer({
+  dest: 'uploads/',
+  limits: {
+    fileSize: config.files.maxSize,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (fileExtractor.find(file.originalname, file.mimetype)) {
+      cb(null, true);
+    } else {
+      const error = new Error(`Unsupported file type: ${file.originalname}`) as any;
+      error.code = 'INVALID_FILE_TYPE';
+      cb(error, false);
+    }
+  }
+});
+
 // Ensure uploads directory exists
 const uploadsDir = path.join(__dirname, '../uploads');
 if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir, { recursive: true });
 }
 
+/**
+ * Load gitleaks rulesets into the detector
+ * On failure the current rules stay active - better stale rules than none.
+ */
+const loadRulesets = () => {
+  if (config.rules.gitleaksFiles.length === 0) return;
+
+  try {
+    const patterns = rulesetLoader.loadFiles(config.rules.gitleaksFiles, config.rules.defaultRiskLevel);
+    secretDetector.setExternalPatterns(patterns);
+    logger.info(`📜 ${patterns.length} ruleset patterns active`);
+  } catch (error) {
+    logger.logError(error as Error, { context: 'ruleset-load', files: config.rules.gitleaksFiles });
+  }
+};
+
+loadRulesets();
+
+/**
+ * Load alert sinks from ALERTS_CONFIG
+ * Same as rulesets: on failure the current sinks stay active.
+ */
+const loadAlertSinks = () => {
+  try {
+    alerts.loadConfig();
+  } catch (error) {
+    logger.logError(error as Error, { context: 'alert-config', file: config.alerts.configFile });
+  }
+};
+
+loadAlertSinks();
+
 /**
  * Health check endpoint
  */
@@ -94,6 +243,93 @@ app.get('/api/health', (req: Request, res: Response) => {
   });
 });
 
+/**
+ * Prometheus metrics
+ * Outside /api so scrapes aren't rate limited, but still behind an API key when auth is on.
+ */
+if (config.metrics.enabled) {
+  app.get('/metrics', authenticate, async (req: Request, res: Response): Promise<void> => {
+    res.set('Content-Type', metrics.contentType);
+    res.send(await metrics.render());
+  });
+}
+
+/**
+ * List the local detection rules currently in use
+ */
+app.get('/api/patterns', (req: Request, res: Response) => {
+  const patterns = secretDetector.getPatterns().map(pattern => ({
+    id: pattern.id,
+    origin: pattern.origin,
+    type: pattern.type,
+    description: pattern.description,
+    riskLevel: pattern.riskLevel,
+    regex: pattern.regex.source,
+    keywords: pattern.keywords || [],
+    allowlists: pattern.allowlists?.length || 0
+  }));
+
+  res.json({ count: patterns.length, patterns });
+});
+
+/**
+ * Where an upload came from, for the audit log
+ * The extension sends the AI platform as a form field alongside the file (or
+ * a query parameter on hash lookups); the user is the name of the API key,
+ * when there is one.
+ */
+const inspectionContext = (req: Request, res: Response): InspectionContext => {
+  const raw = req.body?.platform ?? req.query.platform;
+  const platform = typeof raw === 'string' ? raw.trim().slice(0, 100) : '';
+  const client = res.locals.client as ApiClient | undefined;
+  return {
+    ...(platform && { platform }),
+    ...(client && { user: client.name, clientId: client.id }),
+    ...(req.ip && { ip: req.ip })
+  };
+};
+
+/**
+ * The password sent along with an encrypted PDF, as inspect options
+ * It's used in memory for the scan and nowhere else - never logged or stored.
+ */
+const passwordOption = (req: Request): { password?: string } => {
+  const password = req.body?.password;
+  return typeof password === 'string' && password.length > 0 ? { password } : {};
+};
+
+/**
+ * Reply to an upload that couldn't be processed
+ * A PDF refused by a parsing limit, or encrypted where there's no
+ * unscannable result to give (redaction), is the file's problem, not ours:
+ * 422 with the limit's code (TOO_MANY_PAGES, PARSE_TIMEOUT...) or ENCRYPTED
+ * instead of a 500.
+ */
+const sendProcessingError = (res: Response, error: string, err: Error): void => {
+  if (err instanceof PdfLimitError || err instanceof PdfEncryptedError) {
+    res.status(422).json({
+      error,
+      message: err.message,
+      code: err instanceof PdfLimitError ? err.code : 'ENCRYPTED'
+    });
+    return;
+  }
+
+  res.status(500).json({
+    error,
+    message: err.message,
+    code: 'PROCESSING_ERROR'
+  });
+};
+
+/**
+ * List the file formats uploads are accepted in
+ * The extension uses this to decide which files to send for inspection.
+ */
+app.get('/api/supported-types', (req: Request, res: Response) => {
+  res.json(fileExtractor.getSupportedTypes());
+});
+
 /**
  * PDF inspection endpoint
  */
@@ -109,71 +345,541 @@ app.post('/api/inspect-pdf', upload.single('pdf'), async (req: Request, res: Res
       return;
     }
 
-    const { filename, path: filePath, size } = req.file;
-    logger.info(`Processing PDF: ${filename} (${size} bytes)`);
+    res.json(await inspection.inspect(req.file, fileExtractor.get('pdf') as FileExtractor, startTime, {
+      context: inspectionContext(req, res),
+      ...passwordOption(req)
+    }));
+
+  } catch (error) {
+    const err = error as Error;
+    logger.logError(err, { 
+      endpoint: '/api/inspect-pdf', 
+      file: req.file?.filename 
+    });
+
+    sendProcessingError(res, 'Failed to process PDF', err);
+  }
+});
+
+/**
+ * Generic inspection endpoint - any format fileExtractor supports
+ */
+app.post('/api/inspect-file', fileUpload.single('file'), async (req: Request, res: Response): Promise<void> => {
+  const startTime = Date.now();
+
+  try {
+    if (!req.file) {
+      res.status(400).json({
+        error: 'No file provided',
+        code: 'NO_FILE'
+      });
+      return;
+    }
+
+    // The upload filter already checked there is one
+    const extractor = fileExtractor.find(req.file.originalname, req.file.mimetype) as FileExtractor;
+    res.json(await inspection.inspect(req.file, extractor, startTime, {
+      context: inspectionContext(req, res),
+      ...passwordOption(req)
+    }));
+
+  } catch (error) {
+    const err = error as Error;
+    logger.logError(err, {
+      endpoint: '/api/inspect-file',
+      file: req.file?.filename
+    });
+
+    sendProcessingError(res, 'Failed to process file', err);
+  }
+});
+
+/**
+ * Prompt text inspection endpoint
+ * For text pasted or typed into a chat composer, sent as JSON: { text, platform? }
+ */
+app.post('/api/inspect-text', async (req: Request, res: Response): Promise<void> => {
+  const startTime = Date.now();
+  const text = req.body?.text;
+
+  if (typeof text !== 'string' || text.trim() === '') {
+    res.status(400).json({
+      error: 'No text provided',
+      code: 'NO_TEXT'
+    });
+    return;
+  }
+
+  if (text.length > config.detection.maxTextLength) {
+    metrics.recordRejection('TEXT_TOO_LONG');
+    res.status(413).json({
+      error: 'Text too long',
+      message: `Maximum length is ${config.detection.maxTextLength} characters`,
+      code: 'TEXT_TOO_LONG'
+    });
+    return;
+  }
+
+  try {
+    res.json(await inspection.inspectText(text, startTime, { context: inspectionContext(req, res) }));
+  } catch (error) {
+    const err = error as Error;
+    logger.logError(err, { endpoint: '/api/inspect-text' });
+
+    res.status(500).json({
+      error: 'Failed to inspect text',
+      message: err.message,
+      code: 'PROCESSING_ERROR'
+    });
+  }
+});
+
+/**
+ * Queue a file for inspection and return straight away
+ * For big documents that would outlast a client's request timeout. Only
+ * the key that submitted the job can follow it; to anyone else it's a 404.
+ */
+app.post('/api/jobs', fileUpload.single('file'), (req: Request, res: Response): void => {
+  if (!req.file) {
+    res.status(400).json({
+      error: 'No file provided',
+      code: 'NO_FILE'
+    });
+    return;
+  }
+
+  // The upload filter already checked there is one
+  const extractor = fileExtractor.find(req.file.originalname, req.file.mimetype) as FileExtractor;
+  let job: InspectionJob;
+  try {
+    job = jobQueue.submit(req.file, extractor, inspectionContext(req, res), passwordOption(req).password);
+  } catch (error) {
+    // Nothing will ever pick the upload up now
+    if (fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+    if (!(error instanceof JobQueueFullError)) throw error;
+
+    metrics.recordRejection('QUEUE_FULL');
+    res.status(429).json({
+      error: 'Too many jobs waiting',
+      message: error.message,
+      code: 'QUEUE_FULL'
+    });
+    return;
+  }
+
+  res.status(202).json({
+    id: job.id,
+    status: job.status,
+    statusUrl: `/api/jobs/${job.id}`,
+    eventsUrl: `/api/jobs/${job.id}/events`
+  });
+});
 
-    // Extract text from PDF
-    const pdfContent = await pdfParser.extractText(filePath);
-    
-    // Detect secrets
-    const secrets = await secretDetector.detectSecrets(pdfContent.text);
-    
-    // Calculate risk level
+/**
+ * Job status, with the inspection result once it's done
+ */
+app.get('/api/jobs/:id', (req: Request, res: Response): void => {
+  const job = jobQueue.get(req.params.id as string, (res.locals.client as ApiClient | undefined)?.id);
+  if (!job) {
+    res.status(404).json({
+      error: 'Job not found',
+      code: 'JOB_NOT_FOUND'
+    });
+    return;
+  }
+
+  res.json(job);
+});
+
+/**
+ * Server-sent events for a job: `progress` as it moves through stages and
+ * pages, then a final `completed` or `failed` carrying the whole job
+ */
+app.get('/api/jobs/:id/events', (req: Request, res: Response): void => {
+  const job = jobQueue.get(req.params.id as string, (res.locals.client as ApiClient | undefined)?.id);
+  if (!job) {
+    res.status(404).json({
+      error: 'Job not found',
+      code: 'JOB_NOT_FOUND'
+    });
+    return;
+  }
+
+  // no-transform keeps the compression middleware from buffering the stream
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (current: InspectionJob) => {
+    const finished = current.status === 'completed' || current.status === 'failed';
+    const event = finished ? current.status : 'progress';
+    const data = finished ? current : { id: current.id, status: current.status, progress: current.progress };
+
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (finished) {
+      cleanup();
+      res.end();
+    }
+  };
+
+  const onUpdate = (updated: InspectionJob) => {
+    if (updated.id === job.id) send(updated);
+  };
+
+  // Comment lines keep proxies from closing an idle stream while OCR grinds away
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    jobQueue.off('update', onUpdate);
+  };
+
+  jobQueue.on('update', onUpdate);
+  req.on('close', cleanup);
+  send(job);
+});
+
+/**
+ * Search the audit log
+ * Filters: from, to, riskLevel (comma-separated), platform, user, secretType,
+ * filename (substring); paginated with page / pageSize.
+ */
+app.get('/api/inspections', (req: Request, res: Response): void => {
+  let filters;
+  try {
+    filters = auditLog.parseQuery(req.query as Record<string, unknown>);
+  } catch (error) {
+    res.status(400).json({
+      error: 'Invalid query',
+      message: (error as Error).message,
+      code: 'INVALID_QUERY'
+    });
+    return;
+  }
+
+  try {
+    res.json(auditLog.query(filters));
+  } catch (error) {
+    logger.logError(error as Error, { endpoint: '/api/inspections' });
+    res.status(500).json({
+      error: 'Failed to query inspections',
+      code: 'AUDIT_ERROR'
+    });
+  }
+});
+
+/**
+ * Export every inspection matching the filters (no pagination) as CSV or JSON
+ */
+app.get('/api/inspections/export', (req: Request, res: Response): void => {
+  let filters;
+  try {
+    filters = auditLog.parseQuery(req.query as Record<string, unknown>);
+  } catch (error) {
+    res.status(400).json({
+      error: 'Invalid query',
+      message: (error as Error).message,
+      code: 'INVALID_QUERY'
+    });
+    return;
+  }
+
+  const format = req.query.format === 'csv' ? 'csv' : 'json';
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  try {
+    res.set({
+      'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json',
+      'Content-Disposition': `attachment; filename="inspections-${stamp}.${format}"`
+    });
+
+    // Written row by row so a big export doesn't have to fit in memory
+    if (format === 'csv') {
+      res.write(auditLog.csvHeader());
+      for (const record of auditLog.iterate(filters)) {
+        res.write(auditLog.csvRow(record));
+      }
+    } else {
+      res.write('[');
+      let first = true;
+      for (const record of auditLog.iterate(filters)) {
+        res.write((first ? '' : ',') + JSON.stringify(record));
+        first = false;
+      }
+      res.write(']');
+    }
+    res.end();
+  } catch (error) {
+    logger.logError(error as Error, { endpoint: '/api/inspections/export' });
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Failed to export inspections',
+        code: 'AUDIT_ERROR'
+      });
+    } else {
+      res.end();
+    }
+  }
+});
+
+/**
+ * Cached result for a file by its SHA-256 (HEAD to just ask)
+ * The extension hashes files before uploading; on a hit it never sends the
+ * file. GET counts as an inspection in the audit log, with the platform and
+ * filename from the query string.
+ */
+app.get('/api/inspections/by-hash/:sha256', (req: Request, res: Response): void => {
+  const sha256 = (req.params.sha256 as string).toLowerCase();
+  if (!/^[0-9a-f]{64}$/.test(sha256)) {
+    res.status(400).json({
+      error: 'Invalid hash',
+      message: 'Expected a hex SHA-256 (64 characters)',
+      code: 'INVALID_HASH'
+    });
+    return;
+  }
+
+  const filename = typeof req.query.filename === 'string' ? req.query.filename.slice(0, 255) : undefined;
+  const result = inspection.lookup(sha256, Date.now(), {
+    ...(filename && { filename }),
+    context: inspectionContext(req, res),
+    record: req.method !== 'HEAD'
+  });
+
+  if (!result) {
+    res.status(404).json({
+      error: 'No cached result for this file',
+      code: 'NOT_CACHED'
+    });
+    return;
+  }
+
+  res.json(result);
+});
+
+/**
+ * One stored inspection, including its findings
+ */
+app.get('/api/inspections/:id', (req: Request, res: Response): void => {
+  const record = auditLog.get(parseInt(req.params.id as string, 10));
+  if (!record) {
+    res.status(404).json({
+      error: 'Inspection not found',
+      code: 'NOT_FOUND'
+    });
+    return;
+  }
+
+  res.json(record);
+});
+
+/**
+ * Report a finding as not a secret
+ * Body: { fingerprint, rule, scope?: 'user' | 'organization' }, with the
+ * fingerprint and type of a finding from an inspection result. The value
+ * itself is never sent. Later scans leave it out for the reporting API key,
+ * or for everyone with scope 'organization' (admin keys only). Needs a key
+ * even with auth off - otherwise there's no one to scope the report to.
+ */
+app.post('/api/feedback', (req: Request, res: Response): void => {
+  const client = res.locals.client as ApiClient | undefined;
+  if (!client) {
+    res.status(401).json({
+      error: 'Authentication required',
+      message: 'Reporting a finding needs an API key, so the report only affects whoever sent it',
+      code: 'AUTH_REQUIRED'
+    });
+    return;
+  }
+
+  try {
+    res.status(201).json(feedback.report(req.body || {}, client));
+  } catch (error) {
+    res.status(400).json({
+      error: 'Invalid feedback',
+      message: (error as Error).message,
+      code: 'INVALID_REQUEST'
+    });
+  }
+});
+
+/**
+ * Record blocked uploads or prompts the user sent anyway
+ * Body: { platform?, kind?: 'file' | 'prompt', items: [{ filename?, riskLevel,
+ * secretTypes?, fingerprints? }] } - finding types and fingerprints from the
+ * inspection result, never values. Written to the audit log with the key and IP.
+ */
+app.post('/api/overrides', (req: Request, res: Response): void => {
+  let items: OverrideItem[];
+  try {
+    items = auditLog.parseOverrides(req.body || {});
+  } catch (error) {
+    res.status(400).json({
+      error: 'Invalid override',
+      message: (error as Error).message,
+      code: 'INVALID_REQUEST'
+    });
+    return;
+  }
+
+  try {
+    res.status(201).json({ recorded: auditLog.recordOverrides(items, inspectionContext(req, res)) });
+  } catch (error) {
+    const err = error as Error;
+    logger.logError(err, { endpoint: '/api/overrides' });
+
+    res.status(500).json({
+      error: 'Failed to record override',
+      message: err.message,
+      code: 'PROCESSING_ERROR'
+    });
+  }
+});
+
+/**
+ * Blocked uploads and prompts sent anyway, newest first
+ * Query: limit (default 50, up to 500)
+ */
+app.get('/api/admin/overrides', (req: Request, res: Response): void => {
+  const limit = Math.min(Math.max(parseInt(String(req.query.limit ?? ''), 10) || 50, 1), 500);
+  const overrides = auditLog.overrides(limit);
+  res.json({ count: overrides.length, overrides });
+});
+
+/**
+ * The rules with the most values reported as not secrets - where tuning pays off first
+ * Query: limit (default 20, up to 100)
+ */
+app.get('/api/admin/feedback/rules', (req: Request, res: Response): void => {
+  const limit = Math.min(Math.max(parseInt(String(req.query.limit ?? ''), 10) || 20, 1), 100);
+  const rules = feedback.topRules(limit);
+  res.json({ count: rules.length, rules });
+});
+
+/**
+ * List API keys with their usage counters (never the keys themselves)
+ */
+app.get('/api/admin/keys', (req: Request, res: Response): void => {
+  const keys = apiKeys.list();
+  res.json({ count: keys.length, keys });
+});
+
+/**
+ * Create an API key
+ * Body: { name, role?: 'client' | 'admin', rateLimit? }. The key is only
+ * ever returned here - store it somewhere safe.
+ */
+app.post('/api/admin/keys', (req: Request, res: Response): void => {
+  try {
+    res.status(201).json(apiKeys.create(req.body || {}));
+  } catch (error) {
+    res.status(400).json({
+      error: 'Invalid API key request',
+      message: (error as Error).message,
+      code: 'INVALID_REQUEST'
+    });
+  }
+});
+
+/**
+ * Revoke an API key
+ */
+app.delete('/api/admin/keys/:id', (req: Request, res: Response): void => {
+  const record = apiKeys.revoke(req.params.id as string);
+  if (!record) {
+    res.status(404).json({
+      error: 'API key not found',
+      code: 'NOT_FOUND'
+    });
+    return;
+  }
+
+  res.json(record);
+});
+
+/**
+ * PDF redaction endpoint
+ * Runs the same parse + detect pipeline and returns a copy with secrets blacked out.
+ * What was redacted goes in the X-Redaction-Summary header as JSON - counts
+ * by type only, so it stays well under proxies' header size limits.
+ */
+app.post('/api/redact-pdf', upload.single('pdf'), async (req: Request, res: Response): Promise<void> => {
+  const startTime = Date.now();
+
+  try {
+    if (!req.file) {
+      res.status(400).json({
+        error: 'No PDF file provided',
+        code: 'NO_FILE'
+      });
+      return;
+    }
+
+    const { filename, originalname, path: filePath, size } = req.file;
+    logger.info(`Redacting PDF: ${filename} (${size} bytes)`);
+
+    const layout = await pdfParser.extractLayout(filePath, undefined, passwordOption(req).password);
+    // Only the body matters here: the rebuilt copy doesn't carry over
+    // metadata, annotations, form fields or attachments at all
+    const secrets = feedback.withoutSuppressed(
+      await secretDetector.detectSecrets(layout.content.text, { pages: layout.content.pageTexts, filename: originalname }),
+      feedback.suppressionsFor((res.locals.client as ApiClient | undefined)?.id).fingerprints
+    );
     const riskLevel = secretDetector.calculateRiskLevel(secrets);
-    
-    const processingTime = Date.now() - startTime;
+    const redactedPdf = await pdfRedactor.redact(layout, secrets);
+    const summary = pdfRedactor.summarize(secrets, riskLevel);
 
-    // Log results
     if (secrets.length > 0) {
       logger.logSecretDetection(filename || 'unknown', secrets, riskLevel);
+      alerts.notify({
+        filename: originalname || filename || 'unknown',
+        fileType: 'pdf',
+        fileSize: size,
+        riskLevel,
+        secrets,
+        context: inspectionContext(req, res)
+      });
     }
-    
-    logger.logFileProcessing(filename || 'unknown', size, processingTime);
+    if (!summary.complete) {
+      logger.warn('Redacted copy still contains findings that could not be located', {
+        filename,
+        unlocated: summary.unlocated
+      });
+    }
+
+    logger.logFileProcessing(filename || 'unknown', size, Date.now() - startTime);
 
     // Clean up uploaded file
     fs.unlinkSync(filePath);
 
-    // Prepare response
-    const result: InspectionResult = {
-      filename: filename || 'unknown',
-      fileSize: size,
-      processingTime,
-      secretsFound: secrets.length,
-      riskLevel,
-      secrets: secrets.map(secret => ({
-        type: secret.type,
-        description: secret.description,
-        confidence: secret.confidence,
-        location: secret.location,
-        riskLevel: secret.riskLevel,
-        source: secret.source
-      })),
-      metadata: {
-        pages: pdfContent.pages,
-        wordCount: pdfContent.wordCount,
-        timestamp: new Date().toISOString()
-      }
-    };
+    // Header values must stay ASCII, so don't echo the original filename back as-is
+    const downloadName = `redacted-${(originalname || 'document.pdf').replace(/[^\w.-]/g, '_')}`;
 
-    res.json(result);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${downloadName}"`,
+      'X-Redaction-Summary': JSON.stringify(summary)
+    });
+    res.send(redactedPdf);
 
   } catch (error) {
     const err = error as Error;
-    logger.logError(err, { 
-      endpoint: '/api/inspect-pdf', 
-      file: req.file?.filename 
+    logger.logError(err, {
+      endpoint: '/api/redact-pdf',
+      file: req.file?.filename
     });
-    
+
     // Clean up file if it exists
     if (req.file?.path && fs.existsSync(req.file.path)) {
       fs.unlinkSync(req.file.path);
     }
 
-    res.status(500).json({
-      error: 'Failed to process PDF',
-      message: err.message,
-      code: 'PROCESSING_ERROR'
-    });
+    sendProcessingError(res, 'Failed to redact PDF', err);
   }
 });
 
@@ -181,14 +887,25 @@ app.post('/api/inspect-pdf', upload.single('pdf'), async (req: Request, res: Res
 app.use((error: Error, req: Request, res: Response, next: NextFunction): void => {
   if (error instanceof MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
+      metrics.recordRejection('FILE_TOO_LARGE');
       res.status(400).json({
         error: 'File too large',
-        message: `PDF file must be smaller than ${Math.round(config.files.maxSize / 1024 / 1024)}MB`,
+        message: `File must be smaller than ${Math.round(config.files.maxSize / 1024 / 1024)}MB`,
         code: 'FILE_TOO_LARGE'
       });
       return;
     }
   }
+
+  if ((error as any).code === 'INVALID_FILE_TYPE') {
+    metrics.recordRejection('INVALID_FILE_TYPE');
+    res.status(415).json({
+      error: 'Unsupported file type',
+      message: error.message,
+      code: 'INVALID_FILE_TYPE'
+    });
+    return;
+  }
   
   logger.logError(error);
   res.status(500).json({
@@ -205,23 +922,44 @@ app.use('*', (req: Request, res: Response) => {
   });
 });
 
-// Start server
-const server = app.listen(config.server.port, () => {
-  logger.info(`🔍 PDF Secret Inspector Backend running on port ${config.server.port}`);
-  logger.info(`📊 Environment: ${config.server.env}`);
-  logger.info(`🔒 CORS origins: ${config.security.corsOrigins.join(', ')}`);
-});
+/**
+ * Start listening, and handle signals for shutdown and reloads
+ * Only when run directly - the route tests use the app without a port.
+ */
+const start = () => {
+  const server = app.listen(config.server.port, () => {
+    logger.info(`🔍 PDF Secret Inspector Backend running on port ${config.server.port}`);
+    logger.info(`📊 Environment: ${config.server.env}`);
+    logger.info(`🔒 CORS origins: ${config.security.corsOrigins.join(', ')}`);
+  });
 
-// Graceful shutdown
-const gracefulShutdown = (signal: string) => {
-  logger.info(`${signal} received, shutting down gracefully`);
-  server.close(() => {
-    logger.info('Server closed');
-    process.exit(0);
+  // Graceful shutdown
+  const gracefulShutdown = (signal: string) => {
+    logger.info(`${signal} received, shutting down gracefully`);
+    jobQueue.clear();
+    server.close(async () => {
+      await ocrService.terminate().catch(() => undefined);
+      await pdfWorkerPool.close();
+      auditLog.close();
+      apiKeys.close();
+      feedback.close();
+      alerts.close();
+      logger.info('Server closed');
+      process.exit(0);
+    });
+  };
+
+  process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+  process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+  process.on('SIGHUP', () => {
+    logger.info('SIGHUP received, reloading rulesets and alert sinks');
+    loadRulesets();
+    loadAlertSinks();
   });
 };
 
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+if (require.main === module) {
+  start();
+}
 
 export default app;
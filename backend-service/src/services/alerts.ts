@@ -0,0 +1,435 @@
+import crypto from 'crypto';
+import dgram from 'dgram';
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import tls from 'tls';
+import axios from 'axios';
+import Database from 'better-sqlite3';
+import logger from '../utils/logger';
+import config from '../config';
+import metrics from './metrics';
+import { slackBody, syslogMessage, webhookBody, webhookSignature } from '../utils/alertFormats';
+import { AlertEvent, AlertSink, AlertSinkType, DetectedSecret, InspectionContext, RiskLevel } from '../types';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS alert_queue (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    sink TEXT NOT NULL,
+    event TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at INTEGER NOT NULL,
+    last_error TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_alert_queue_next_attempt ON alert_queue (next_attempt_at);
+`;
+
+const RISK_LEVELS: RiskLevel[] = ['NONE', 'LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+const SINK_TYPES: AlertSinkType[] = ['webhook', 'slack', 'syslog'];
+const SYSLOG_PORTS = { udp: 514, tcp: 514, tls: 6514 };
+
+// Deliveries attempted per pass; the rest wait for the next one
+const BATCH_SIZE = 20;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// Whatever produced findings - an upload, a prompt or a redaction
+export interface Detection {
+  filename: string;
+  fileType: string;
+  fileSize: number;
+  riskLevel: RiskLevel;
+  secrets: DetectedSecret[];
+  inspectionId?: number | null;
+  context?: InspectionContext;
+}
+
+interface QueuedAlert {
+  id: number;
+  sink: string;
+  event: string;
+  attempts: number;
+}
+
+// A failure retrying won't fix (the receiver rejected the request itself)
+class PermanentDeliveryError extends Error {}
+
+/**
+ * Alert Service
+ *
+ * Sends high-risk results to webhooks, Slack and syslog (as CEF) so a SOC
+ * hears about them without tailing our logs. notify() only writes the alert
+ * to a SQLite queue - one row per sink - and returns; delivery happens in the
+ * background with exponential backoff, so a slow or dead sink never holds up
+ * an inspection, and alerts pending at shutdown go out after the restart.
+ */
+class AlertService {
+  private db: Database.Database | null = null;
+  private sinks: AlertSink[] = [];
+  private timer: NodeJS.Timeout | null = null;
+  private draining: Promise<void> | null = null;
+  private drainAgain = false;
+
+  /**
+   * Open (and if needed create) the queue database
+   * Called lazily on first use; tests call it with ':memory:'.
+   */
+  open(dbPath: string = config.alerts.queueDbPath): void {
+    this.close();
+
+    if (dbPath !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(dbPath)), { recursive: true });
+    }
+
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+  }
+
+  close(): void {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    this.db?.close();
+    this.db = null;
+  }
+
+  /**
+   * Load sinks from the ALERTS_CONFIG file, `{"sinks": [...]}`
+   * Without a file there are no sinks and notify() does nothing.
+   *
+   * @throws Error if the file can't be read or a sink is invalid, so callers
+   *   can keep the current sinks instead of half-loading a broken config
+   */
+  loadConfig(file: string | undefined = config.alerts.configFile): AlertSink[] {
+    if (!file) return this.configure([]);
+
+    let parsed: any;
+    try {
+      parsed = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read alert config ${file}: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+
+    return this.configure(parsed?.sinks ?? []);
+  }
+
+  /**
+   * Validate and switch to a new set of sinks
+   * Queued alerts for sinks that are no longer configured are dropped.
+   */
+  configure(input: unknown[]): AlertSink[] {
+    if (!Array.isArray(input)) {
+      throw new Error('sinks must be an array');
+    }
+
+    const sinks = input.map((raw, index) => this.validateSink(raw, index));
+    const names = sinks.map(sink => sink.name);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) {
+      throw new Error(`Alert sink names must be unique ("${duplicate}" is used twice)`);
+    }
+
+    this.sinks = sinks;
+    if (sinks.length > 0) {
+      logger.info(`🚨 Alerting to ${sinks.map(sink => `${sink.name} (${sink.type}, ${sink.minRiskLevel}+)`).join(', ')}`);
+      this.schedule(0);
+    }
+    return sinks;
+  }
+
+  get configuredSinks(): AlertSink[] {
+    return this.sinks;
+  }
+
+  /**
+   * Queue an alert for every sink whose minimum risk level the detection meets
+   * Never throws and never waits on a sink - losing an alert shouldn't fail
+   * the user's inspection.
+   */
+  notify(detection: Detection): void {
+    const sinks = this.sinks.filter(sink =>
+      RISK_LEVELS.indexOf(detection.riskLevel) >= RISK_LEVELS.indexOf(sink.minRiskLevel));
+    if (sinks.length === 0 || detection.secrets.length === 0) return;
+
+    const event = this.toEvent(detection);
+    try {
+      const db = this.connection();
+      const insert = db.prepare(`
+        INSERT INTO alert_queue (sink, event, next_attempt_at, created_at) VALUES (?, ?, ?, ?)
+      `);
+      const enqueue = db.transaction(() => {
+        for (const sink of sinks) {
+          insert.run(sink.name, JSON.stringify(event), Date.now(), event.detectedAt);
+        }
+      });
+      enqueue();
+      this.schedule(0);
+    } catch (error) {
+      logger.logError(error as Error, { context: 'alert-queue', alert: event.id });
+    }
+  }
+
+  /**
+   * Number of alerts waiting to be delivered, per sink
+   */
+  pending(): Record<string, number> {
+    const rows = this.connection()
+      .prepare('SELECT sink, COUNT(*) AS count FROM alert_queue GROUP BY sink')
+      .all() as Array<{ sink: string; count: number }>;
+    return Object.fromEntries(rows.map(row => [row.sink, row.count]));
+  }
+
+  /**
+   * Try every alert that's due, then schedule the next pass
+   * Resolves once this pass is done; runs on its own timer otherwise.
+   */
+  drain(): Promise<void> {
+    if (this.draining) {
+      this.drainAgain = true;
+      return this.draining;
+    }
+
+    this.draining = this.deliverDue()
+      .catch(error => logger.logError(error as Error, { context: 'alert-delivery' }))
+      .finally(() => {
+        this.draining = null;
+        if (this.drainAgain) {
+          this.drainAgain = false;
+          this.schedule(0);
+        } else {
+          this.scheduleNextRetry();
+        }
+      });
+    return this.draining;
+  }
+
+  private async deliverDue(): Promise<void> {
+    if (!this.db && this.sinks.length === 0) return;
+
+    const due = this.connection().prepare(`
+      SELECT id, sink, event, attempts FROM alert_queue
+      WHERE next_attempt_at <= ? ORDER BY next_attempt_at, id LIMIT ?
+    `).all(Date.now(), BATCH_SIZE) as QueuedAlert[];
+
+    await Promise.all(due.map(alert => this.attempt(alert)));
+
+    if (due.length === BATCH_SIZE) {
+      this.drainAgain = true;
+    }
+  }
+
+  private async attempt(alert: QueuedAlert): Promise<void> {
+    const sink = this.sinks.find(candidate => candidate.name === alert.sink);
+    if (!sink) {
+      logger.warn('Dropping alert for a sink that is no longer configured', { sink: alert.sink });
+      this.connection().prepare('DELETE FROM alert_queue WHERE id = ?').run(alert.id);
+      return;
+    }
+
+    const event = JSON.parse(alert.event) as AlertEvent;
+    let outcome: unknown = null;
+    try {
+      await this.deliver(sink, event);
+    } catch (error) {
+      outcome = error ?? new Error('Unknown error');
+    }
+
+    // Closed while the send was in flight (shutdown): the row stays queued for next time
+    const db = this.db;
+    if (!db) return;
+
+    if (outcome === null) {
+      db.prepare('DELETE FROM alert_queue WHERE id = ?').run(alert.id);
+      metrics.recordAlertDelivery(sink.name, 'sent');
+      return;
+    }
+
+    const attempts = alert.attempts + 1;
+    const message = outcome instanceof Error ? outcome.message : String(outcome);
+
+    if (outcome instanceof PermanentDeliveryError || attempts >= config.alerts.maxAttempts) {
+      db.prepare('DELETE FROM alert_queue WHERE id = ?').run(alert.id);
+      metrics.recordAlertDelivery(sink.name, 'dropped');
+      logger.error('Alert could not be delivered', { sink: sink.name, alert: event.id, attempts, error: message });
+      return;
+    }
+
+    const delay = Math.min(config.alerts.retryBaseMs * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+    db.prepare('UPDATE alert_queue SET attempts = ?, next_attempt_at = ?, last_error = ? WHERE id = ?')
+      .run(attempts, Date.now() + delay, message, alert.id);
+    metrics.recordAlertDelivery(sink.name, 'retry');
+    logger.warn('Alert delivery failed, will retry', { sink: sink.name, alert: event.id, attempts, retryInMs: delay, error: message });
+  }
+
+  private async deliver(sink: AlertSink, event: AlertEvent): Promise<void> {
+    if (sink.type === 'syslog') {
+      await this.sendSyslog(sink, syslogMessage(event, sink.facility));
+      return;
+    }
+
+    const body = sink.type === 'slack' ? slackBody(event) : webhookBody(event);
+    const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+    if (sink.type === 'webhook') {
+      const timestamp = Math.floor(Date.now() / 1000);
+      // Same id on every retry, so receivers can drop duplicates
+      headers['X-PSI-Delivery'] = event.id;
+      headers['X-PSI-Timestamp'] = String(timestamp);
+      if (sink.secret) {
+        headers['X-PSI-Signature'] = webhookSignature(sink.secret, timestamp, body);
+      }
+    }
+
+    try {
+      await axios.post(sink.url as string, body, { headers, timeout: config.alerts.timeoutMs });
+    } catch (error) {
+      const status = axios.isAxiosError(error) ? error.response?.status : undefined;
+      // Other 4xx mean the request itself is wrong - bad URL, revoked hook - and won't get better
+      if (status !== undefined && status >= 400 && status < 500 && status !== 408 && status !== 429) {
+        throw new PermanentDeliveryError(`${sink.name} rejected the alert with HTTP ${status}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * One message over UDP, or octet-counted over TCP/TLS (RFC 6587)
+   */
+  private sendSyslog(sink: AlertSink, message: string): Promise<void> {
+    const host = sink.host as string;
+    const protocol = sink.protocol ?? 'udp';
+    const port = sink.port ?? SYSLOG_PORTS[protocol];
+
+    if (protocol === 'udp') {
+      return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+        socket.send(Buffer.from(message), port, host, error => {
+          socket.close();
+          if (error) reject(error);
+          else resolve();
+        });
+      });
+    }
+
+    return new Promise((resolve, reject) => {
+      const frame = `${Buffer.byteLength(message)} ${message}`;
+      const onConnect = () => socket.end(frame, () => resolve());
+      const socket = protocol === 'tls'
+        ? tls.connect({ host, port, servername: host }, onConnect)
+        : net.connect({ host, port }, onConnect);
+
+      socket.setTimeout(config.alerts.timeoutMs, () => {
+        socket.destroy(new Error(`Timed out talking to ${host}:${port}`));
+      });
+      socket.on('error', reject);
+    });
+  }
+
+  private toEvent(detection: Detection): AlertEvent {
+    const { context = {} } = detection;
+    return {
+      id: crypto.randomUUID(),
+      inspectionId: detection.inspectionId ?? null,
+      detectedAt: new Date().toISOString(),
+      filename: detection.filename,
+      fileType: detection.fileType,
+      fileSize: detection.fileSize,
+      riskLevel: detection.riskLevel,
+      secretsFound: detection.secrets.length,
+      ...(context.platform !== undefined && { platform: context.platform }),
+      ...(context.user !== undefined && { user: context.user }),
+      ...(context.ip !== undefined && { ip: context.ip }),
+      // value is the masked one; the raw secret never leaves secretDetector
+      findings: detection.secrets.map(secret => ({
+        type: secret.type,
+        description: secret.description,
+        value: secret.value,
+        confidence: secret.confidence,
+        riskLevel: secret.riskLevel,
+        category: secret.category,
+        ...(secret.page !== undefined && { page: secret.page }),
+        ...(secret.origin !== undefined && { origin: secret.origin })
+      }))
+    };
+  }
+
+  private validateSink(raw: any, index: number): AlertSink {
+    const label = `Alert sink ${typeof raw?.name === 'string' ? `"${raw.name}"` : `#${index + 1}`}`;
+
+    if (typeof raw?.name !== 'string' || !raw.name.trim()) {
+      throw new Error(`${label}: name is required`);
+    }
+    if (!SINK_TYPES.includes(raw.type)) {
+      throw new Error(`${label}: type must be one of ${SINK_TYPES.join(', ')}`);
+    }
+
+    const minRiskLevel = (raw.minRiskLevel ?? 'HIGH') as RiskLevel;
+    if (!RISK_LEVELS.includes(minRiskLevel) || minRiskLevel === 'NONE') {
+      throw new Error(`${label}: minRiskLevel must be one of LOW, MEDIUM, HIGH, CRITICAL`);
+    }
+
+    const sink: AlertSink = { name: raw.name.trim(), type: raw.type, minRiskLevel };
+
+    if (raw.type === 'syslog') {
+      if (typeof raw.host !== 'string' || !raw.host) {
+        throw new Error(`${label}: host is required`);
+      }
+      if (raw.protocol !== undefined && !['udp', 'tcp', 'tls'].includes(raw.protocol)) {
+        throw new Error(`${label}: protocol must be udp, tcp or tls`);
+      }
+      if (raw.port !== undefined && !(Number.isInteger(raw.port) && raw.port > 0 && raw.port < 65536)) {
+        throw new Error(`${label}: port must be a valid port number`);
+      }
+      if (raw.facility !== undefined && !(Number.isInteger(raw.facility) && raw.facility >= 0 && raw.facility <= 23)) {
+        throw new Error(`${label}: facility must be 0-23`);
+      }
+      return {
+        ...sink,
+        host: raw.host,
+        ...(raw.port !== undefined && { port: raw.port }),
+        ...(raw.protocol !== undefined && { protocol: raw.protocol }),
+        ...(raw.facility !== undefined && { facility: raw.facility })
+      };
+    }
+
+    if (typeof raw.url !== 'string' || !/^https?:\/\//.test(raw.url)) {
+      throw new Error(`${label}: url must be an http(s) URL`);
+    }
+    if (raw.secret !== undefined && (typeof raw.secret !== 'string' || raw.type !== 'webhook')) {
+      throw new Error(`${label}: secret must be a string, and only webhook sinks are signed`);
+    }
+    return {
+      ...sink,
+      url: raw.url,
+      ...(raw.secret !== undefined && { secret: raw.secret })
+    };
+  }
+
+  private schedule(delayMs: number): void {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      void this.drain();
+    }, delayMs);
+    // Pending retries shouldn't keep the process alive on their own
+    this.timer.unref();
+  }
+
+  private scheduleNextRetry(): void {
+    if (!this.db) return;
+
+    const { next } = this.db.prepare('SELECT MIN(next_attempt_at) AS next FROM alert_queue').get() as { next: number | null };
+    if (next !== null) {
+      this.schedule(Math.max(0, next - Date.now()));
+    }
+  }
+
+  private connection(): Database.Database {
+    if (!this.db) {
+      this.open();
+    }
+    return this.db as Database.Database;
+  }
+}
+
+// Export singleton instance
+export default new AlertService();
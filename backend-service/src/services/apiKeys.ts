@@ -0,0 +1,200 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import logger from '../utils/logger';
+import config from '../config';
+import { ApiClient, ApiKeyRecord, ApiKeyRole } from '../types';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    role TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    prefix TEXT NOT NULL,
+    rate_limit INTEGER,
+    created_at TEXT NOT NULL,
+    revoked_at TEXT,
+    last_used_at TEXT,
+    requests INTEGER NOT NULL DEFAULT 0
+  );
+`;
+
+const ROLES: ApiKeyRole[] = ['client', 'admin'];
+const KEY_PREFIX = 'psi_';
+// Enough of the key to tell keys apart in a list, not enough to guess it
+const DISPLAY_PREFIX_LENGTH = KEY_PREFIX.length + 8;
+
+// What ADMIN_API_KEY authenticates as
+const BOOTSTRAP_ADMIN: ApiClient = { id: 'env-admin', name: 'admin', role: 'admin' };
+
+/**
+ * API Key Service
+ *
+ * Per-client keys for the backend, stored in SQLite. Only a SHA-256 of each
+ * key is kept - the key itself is shown once, when it's created - so a copy
+ * of the database doesn't let anyone in. Keys are random, so a plain hash is
+ * enough; there's nothing to brute-force the way there is with passwords.
+ */
+class ApiKeyService {
+  private db: Database.Database | null = null;
+
+  /**
+   * Open (and if needed create) the key store
+   * Called lazily on first use; tests call it with ':memory:'.
+   */
+  open(dbPath: string = config.auth.dbPath): void {
+    this.close();
+
+    if (dbPath !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(dbPath)), { recursive: true });
+    }
+
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+  }
+
+  close(): void {
+    this.db?.close();
+    this.db = null;
+  }
+
+  /**
+   * Issue a new key
+   *
+   * @returns The stored record plus the key itself, which can't be recovered later
+   * @throws Error with a user-facing message for invalid input
+   */
+  create(input: { name?: unknown; role?: unknown; rateLimit?: unknown }): ApiKeyRecord & { key: string } {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name || name.length > 100) {
+      throw new Error('name is required (up to 100 characters)');
+    }
+
+    const role = (input.role ?? 'client') as ApiKeyRole;
+    if (!ROLES.includes(role)) {
+      throw new Error(`role must be one of ${ROLES.join(', ')}`);
+    }
+
+    const rateLimit = input.rateLimit ?? undefined;
+    if (rateLimit !== undefined && !(Number.isInteger(rateLimit) && (rateLimit as number) > 0)) {
+      throw new Error('rateLimit must be a positive integer');
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const id = crypto.randomUUID();
+
+    this.connection().prepare(`
+      INSERT INTO api_keys (id, name, role, key_hash, prefix, rate_limit, created_at)
+      VALUES (@id, @name, @role, @keyHash, @prefix, @rateLimit, @createdAt)
+    `).run({
+      id,
+      name,
+      role,
+      keyHash: this.hash(key),
+      prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+      rateLimit: rateLimit ?? null,
+      createdAt: new Date().toISOString()
+    });
+
+    logger.info(`API key created for ${name}`, { id, role });
+    return { ...(this.get(id) as ApiKeyRecord), key };
+  }
+
+  /**
+   * Revoke a key; it stops working on the next request
+   *
+   * @returns The updated record, or undefined if there's no such key
+   */
+  revoke(id: string): ApiKeyRecord | undefined {
+    this.connection().prepare(`
+      UPDATE api_keys SET revoked_at = @now WHERE id = @id AND revoked_at IS NULL
+    `).run({ id, now: new Date().toISOString() });
+
+    const record = this.get(id);
+    if (record) {
+      logger.info(`API key revoked for ${record.name}`, { id });
+    }
+    return record;
+  }
+
+  get(id: string): ApiKeyRecord | undefined {
+    const row = this.connection().prepare('SELECT * FROM api_keys WHERE id = ?').get(id);
+    return row ? this.toRecord(row) : undefined;
+  }
+
+  /**
+   * Every key, revoked ones included, newest first
+   */
+  list(): ApiKeyRecord[] {
+    return this.connection()
+      .prepare('SELECT * FROM api_keys ORDER BY created_at DESC, rowid DESC')
+      .all()
+      .map(row => this.toRecord(row));
+  }
+
+  /**
+   * Look up the client a key belongs to, counting the request against it
+   *
+   * @returns The client, or null for an unknown or revoked key
+   */
+  authenticate(key: string): ApiClient | null {
+    if (config.auth.adminKey && this.safeEqual(key, config.auth.adminKey)) {
+      return BOOTSTRAP_ADMIN;
+    }
+
+    if (!key.startsWith(KEY_PREFIX)) return null;
+
+    const db = this.connection();
+    const row: any = db.prepare('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL').get(this.hash(key));
+    if (!row) return null;
+
+    db.prepare('UPDATE api_keys SET requests = requests + 1, last_used_at = ? WHERE id = ?')
+      .run(new Date().toISOString(), row.id);
+
+    return {
+      id: row.id,
+      name: row.name,
+      role: row.role as ApiKeyRole,
+      ...(row.rate_limit !== null && { rateLimit: row.rate_limit })
+    };
+  }
+
+  private connection(): Database.Database {
+    if (!this.db) {
+      this.open();
+    }
+    return this.db as Database.Database;
+  }
+
+  private hash(key: string): string {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Constant-time comparison for the configured admin key
+   * Hashing first makes both sides the same length, which timingSafeEqual needs.
+   */
+  private safeEqual(a: string, b: string): boolean {
+    return crypto.timingSafeEqual(Buffer.from(this.hash(a), 'hex'), Buffer.from(this.hash(b), 'hex'));
+  }
+
+  private toRecord(row: any): ApiKeyRecord {
+    return {
+      id: row.id,
+      name: row.name,
+      role: row.role as ApiKeyRole,
+      prefix: row.prefix,
+      createdAt: row.created_at,
+      requests: row.requests,
+      ...(row.rate_limit !== null && { rateLimit: row.rate_limit }),
+      ...(row.revoked_at && { revokedAt: row.revoked_at }),
+      ...(row.last_used_at && { lastUsedAt: row.last_used_at })
+    };
+  }
+}
+
+// Export singleton instance
+export default new ApiKeyService();
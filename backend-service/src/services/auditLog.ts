@@ -0,0 +1,441 @@
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import logger from '../utils/logger';
+import config from '../config';
+import { AuditQuery, AuditRecord, InspectionContext, InspectionResult, OverrideItem, OverrideRecord, RiskLevel } from '../types';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS inspections (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    inspected_at TEXT NOT NULL,
+    filename TEXT NOT NULL,
+    file_type TEXT NOT NULL,
+    file_size INTEGER NOT NULL,
+    platform TEXT,
+    user TEXT,
+    ip TEXT,
+    risk_level TEXT NOT NULL,
+    secrets_found INTEGER NOT NULL,
+    processing_time INTEGER NOT NULL,
+    result TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_inspections_inspected_at ON inspections (inspected_at);
+  CREATE INDEX IF NOT EXISTS idx_inspections_risk_level ON inspections (risk_level);
+
+  CREATE TABLE IF NOT EXISTS findings (
+    inspection_id INTEGER NOT NULL REFERENCES inspections (id) ON DELETE CASCADE,
+    type TEXT NOT NULL,
+    risk_level TEXT NOT NULL,
+    confidence REAL NOT NULL,
+    page INTEGER,
+    origin TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_findings_inspection ON findings (inspection_id);
+  CREATE INDEX IF NOT EXISTS idx_findings_type ON findings (type);
+
+  CREATE TABLE IF NOT EXISTS overrides (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    overridden_at TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    filename TEXT,
+    platform TEXT,
+    user TEXT,
+    ip TEXT,
+    risk_level TEXT NOT NULL,
+    secret_types TEXT NOT NULL,
+    fingerprints TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_overrides_overridden_at ON overrides (overridden_at);
+`;
+
+const RISK_LEVELS: RiskLevel[] = ['NONE', 'LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+const OVERRIDE_KINDS: Array<OverrideItem['kind']> = ['file', 'prompt'];
+const MAX_OVERRIDE_ITEMS = 50;
+const MAX_OVERRIDE_FINDINGS = 200;
+const MAX_NAME_LENGTH = 255;
+// Salted fingerprints, as feedback hands them out
+const FINGERPRINT = /^[0-9a-f]{32}$/;
+
+// Everything but the stored result JSON, which list views don't need
+const SUMMARY_COLUMNS = ['id', 'inspected_at', 'filename', 'file_type', 'file_size', 'platform', 'user', 'ip',
+  'risk_level', 'secrets_found', 'processing_time'].map(column => `i.${column}`).join(', ');
+
+const CSV_COLUMNS: Array<keyof AuditRecord> = [
+  'id', 'inspectedAt', 'filename', 'fileType', 'fileSize', 'platform', 'user', 'ip',
+  'riskLevel', 'secretsFound', 'secretTypes', 'processingTime'
+];
+
+/**
+ * Audit Log Service
+ *
+ * Keeps every inspection in SQLite so security teams can answer "who
+ * uploaded what, where, and how bad was it" after the fact - and, from the
+ * extension, every blocked upload or prompt someone sent anyway. Only what's in
+ * the InspectionResult is stored - finding types, locations and masked
+ * context - so the database never holds a secret.
+ *
+ * Writes are synchronous (better-sqlite3) and cheap next to parsing a PDF.
+ */
+class AuditLogService {
+  private db: Database.Database | null = null;
+
+  /**
+   * Open (and if needed create) the database
+   * Called lazily on first use; tests call it with ':memory:'.
+   */
+  open(dbPath: string = config.audit.dbPath): void {
+    this.close();
+
+    if (dbPath !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(dbPath)), { recursive: true });
+    }
+
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.exec(SCHEMA);
+    logger.info(`Audit log at ${dbPath}`);
+  }
+
+  close(): void {
+    this.db?.close();
+    this.db = null;
+  }
+
+  /**
+   * Store one inspection
+   * Never throws - losing an audit row shouldn't fail the user's inspection.
+   */
+  record(result: InspectionResult, filename: string, context: InspectionContext = {}): number | null {
+    if (!config.audit.enabled) return null;
+
+    try {
+      const db = this.connection();
+      const insert = db.transaction(() => {
+        const { lastInsertRowid } = db.prepare(`
+          INSERT INTO inspections (inspected_at, filename, file_type, file_size, platform, user, ip,
+            risk_level, secrets_found, processing_time, result)
+          VALUES (@inspectedAt, @filename, @fileType, @fileSize, @platform, @user, @ip,
+            @riskLevel, @secretsFound, @processingTime, @result)
+        `).run({
+          inspectedAt: result.metadata.timestamp,
+          filename,
+          fileType: result.metadata.fileType,
+          fileSize: result.fileSize,
+          platform: context.platform ?? null,
+          user: context.user ?? null,
+          ip: context.ip ?? null,
+          riskLevel: result.riskLevel,
+          secretsFound: result.secretsFound,
+          processingTime: result.processingTime,
+          result: JSON.stringify(result)
+        });
+
+        const insertFinding = db.prepare(`
+          INSERT INTO findings (inspection_id, type, risk_level, confidence, page, origin)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `);
+        for (const secret of result.secrets) {
+          insertFinding.run(lastInsertRowid, secret.type, secret.riskLevel, secret.confidence,
+            secret.page ?? null, secret.origin ?? null);
+        }
+
+        return Number(lastInsertRowid);
+      });
+
+      return insert();
+    } catch (error) {
+      logger.logError(error as Error, { context: 'audit-log', filename });
+      return null;
+    }
+  }
+
+  /**
+   * Store blocked uploads or prompts a user sent anyway
+   * Unlike inspections, recording is all the caller wants here, so failures
+   * are thrown.
+   *
+   * @returns How many were stored (none with the audit log off)
+   */
+  recordOverrides(items: OverrideItem[], context: InspectionContext = {}): number {
+    if (!config.audit.enabled) return 0;
+
+    const db = this.connection();
+    const insert = db.prepare(`
+      INSERT INTO overrides (overridden_at, kind, filename, platform, user, ip, risk_level, secret_types, fingerprints)
+      VALUES (@overriddenAt, @kind, @filename, @platform, @user, @ip, @riskLevel, @secretTypes, @fingerprints)
+    `);
+    const overriddenAt = new Date().toISOString();
+
+    db.transaction(() => {
+      for (const item of items) {
+        insert.run({
+          overriddenAt,
+          kind: item.kind,
+          filename: item.filename ?? null,
+          platform: context.platform ?? null,
+          user: context.user ?? null,
+          ip: context.ip ?? null,
+          riskLevel: item.riskLevel,
+          secretTypes: JSON.stringify(item.secretTypes),
+          fingerprints: JSON.stringify(item.fingerprints)
+        });
+      }
+    })();
+
+    logger.warn('Blocked content sent anyway', { count: items.length, platform: context.platform, user: context.user });
+    return items.length;
+  }
+
+  /**
+   * The most recent overrides, newest first
+   */
+  overrides(limit: number = DEFAULT_PAGE_SIZE): OverrideRecord[] {
+    return this.connection()
+      .prepare('SELECT * FROM overrides ORDER BY overridden_at DESC, id DESC LIMIT ?')
+      .all(limit)
+      .map((row: any) => ({
+        id: row.id,
+        overriddenAt: row.overridden_at,
+        kind: row.kind,
+        ...(row.filename !== null && { filename: row.filename }),
+        platform: row.platform,
+        user: row.user,
+        ip: row.ip,
+        riskLevel: row.risk_level,
+        secretTypes: JSON.parse(row.secret_types),
+        fingerprints: JSON.parse(row.fingerprints)
+      }));
+  }
+
+  /**
+   * Turn an override report's body into OverrideItems
+   * Body: { kind?: 'file' | 'prompt', items: [{ filename?, riskLevel, secretTypes?, fingerprints? }] }
+   *
+   * @throws Error with a user-facing message for invalid input
+   */
+  parseOverrides(raw: Record<string, unknown>): OverrideItem[] {
+    const kind = (raw.kind ?? 'file') as OverrideItem['kind'];
+    if (!OVERRIDE_KINDS.includes(kind)) {
+      throw new Error(`kind must be one of ${OVERRIDE_KINDS.join(', ')}`);
+    }
+
+    const items = raw.items;
+    if (!Array.isArray(items) || items.length === 0 || items.length > MAX_OVERRIDE_ITEMS) {
+      throw new Error(`items must be a list of 1 to ${MAX_OVERRIDE_ITEMS} overrides`);
+    }
+
+    const strings = (value: unknown, name: string, what: string, valid: (item: string) => boolean): string[] => {
+      if (value === undefined) return [];
+      if (!Array.isArray(value) || value.length > MAX_OVERRIDE_FINDINGS || !value.every(item => typeof item === 'string' && valid(item))) {
+        throw new Error(`${name} must be a list of up to ${MAX_OVERRIDE_FINDINGS} ${what}`);
+      }
+      return value;
+    };
+
+    return items.map((item: any): OverrideItem => {
+      const riskLevel = typeof item?.riskLevel === 'string' ? item.riskLevel.toUpperCase() : '';
+      if (riskLevel !== 'UNKNOWN' && !RISK_LEVELS.includes(riskLevel as RiskLevel)) {
+        throw new Error(`Invalid riskLevel: ${item?.riskLevel}`);
+      }
+
+      const filename = typeof item.filename === 'string' ? item.filename.trim().slice(0, MAX_NAME_LENGTH) : '';
+      return {
+        kind,
+        ...(filename && { filename }),
+        riskLevel: riskLevel as OverrideItem['riskLevel'],
+        secretTypes: strings(item.secretTypes, 'secretTypes', 'finding types', type => type.length > 0 && type.length <= MAX_NAME_LENGTH),
+        fingerprints: strings(item.fingerprints, 'fingerprints', 'finding fingerprints', fingerprint => FINGERPRINT.test(fingerprint))
+      };
+    });
+  }
+
+  /**
+   * One page of inspections matching the filters, newest first
+   */
+  query(filters: AuditQuery): { total: number; page: number; pageSize: number; inspections: AuditRecord[] } {
+    const { where, params } = this.buildWhere(filters);
+    const db = this.connection();
+
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM inspections i ${where}`).get(params) as { total: number };
+    const rows = db.prepare(`
+      ${this.selectSql(where)}
+      LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit: filters.pageSize, offset: (filters.page - 1) * filters.pageSize });
+
+    return {
+      total,
+      page: filters.page,
+      pageSize: filters.pageSize,
+      inspections: rows.map(row => this.toRecord(row))
+    };
+  }
+
+  /**
+   * Every inspection matching the filters (pagination ignored), for export
+   */
+  *iterate(filters: AuditQuery): Generator<AuditRecord> {
+    const { where, params } = this.buildWhere(filters);
+    for (const row of this.connection().prepare(this.selectSql(where)).iterate(params)) {
+      yield this.toRecord(row);
+    }
+  }
+
+  /**
+   * A single inspection including the full stored result
+   */
+  get(id: number): AuditRecord | undefined {
+    const row = this.connection().prepare(this.selectSql('WHERE i.id = @id', true)).get({ id });
+    return row ? this.toRecord(row) : undefined;
+  }
+
+  /**
+   * Turn query string parameters into an AuditQuery
+   *
+   * @throws Error with a user-facing message for invalid values
+   */
+  parseQuery(raw: Record<string, unknown>): AuditQuery {
+    const text = (name: string): string | undefined => {
+      const value = raw[name];
+      return typeof value === 'string' && value.trim() ? value.trim() : undefined;
+    };
+
+    const date = (name: string, endOfDay: boolean): string | undefined => {
+      const value = text(name);
+      if (!value) return undefined;
+      // A bare date means the whole day
+      const input = /^\d{4}-\d{2}-\d{2}$/.test(value) && endOfDay ? `${value}T23:59:59.999Z` : value;
+      const parsed = new Date(input);
+      if (isNaN(parsed.getTime())) {
+        throw new Error(`Invalid date for ${name}: ${value}`);
+      }
+      return parsed.toISOString();
+    };
+
+    const riskLevels = text('riskLevel')?.split(',').map(level => level.trim().toUpperCase() as RiskLevel);
+    const invalidRisk = riskLevels?.find(level => !RISK_LEVELS.includes(level));
+    if (invalidRisk) {
+      throw new Error(`Invalid riskLevel: ${invalidRisk}`);
+    }
+
+    const page = parseInt(text('page') || '1', 10);
+    const pageSize = parseInt(text('pageSize') || String(DEFAULT_PAGE_SIZE), 10);
+    if (!(page >= 1) || !(pageSize >= 1 && pageSize <= MAX_PAGE_SIZE)) {
+      throw new Error(`page must be >= 1 and pageSize between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    const filters: AuditQuery = { page, pageSize };
+    const from = date('from', false);
+    const to = date('to', true);
+    const platform = text('platform');
+    const user = text('user');
+    const secretType = text('secretType');
+    const filename = text('filename');
+
+    return {
+      ...filters,
+      ...(from && { from }),
+      ...(to && { to }),
+      ...(riskLevels && { riskLevels }),
+      ...(platform && { platform }),
+      ...(user && { user }),
+      ...(secretType && { secretType }),
+      ...(filename && { filename })
+    };
+  }
+
+  csvHeader(): string {
+    return CSV_COLUMNS.join(',') + '\n';
+  }
+
+  csvRow(record: AuditRecord): string {
+    return CSV_COLUMNS.map(column => {
+      const value = record[column];
+      const text = Array.isArray(value) ? value.join(';') : value === null || value === undefined ? '' : String(value);
+      // A leading =, +, - or @ would be a formula in Excel - filenames are user input
+      const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+      return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+    }).join(',') + '\n';
+  }
+
+  private connection(): Database.Database {
+    if (!this.db) {
+      this.open();
+    }
+    return this.db as Database.Database;
+  }
+
+  private selectSql(where: string, withResult: boolean = false): string {
+    return `
+      SELECT ${withResult ? 'i.*' : SUMMARY_COLUMNS},
+        (SELECT GROUP_CONCAT(DISTINCT f.type) FROM findings f WHERE f.inspection_id = i.id) AS secret_types
+      FROM inspections i
+      ${where}
+      ORDER BY i.inspected_at DESC, i.id DESC
+    `;
+  }
+
+  private buildWhere(filters: AuditQuery): { where: string; params: Record<string, unknown> } {
+    const clauses: string[] = [];
+    const params: Record<string, unknown> = {};
+
+    if (filters.from) {
+      clauses.push('i.inspected_at >= @from');
+      params.from = filters.from;
+    }
+    if (filters.to) {
+      clauses.push('i.inspected_at <= @to');
+      params.to = filters.to;
+    }
+    if (filters.riskLevels && filters.riskLevels.length > 0) {
+      const names = filters.riskLevels.map((level, index) => {
+        params[`risk${index}`] = level;
+        return `@risk${index}`;
+      });
+      clauses.push(`i.risk_level IN (${names.join(', ')})`);
+    }
+    if (filters.platform) {
+      clauses.push('i.platform = @platform COLLATE NOCASE');
+      params.platform = filters.platform;
+    }
+    if (filters.user) {
+      clauses.push('i.user = @user');
+      params.user = filters.user;
+    }
+    if (filters.filename) {
+      clauses.push(`i.filename LIKE @filename ESCAPE '\\'`);
+      params.filename = `%${filters.filename.replace(/[\\%_]/g, match => `\\${match}`)}%`;
+    }
+    if (filters.secretType) {
+      clauses.push('EXISTS (SELECT 1 FROM findings f WHERE f.inspection_id = i.id AND f.type = @secretType COLLATE NOCASE)');
+      params.secretType = filters.secretType;
+    }
+
+    return { where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '', params };
+  }
+
+  private toRecord(row: any): AuditRecord {
+    return {
+      id: row.id,
+      inspectedAt: row.inspected_at,
+      filename: row.filename,
+      fileType: row.file_type,
+      fileSize: row.file_size,
+      platform: row.platform,
+      user: row.user,
+      ip: row.ip,
+      riskLevel: row.risk_level as RiskLevel,
+      secretsFound: row.secrets_found,
+      secretTypes: row.secret_types ? String(row.secret_types).split(',') : [],
+      processingTime: row.processing_time,
+      ...(row.result && { result: JSON.parse(row.result) })
+    };
+  }
+}
+
+// Export singleton instance
+export default new AuditLogService();
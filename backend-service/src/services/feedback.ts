@@ -0,0 +1,220 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import logger from '../utils/logger';
+import config from '../config';
+import { ApiClient, DetectedSecret, SuppressedRule, Suppression, SuppressionScope } from '../types';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS suppressions (
+    scope TEXT NOT NULL,
+    fingerprint TEXT NOT NULL,
+    rule TEXT NOT NULL,
+    reports INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL,
+    last_reported_at TEXT NOT NULL,
+    PRIMARY KEY (scope, fingerprint)
+  );
+  CREATE INDEX IF NOT EXISTS idx_suppressions_rule ON suppressions (rule);
+
+  CREATE TABLE IF NOT EXISTS settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+`;
+
+// Stored scope for organization-wide suppressions; API key ids are UUIDs, so it can't clash
+const ORGANIZATION = '*';
+
+const SCOPES: SuppressionScope[] = ['user', 'organization'];
+const FINGERPRINT = /^[0-9a-f]{32}$/;
+const MAX_RULE_LENGTH = 200;
+const DEFAULT_TOP_RULES = 20;
+
+/**
+ * Feedback Service
+ *
+ * "Not a secret" reports on findings, stored in SQLite as suppressions: a
+ * value reported once stops being a finding for whoever reported it - the
+ * API key, or the whole organization when an admin key says so. Reports
+ * always need a key: without one there's no telling whose findings to hide.
+ *
+ * Values are never stored or even sent back. Each finding a client sees
+ * carries a fingerprint, an HMAC of the detector's hash of its value under a
+ * server-side salt; that's what gets reported and matched later. Unlike a
+ * plain hash, it can't be checked against guesses ("is it hunter2?")
+ * without the salt.
+ */
+class FeedbackService {
+  private db: Database.Database | null = null;
+  private salt: string | null = null;
+
+  /**
+   * Open (and if needed create) the database
+   * Called lazily on first use; tests call it with ':memory:'.
+   */
+  open(dbPath: string = config.feedback.dbPath): void {
+    this.close();
+
+    if (dbPath !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(dbPath)), { recursive: true });
+    }
+
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+  }
+
+  close(): void {
+    this.db?.close();
+    this.db = null;
+    this.salt = null;
+  }
+
+  /**
+   * A finding's fingerprint as clients see it: the detector's, salted
+   */
+  fingerprintOf(secret: Pick<DetectedSecret, 'fingerprint'>): string {
+    return this.fingerprint(secret.fingerprint);
+  }
+
+  /**
+   * Findings minus those reported as not secrets
+   * A merged finding is dropped if any detector's view of it was reported.
+   *
+   * @param suppressed - From suppressionsFor
+   */
+  withoutSuppressed<T extends DetectedSecret>(secrets: T[], suppressed: Set<string>): T[] {
+    if (suppressed.size === 0) return secrets;
+
+    return secrets.filter(secret =>
+      ![secret.fingerprint, ...(secret.mergedFingerprints ?? [])].some(fingerprint => suppressed.has(this.fingerprint(fingerprint)))
+    );
+  }
+
+  /**
+   * Record a "not a secret" report
+   * Reporting the same value again in the same scope only counts the report.
+   *
+   * @param client - Who sent it
+   * @returns The suppression as stored
+   * @throws Error with a user-facing message for invalid input
+   */
+  report(input: { fingerprint?: unknown; rule?: unknown; scope?: unknown }, client: ApiClient): Suppression {
+    const fingerprint = typeof input.fingerprint === 'string' ? input.fingerprint.toLowerCase() : '';
+    if (!FINGERPRINT.test(fingerprint)) {
+      throw new Error('fingerprint must be the 32-character hex fingerprint of a finding');
+    }
+
+    const rule = typeof input.rule === 'string' ? input.rule.trim() : '';
+    if (!rule || rule.length > MAX_RULE_LENGTH) {
+      throw new Error(`rule is required (up to ${MAX_RULE_LENGTH} characters)`);
+    }
+
+    const scope = (input.scope ?? 'user') as SuppressionScope;
+    if (!SCOPES.includes(scope)) {
+      throw new Error(`scope must be one of ${SCOPES.join(', ')}`);
+    }
+    if (scope === 'organization' && client.role !== 'admin') {
+      throw new Error('Only admin keys can suppress a finding for the whole organization');
+    }
+
+    const stored = scope === 'organization' ? ORGANIZATION : client.id;
+    const now = new Date().toISOString();
+    const db = this.connection();
+
+    db.prepare(`
+      INSERT INTO suppressions (scope, fingerprint, rule, created_at, last_reported_at)
+      VALUES (@scope, @fingerprint, @rule, @now, @now)
+      ON CONFLICT (scope, fingerprint) DO UPDATE SET
+        rule = excluded.rule,
+        reports = reports + 1,
+        last_reported_at = excluded.last_reported_at
+    `).run({ scope: stored, fingerprint, rule, now });
+
+    logger.info(`${rule} finding reported as not a secret`, { scope, client: client.name });
+    return this.toSuppression(db.prepare('SELECT * FROM suppressions WHERE scope = ? AND fingerprint = ?').get(stored, fingerprint));
+  }
+
+  /**
+   * Fingerprints suppressed for a client: the organization's plus its own
+   *
+   * @returns The fingerprints, and a version that changes whenever they do
+   *   ('' when there are none) for keeping cached results apart
+   */
+  suppressionsFor(clientId?: string): { fingerprints: Set<string>; version: string } {
+    const rows = this.connection()
+      .prepare('SELECT DISTINCT fingerprint FROM suppressions WHERE scope IN (?, ?) ORDER BY fingerprint')
+      .all(ORGANIZATION, clientId ?? ORGANIZATION) as Array<{ fingerprint: string }>;
+
+    const fingerprints = rows.map(row => row.fingerprint);
+    return {
+      fingerprints: new Set(fingerprints),
+      version: fingerprints.length === 0
+        ? ''
+        : crypto.createHash('sha256').update(fingerprints.join(',')).digest('hex').substring(0, 12)
+    };
+  }
+
+  /**
+   * The rules with the most suppressed values, for tuning the detector
+   */
+  topRules(limit: number = DEFAULT_TOP_RULES): SuppressedRule[] {
+    return this.connection().prepare(`
+      SELECT rule,
+        COUNT(DISTINCT fingerprint) AS suppressions,
+        SUM(reports) AS reports,
+        COUNT(DISTINCT scope) AS scopes,
+        MAX(last_reported_at) AS last_reported_at
+      FROM suppressions
+      GROUP BY rule
+      ORDER BY suppressions DESC, reports DESC, rule
+      LIMIT ?
+    `).all(limit).map((row: any) => ({
+      rule: row.rule,
+      suppressions: row.suppressions,
+      reports: row.reports,
+      scopes: row.scopes,
+      lastReportedAt: row.last_reported_at
+    }));
+  }
+
+  private fingerprint(value: string): string {
+    return crypto.createHmac('sha256', this.getSalt()).update(value).digest('hex').substring(0, 32);
+  }
+
+  private connection(): Database.Database {
+    if (!this.db) {
+      this.open();
+    }
+    return this.db as Database.Database;
+  }
+
+  // FEEDBACK_SALT, or one generated the first time and kept with the suppressions it keys
+  private getSalt(): string {
+    if (config.feedback.salt) return config.feedback.salt;
+
+    if (this.salt === null) {
+      const db = this.connection();
+      db.prepare('INSERT OR IGNORE INTO settings (key, value) VALUES (?, ?)')
+        .run('salt', crypto.randomBytes(32).toString('hex'));
+      this.salt = (db.prepare('SELECT value FROM settings WHERE key = ?').get('salt') as { value: string }).value;
+    }
+    return this.salt;
+  }
+
+  private toSuppression(row: any): Suppression {
+    return {
+      fingerprint: row.fingerprint,
+      rule: row.rule,
+      scope: row.scope === ORGANIZATION ? 'organization' : 'user',
+      reports: row.reports,
+      createdAt: row.created_at,
+      lastReportedAt: row.last_reported_at
+    };
+  }
+}
+
+// Export singleton instance
+export default new FeedbackService();
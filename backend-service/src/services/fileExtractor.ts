@@ -0,0 +1,136 @@
+import path from 'path';
+import config from '../config';
+import pdfParser from './pdfParser';
+import officeParser from './officeParser';
+import textParser from './textParser';
+import { FileExtractor } from '../types';
+
+// Config, source and data files scanned as plain text
+const TEXT_EXTENSIONS = [
+  '.txt', '.log', '.md', '.csv', '.tsv',
+  '.env', '.ini', '.cfg', '.conf', '.properties', '.toml', '.yaml', '.yml', '.json', '.xml',
+  '.npmrc', '.pypirc', '.netrc', '.pgpass', '.htpasswd', '.pem', '.key', '.crt',
+  '.tf', '.tfvars', '.hcl', '.sql', '.sh', '.bash', '.zsh', '.ps1', '.bat',
+  '.js', '.jsx', '.ts', '.tsx', '.py', '.rb', '.php', '.java', '.kt', '.scala', '.go', '.rs',
+  '.c', '.h', '.cpp', '.hpp', '.cs', '.swift', '.gradle'
+];
+
+const TEXT_MIME_TYPES = [
+  'text/plain', 'text/markdown', 'text/csv', 'text/x-python', 'text/javascript',
+  'application/json', 'application/xml', 'text/xml', 'application/x-yaml', 'text/yaml', 'application/toml'
+];
+
+/**
+ * File Extractor Registry
+ *
+ * Maps an upload to the parser that can turn it into text. Each format is a
+ * FileExtractor; new formats only need to be registered here. Files are
+ * matched on extension first - browsers send `application/octet-stream` for
+ * half of what people upload - and MIME type second.
+ *
+ * `config.files.allowedTypes` limits which extractors are active: `*` for all,
+ * or any mix of extractor ids (`docx`) and MIME types (`application/pdf`).
+ */
+class FileExtractorService {
+  private extractors: FileExtractor[] = [];
+
+  register(extractor: FileExtractor): void {
+    this.extractors = this.extractors.filter(existing => existing.id !== extractor.id);
+    this.extractors.push(extractor);
+  }
+
+  /**
+   * Extractors allowed by the current config
+   */
+  getExtractors(): FileExtractor[] {
+    const allowed = config.files.allowedTypes;
+    if (allowed.includes('*')) return [...this.extractors];
+
+    return this.extractors.filter(extractor =>
+      allowed.includes(extractor.id) || extractor.mimeTypes.some(mimeType => allowed.includes(mimeType))
+    );
+  }
+
+  /**
+   * An active extractor by id
+   */
+  get(id: string): FileExtractor | undefined {
+    return this.getExtractors().find(extractor => extractor.id === id);
+  }
+
+  /**
+   * Find the extractor for an upload, if any
+   */
+  find(filename: string, mimeType?: string): FileExtractor | undefined {
+    const extractors = this.getExtractors();
+    const keys = this.fileKeys(filename);
+
+    return extractors.find(extractor => extractor.extensions.some(extension => keys.includes(extension)))
+      || (mimeType ? extractors.find(extractor => extractor.mimeTypes.includes(mimeType)) : undefined);
+  }
+
+  /**
+   * What the extension needs to decide which files to send us
+   */
+  getSupportedTypes(): { extensions: string[]; mimeTypes: string[]; extractors: string[] } {
+    const extractors = this.getExtractors();
+    return {
+      extensions: extractors.flatMap(extractor => extractor.extensions),
+      mimeTypes: extractors.flatMap(extractor => extractor.mimeTypes),
+      extractors: extractors.map(extractor => extractor.id)
+    };
+  }
+
+  /**
+   * Extensions a filename could be registered under
+   * `.env` has no extension as far as path.extname is concerned, and
+   * `.env.production` is still an env file.
+   */
+  private fileKeys(filename: string): string[] {
+    const base = path.basename(filename).toLowerCase();
+    const keys = [path.extname(base)];
+    if (base.startsWith('.')) keys.push(base);
+    if (base.startsWith('.env.')) keys.push('.env');
+    return keys.filter(Boolean);
+  }
+}
+
+const fileExtractor = new FileExtractorService();
+
+fileExtractor.register({
+  id: 'pdf',
+  extensions: ['.pdf'],
+  mimeTypes: ['application/pdf'],
+  extract: (filePath, onProgress, options) => pdfParser.extractText(filePath, onProgress, options?.password)
+});
+
+fileExtractor.register({
+  id: 'docx',
+  extensions: ['.docx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  extract: filePath => officeParser.extractText(filePath, 'docx')
+});
+
+fileExtractor.register({
+  id: 'xlsx',
+  extensions: ['.xlsx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  extract: filePath => officeParser.extractText(filePath, 'xlsx')
+});
+
+fileExtractor.register({
+  id: 'pptx',
+  extensions: ['.pptx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+  extract: filePath => officeParser.extractText(filePath, 'pptx')
+});
+
+fileExtractor.register({
+  id: 'text',
+  extensions: TEXT_EXTENSIONS,
+  mimeTypes: TEXT_MIME_TYPES,
+  extract: filePath => textParser.extractText(filePath)
+});
+
+// Export singleton instance
+export default fileExtractor;
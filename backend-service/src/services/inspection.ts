@@ -0,0 +1,337 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import logger from '../utils/logger';
+import secretDetector from './secretDetector';
+import auditLog from './auditLog';
+import metrics from './metrics';
+import alerts from './alerts';
+import resultCache from './resultCache';
+import feedback from './feedback';
+import { PdfEncryptedError } from './pdfWorkerPool';
+import { DetectedSecret, EncryptionState, ExtractedContent, FileExtractor, InspectionContext, InspectionResult, JobProgress } from '../types';
+
+// The parts of a multer upload we need
+export interface UploadedFile {
+  filename: string;
+  originalname: string;
+  path: string;
+  size: number;
+}
+
+export interface InspectOptions {
+  // Recorded with the result in the audit log
+  context?: InspectionContext;
+  // Stage changes, plus each page as it's extracted
+  onProgress?: (progress: JobProgress) => void;
+  // For an encrypted PDF. Only ever in memory, and results scanned with one are never cached
+  password?: string;
+}
+
+/**
+ * Inspection Service
+ *
+ * The extract -> detect -> response pipeline shared by the synchronous
+ * endpoints and async jobs.
+ */
+class InspectionService {
+
+  /**
+   * Extract, scan and build the response for an uploaded file
+   * The upload is removed afterwards whether or not this succeeds, and
+   * successful inspections are written to the audit log and queued for
+   * alerting. A file already scanned under the current rules is answered
+   * from the result cache instead.
+   *
+   * An encrypted PDF that can't be opened (no password, a wrong one) isn't an
+   * error: it comes back with status ENCRYPTED and verdict UNSCANNABLE, so
+   * clients can't mistake it for a clean file.
+   *
+   * Values the client (context.clientId) or its organization reported as not
+   * secrets are left out, so results are cached per set of suppressions.
+   *
+   * @param startTime - When the request came in, for processingTime
+   */
+  async inspect(
+    file: UploadedFile,
+    extractor: FileExtractor,
+    startTime: number,
+    options: InspectOptions = {}
+  ): Promise<InspectionResult> {
+    const { filename, originalname, path: filePath, size } = file;
+    const { context, onProgress, password } = options;
+    // Anyone with the hash can read the cache, so what a password unlocked stays out of it
+    const cacheable = password === undefined;
+
+    try {
+      const sha256 = await this.hashFile(filePath);
+      const suppressions = feedback.suppressionsFor(context?.clientId);
+      const version = this.cacheVersion(suppressions.version);
+      const cached = cacheable ? resultCache.get(sha256, version) : undefined;
+      if (cacheable) metrics.recordCacheLookup(cached !== undefined);
+      if (cached) {
+        logger.info(`Cache hit for ${filename} (sha256 ${sha256.substring(0, 12)}...)`);
+        return this.fromCache(cached, startTime, filename || 'unknown', originalname || filename || 'unknown', context);
+      }
+
+      logger.info(`Processing ${extractor.id.toUpperCase()}: ${filename} (${size} bytes)`);
+
+      onProgress?.({ stage: 'extracting' });
+      let content: ExtractedContent;
+      try {
+        content = await extractor.extract(filePath, (page, pages) => {
+          onProgress?.({ stage: 'extracting', page, pages });
+        }, { ...(password !== undefined && { password }) });
+      } catch (error) {
+        if (!(error instanceof PdfEncryptedError)) throw error;
+
+        const result = this.unscannable(filename || 'unknown', size, startTime, sha256, extractor.id, error.state);
+        auditLog.record(result, originalname || filename || 'unknown', context);
+        metrics.recordInspection(result, context);
+        if (cacheable) resultCache.set(sha256, version, result);
+        return result;
+      }
+
+      // Detect secrets in the body, metadata, annotations, form fields and attachments
+      onProgress?.({ stage: 'detecting', pages: content.pages });
+      // Missing pages mean a retry could find more, same as a local-only scan
+      let degraded = content.unreadablePages !== undefined;
+      const secrets = feedback.withoutSuppressed(await secretDetector.detectInDocument(content, originalname, reason => {
+        if (reason === 'api_error') degraded = true;
+      }), suppressions.fingerprints);
+
+      // Calculate risk level
+      const riskLevel = secretDetector.calculateRiskLevel(secrets);
+
+      const processingTime = Date.now() - startTime;
+
+      // Log results
+      if (secrets.length > 0) {
+        logger.logSecretDetection(filename || 'unknown', secrets, riskLevel);
+      }
+
+      logger.logFileProcessing(filename || 'unknown', size, processingTime);
+
+      const result: InspectionResult = {
+        filename: filename || 'unknown',
+        fileSize: size,
+        processingTime,
+        secretsFound: secrets.length,
+        riskLevel,
+        secrets: this.toResultSecrets(secrets),
+        status: 'SCANNED',
+        metadata: {
+          sha256,
+          pages: content.pages,
+          wordCount: content.wordCount,
+          pagesWithoutText: content.pagesWithoutText,
+          ocrPages: content.ocrPages,
+          fileType: extractor.id,
+          sectionsScanned: content.sections.map(section => section.origin),
+          ...(content.encryption && { encryption: content.encryption }),
+          ...(content.unreadablePages && { unreadablePages: content.unreadablePages }),
+          timestamp: new Date().toISOString()
+        }
+      };
+
+      const inspectionId = auditLog.record(result, originalname || filename || 'unknown', context);
+      metrics.recordInspection(result, context);
+      alerts.notify({
+        filename: originalname || filename || 'unknown',
+        fileType: extractor.id,
+        fileSize: size,
+        riskLevel,
+        secrets,
+        inspectionId,
+        ...(context && { context })
+      });
+
+      // Local-only because the API was down isn't what a later scan would find
+      if (!degraded && cacheable) {
+        resultCache.set(sha256, version, result);
+      }
+      return result;
+    } finally {
+      // Clean up uploaded file
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    }
+  }
+
+  /**
+   * Scan prompt text (pasted or typed into a chat composer)
+   * Same detection and response shape as a file, with fileType 'prompt' and
+   * no pages. Audit-logged like any other inspection.
+   *
+   * @param startTime - When the request came in, for processingTime
+   */
+  async inspectText(text: string, startTime: number, options: Pick<InspectOptions, 'context'> = {}): Promise<InspectionResult> {
+    const secrets = feedback.withoutSuppressed(
+      await secretDetector.detectSecrets(text),
+      feedback.suppressionsFor(options.context?.clientId).fingerprints
+    );
+    const riskLevel = secretDetector.calculateRiskLevel(secrets);
+
+    if (secrets.length > 0) {
+      logger.logSecretDetection('prompt', secrets, riskLevel);
+    }
+
+    const result: InspectionResult = {
+      filename: 'prompt',
+      fileSize: Buffer.byteLength(text),
+      processingTime: Date.now() - startTime,
+      secretsFound: secrets.length,
+      riskLevel,
+      secrets: this.toResultSecrets(secrets),
+      status: 'SCANNED',
+      metadata: {
+        pages: 0,
+        wordCount: text.split(/\s+/).filter(Boolean).length,
+        pagesWithoutText: [],
+        ocrPages: [],
+        fileType: 'prompt',
+        sectionsScanned: [],
+        timestamp: new Date().toISOString()
+      }
+    };
+
+    const inspectionId = auditLog.record(result, 'prompt', options.context);
+    metrics.recordInspection(result, options.context);
+    alerts.notify({
+      filename: 'prompt',
+      fileType: 'prompt',
+      fileSize: result.fileSize,
+      riskLevel,
+      secrets,
+      inspectionId,
+      ...(options.context && { context: options.context })
+    });
+    return result;
+  }
+
+  /**
+   * The cached result for a file's SHA-256 under the current rules, if any
+   * Lets clients skip the upload entirely. Unless `record` is false (a HEAD
+   * request just asking), a hit counts as an inspection in the audit log.
+   */
+  lookup(
+    sha256: string,
+    startTime: number,
+    options: { filename?: string; context?: InspectionContext; record?: boolean } = {}
+  ): InspectionResult | null {
+    const { version } = feedback.suppressionsFor(options.context?.clientId);
+    const cached = resultCache.get(sha256, this.cacheVersion(version));
+    const record = options.record !== false;
+    if (record) metrics.recordCacheLookup(cached !== undefined);
+    if (!cached) return null;
+
+    const filename = options.filename || 'unknown';
+    return this.fromCache(cached, startTime, filename, filename, options.context, record);
+  }
+
+  /**
+   * What a cached result has to have been scanned under: the current rules,
+   * and the same suppressions
+   */
+  private cacheVersion(suppressionsVersion: string): string {
+    const rulesVersion = secretDetector.rulesVersion();
+    return suppressionsVersion ? `${rulesVersion}:${suppressionsVersion}` : rulesVersion;
+  }
+
+  /**
+   * A cached result re-issued for a new request
+   * Audit-logged and counted like any inspection (when `record`), but not
+   * alerted on again - the first scan of this file already was.
+   */
+  private fromCache(
+    cached: InspectionResult,
+    startTime: number,
+    filename: string,
+    auditName: string,
+    context?: InspectionContext,
+    record: boolean = true
+  ): InspectionResult {
+    const result: InspectionResult = {
+      ...cached,
+      filename,
+      processingTime: Date.now() - startTime,
+      cached: true,
+      metadata: { ...cached.metadata, timestamp: new Date().toISOString() }
+    };
+
+    if (record) {
+      auditLog.record(result, auditName, context);
+      metrics.recordInspection(result, context);
+    }
+    return result;
+  }
+
+  /**
+   * The result for an encrypted PDF nothing could be read from
+   * NONE only because there are no findings - the verdict is what counts.
+   */
+  private unscannable(
+    filename: string,
+    fileSize: number,
+    startTime: number,
+    sha256: string,
+    fileType: string,
+    encryption: EncryptionState
+  ): InspectionResult {
+    logger.warn(`${filename} is encrypted and could not be scanned (${encryption})`);
+
+    return {
+      filename,
+      fileSize,
+      processingTime: Date.now() - startTime,
+      secretsFound: 0,
+      riskLevel: 'NONE',
+      secrets: [],
+      status: 'ENCRYPTED',
+      verdict: 'UNSCANNABLE',
+      metadata: {
+        sha256,
+        pages: 0,
+        wordCount: 0,
+        pagesWithoutText: [],
+        ocrPages: [],
+        fileType,
+        sectionsScanned: [],
+        encryption,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  private hashFile(filePath: string): Promise<string> {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject);
+    });
+  }
+
+  // Findings as clients see them - no masked value, and only the salted fingerprint they can report back
+  private toResultSecrets(secrets: DetectedSecret[]): InspectionResult['secrets'] {
+    return secrets.map(secret => ({
+      type: secret.type,
+      fingerprint: feedback.fingerprintOf(secret),
+      description: secret.description,
+      confidence: secret.confidence,
+      location: secret.location,
+      riskLevel: secret.riskLevel,
+      category: secret.category,
+      source: secret.source,
+      ...(secret.page !== undefined && { page: secret.page }),
+      ...(secret.pageOffset !== undefined && { pageOffset: secret.pageOffset }),
+      ...(secret.context !== undefined && { context: secret.context }),
+      ...(secret.extraction !== undefined && { extraction: secret.extraction }),
+      ...(secret.origin !== undefined && { origin: secret.origin })
+    }));
+  }
+}
+
+// Export singleton instance
+export default new InspectionService();
@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import logger from '../utils/logger';
+import config from '../config';
+import inspection, { UploadedFile } from './inspection';
+import { PdfLimitError } from './pdfWorkerPool';
+import { FileExtractor, InspectionContext, InspectionJob, JobProgress } from '../types';
+
+interface QueuedJob {
+  job: InspectionJob;
+  file: UploadedFile;
+  extractor: FileExtractor;
+  context: InspectionContext;
+  // For an encrypted PDF; dropped with the rest of this once the job has run
+  password?: string;
+  startTime: number;
+}
+
+// A job, and the API key it belongs to (none with auth off)
+interface TrackedJob {
+  job: InspectionJob;
+  clientId: string | undefined;
+}
+
+/**
+ * The queue already holds config.jobs.maxQueued jobs waiting to start
+ */
+export class JobQueueFullError extends Error {
+  constructor() {
+    super(`${config.jobs.maxQueued} jobs are already waiting, try again shortly`);
+    this.name = 'JobQueueFullError';
+  }
+}
+
+/**
+ * Inspection Job Queue
+ *
+ * Lets big documents be inspected without holding a request open: the upload
+ * is queued, the client gets an id straight away and follows along via
+ * polling or the event stream. Jobs run in this process, at most
+ * `config.jobs.concurrency` at a time, and live in memory only - a restart
+ * forgets them, which is fine for something the client is actively waiting on.
+ * To keep that memory bounded, only so many jobs can wait at once, and
+ * finished ones go after a while or once newer ones push them out.
+ *
+ * A job is only visible to the API key that submitted it.
+ *
+ * Emits `update` with the job on every change.
+ */
+class JobQueueService extends EventEmitter {
+  private jobs = new Map<string, TrackedJob>();
+  private queue: QueuedJob[] = [];
+  private running = 0;
+  // Ids of finished jobs, oldest first
+  private finished = new Set<string>();
+
+  constructor() {
+    super();
+    // One listener per open event stream
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Queue an uploaded file for inspection
+   *
+   * @param password - For an encrypted PDF; kept off the job itself, so it's never sent back
+   * @throws JobQueueFullError when too many jobs are waiting already; the upload is left to the caller
+   */
+  submit(file: UploadedFile, extractor: FileExtractor, context: InspectionContext = {}, password?: string): InspectionJob {
+    if (this.queue.length >= config.jobs.maxQueued) {
+      throw new JobQueueFullError();
+    }
+
+    const now = new Date().toISOString();
+    const job: InspectionJob = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      filename: file.originalname,
+      fileSize: file.size,
+      fileType: extractor.id,
+      progress: { stage: 'queued' },
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.jobs.set(job.id, { job, clientId: context.clientId });
+    this.queue.push({ job, file, extractor, context, startTime: Date.now(), ...(password !== undefined && { password }) });
+    logger.info(`Job ${job.id} queued for ${file.filename}`);
+
+    // Start on the next tick so the caller gets the job back while it's still queued
+    setImmediate(() => this.runNext());
+    return job;
+  }
+
+  /**
+   * A job, if it exists and belongs to the given API key
+   * Someone else's job looks the same as one that doesn't exist.
+   */
+  get(id: string, clientId?: string): InspectionJob | undefined {
+    const tracked = this.jobs.get(id);
+    return tracked && tracked.clientId === clientId ? tracked.job : undefined;
+  }
+
+  /**
+   * Drop queued jobs and their uploads (on shutdown)
+   */
+  clear(): void {
+    for (const { file } of this.queue) {
+      if (fs.existsSync(file.path)) {
+        fs.unlinkSync(file.path);
+      }
+    }
+    this.queue = [];
+  }
+
+  private runNext(): void {
+    while (this.running < config.jobs.concurrency && this.queue.length > 0) {
+      const next = this.queue.shift() as QueuedJob;
+      this.running++;
+      this.run(next).finally(() => {
+        this.running--;
+        this.runNext();
+      });
+    }
+  }
+
+  private async run({ job, file, extractor, context, password, startTime }: QueuedJob): Promise<void> {
+    this.update(job, { status: 'running' });
+
+    try {
+      const result = await inspection.inspect(file, extractor, startTime, {
+        context,
+        ...(password !== undefined && { password }),
+        onProgress: progress => this.setProgress(job, progress)
+      });
+      this.update(job, { status: 'completed', progress: { stage: 'done', pages: result.metadata.pages }, result });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      logger.logError(error as Error, { context: 'inspection-job', jobId: job.id });
+      this.update(job, {
+        status: 'failed',
+        progress: { ...job.progress, stage: 'done' },
+        error: message,
+        ...(error instanceof PdfLimitError && { errorCode: error.code })
+      });
+    }
+
+    this.retain(job);
+  }
+
+  /**
+   * Keep a finished job long enough for the client to collect the result
+   * Past config.jobs.maxFinished, the oldest go first.
+   */
+  private retain(job: InspectionJob): void {
+    this.finished.add(job.id);
+    for (const id of this.finished) {
+      if (this.finished.size <= config.jobs.maxFinished) break;
+      this.forget(id);
+    }
+    setTimeout(() => this.forget(job.id), config.jobs.ttlMs).unref();
+  }
+
+  private forget(id: string): void {
+    this.jobs.delete(id);
+    this.finished.delete(id);
+  }
+
+  private setProgress(job: InspectionJob, progress: JobProgress): void {
+    this.update(job, { progress });
+  }
+
+  private update(job: InspectionJob, changes: Partial<InspectionJob>): void {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    this.emit('update', job);
+  }
+}
+
+// Export singleton instance
+export default new JobQueueService();
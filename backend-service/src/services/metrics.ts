@@ -0,0 +1,188 @@
+import { Counter, Histogram, Registry, collectDefaultMetrics } from 'prom-client';
+import { DetectedSecret, FallbackReason, InspectionContext, InspectionResult, PdfLimitCode } from '../types';
+
+// Platform is whatever the client sends, so anything unexpected is lumped
+// together rather than becoming a new time series
+const KNOWN_PLATFORMS = ['ChatGPT', 'Claude', 'Bard'];
+
+// Why an upload (or prompt) was turned away before inspection
+export type RejectionReason = 'FILE_TOO_LARGE' | 'INVALID_FILE_TYPE' | 'RATE_LIMIT_EXCEEDED' | 'TEXT_TOO_LONG' | 'QUEUE_FULL';
+
+// What happened to one attempt at delivering an alert
+export type AlertOutcome = 'sent' | 'retry' | 'dropped';
+
+/**
+ * Metrics Service
+ *
+ * Prometheus counters and histograms for GET /metrics. Services record into
+ * it as they go; nothing here touches the request path beyond incrementing
+ * a number. Everything is prefixed `psi_` (PDF Secret Inspector), including
+ * the default Node.js process metrics.
+ */
+class MetricsService {
+  readonly registry = new Registry();
+
+  private readonly inspections = new Counter({
+    name: 'psi_inspections_total',
+    help: 'Completed inspections by overall risk level, platform and file type',
+    labelNames: ['risk_level', 'platform', 'file_type'],
+    registers: [this.registry]
+  });
+
+  private readonly findings = new Counter({
+    name: 'psi_findings_total',
+    help: 'Reported findings by type, detector and category',
+    labelNames: ['type', 'source', 'category'],
+    registers: [this.registry]
+  });
+
+  private readonly inspectionDuration = new Histogram({
+    name: 'psi_inspection_duration_seconds',
+    help: 'Time from request to inspection result, by file type',
+    labelNames: ['file_type'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120],
+    registers: [this.registry]
+  });
+
+  private readonly pdfParseFailures = new Counter({
+    name: 'psi_pdf_parse_failures_total',
+    help: 'PDFs that could not be parsed, by reason (a limit code, or error)',
+    labelNames: ['reason'],
+    registers: [this.registry]
+  });
+
+  private readonly promptSecurityDuration = new Histogram({
+    name: 'psi_prompt_security_request_duration_seconds',
+    help: 'Prompt Security API call latency, by outcome',
+    labelNames: ['outcome'],
+    buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10],
+    registers: [this.registry]
+  });
+
+  private readonly promptSecurityErrors = new Counter({
+    name: 'psi_prompt_security_errors_total',
+    help: 'Failed Prompt Security API calls by reason (timeout, connection, http, other)',
+    labelNames: ['reason'],
+    registers: [this.registry]
+  });
+
+  private readonly detections = new Counter({
+    name: 'psi_detections_total',
+    help: 'Texts run through secret detection (each document section counts)',
+    registers: [this.registry]
+  });
+
+  private readonly localFallbacks = new Counter({
+    name: 'psi_local_fallbacks_total',
+    help: 'Detections that had to rely on local patterns alone, by reason',
+    labelNames: ['reason'],
+    registers: [this.registry]
+  });
+
+  private readonly rejectedUploads = new Counter({
+    name: 'psi_rejected_uploads_total',
+    help: 'Requests turned away before inspection, by error code',
+    labelNames: ['reason'],
+    registers: [this.registry]
+  });
+
+  private readonly cacheLookups = new Counter({
+    name: 'psi_cache_lookups_total',
+    help: 'Result cache lookups by upload or hash, by result (hit, miss)',
+    labelNames: ['result'],
+    registers: [this.registry]
+  });
+
+  private readonly alertDeliveries = new Counter({
+    name: 'psi_alert_deliveries_total',
+    help: 'Alert delivery attempts by sink and outcome (sent, retry, dropped)',
+    labelNames: ['sink', 'outcome'],
+    registers: [this.registry]
+  });
+
+  constructor() {
+    collectDefaultMetrics({ register: this.registry, prefix: 'psi_' });
+  }
+
+  /**
+   * Count a finished inspection, its findings and how long it took
+   */
+  recordInspection(result: InspectionResult, context: InspectionContext = {}): void {
+    const platform = context.platform === undefined
+      ? 'unknown'
+      : KNOWN_PLATFORMS.includes(context.platform) ? context.platform : 'other';
+    const fileType = result.metadata.fileType;
+
+    this.inspections.inc({ risk_level: result.riskLevel, platform, file_type: fileType });
+    this.inspectionDuration.observe({ file_type: fileType }, result.processingTime / 1000);
+
+    for (const secret of result.secrets) {
+      this.findings.inc({ type: secret.type, source: this.sourceLabel(secret.source), category: secret.category });
+    }
+  }
+
+  recordPdfParseFailure(reason: PdfLimitCode | 'error'): void {
+    this.pdfParseFailures.inc({ reason });
+  }
+
+  /**
+   * Time a Prompt Security call
+   * Call the returned function when it's done, with the error if it failed.
+   */
+  startPromptSecurityCall(): (error?: unknown) => void {
+    const end = this.promptSecurityDuration.startTimer();
+    return (error?: unknown) => {
+      end({ outcome: error ? 'error' : 'success' });
+      if (error) {
+        this.promptSecurityErrors.inc({ reason: this.errorReason(error) });
+      }
+    };
+  }
+
+  recordDetection(): void {
+    this.detections.inc();
+  }
+
+  recordLocalFallback(reason: FallbackReason): void {
+    this.localFallbacks.inc({ reason });
+  }
+
+  recordRejection(reason: RejectionReason): void {
+    this.rejectedUploads.inc({ reason });
+  }
+
+  recordCacheLookup(hit: boolean): void {
+    this.cacheLookups.inc({ result: hit ? 'hit' : 'miss' });
+  }
+
+  recordAlertDelivery(sink: string, outcome: AlertOutcome): void {
+    this.alertDeliveries.inc({ sink, outcome });
+  }
+
+  /**
+   * Everything in the Prometheus text exposition format
+   */
+  async render(): Promise<string> {
+    return this.registry.metrics();
+  }
+
+  get contentType(): string {
+    return this.registry.contentType;
+  }
+
+  // Merged findings list every detector that agreed, in a stable order
+  private sourceLabel(source: DetectedSecret['source']): string {
+    return Array.isArray(source) ? [...source].sort().join('+') : source;
+  }
+
+  private errorReason(error: unknown): string {
+    const err = error as { code?: string; response?: unknown };
+    if (err?.code === 'ECONNABORTED' || err?.code === 'ETIMEDOUT') return 'timeout';
+    if (err?.code === 'ECONNREFUSED' || err?.code === 'ENOTFOUND' || err?.code === 'ECONNRESET') return 'connection';
+    if (err?.response) return 'http';
+    return 'other';
+  }
+}
+
+// Export singleton instance
+export default new MetricsService();
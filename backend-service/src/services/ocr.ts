@@ -0,0 +1,88 @@
+import { createWorker, Worker } from 'tesseract.js';
+import logger from '../utils/logger';
+import config from '../config';
+import pdfWorkerPool from './pdfWorkerPool';
+
+// Language data ships as an npm package so OCR never has to download anything
+const engData: { langPath: string; gzip: boolean } = require('@tesseract.js-data/eng');
+
+/**
+ * OCR Service
+ *
+ * Runs PDF pages that have no text layer (scans, screenshots) through
+ * Tesseract. The pages are drawn in pdfWorkerPool, like any other pdf.js
+ * work on an upload. Everything runs offline - the engine and English
+ * language data are bundled dependencies.
+ */
+class OcrService {
+  private worker: Promise<Worker> | null = null;
+
+  /**
+   * OCR the given pages of a PDF
+   *
+   * @param data - The PDF file contents
+   * @param pageNumbers - 1-based page numbers to recognize
+   * @param password - For an encrypted PDF
+   * @returns Recognized text by page number; pages that fail are left out
+   * @throws PdfLimitError when drawing the pages breaks a parsing limit
+   */
+  async recognizePages(data: Uint8Array, pageNumbers: number[], password?: string): Promise<Map<number, string>> {
+    const results = new Map<number, string>();
+    const pages = pageNumbers.slice(0, config.ocr.maxPages);
+
+    if (pages.length < pageNumbers.length) {
+      logger.warn('OCR page limit reached, some pages were not scanned', {
+        requested: pageNumbers.length,
+        limit: config.ocr.maxPages
+      });
+    }
+
+    const images = await pdfWorkerPool.render(data, pages, password);
+    const worker = await this.getWorker();
+
+    for (const { pageNumber, png } of images) {
+      try {
+        const { data: result } = await worker.recognize(Buffer.from(png.buffer, png.byteOffset, png.byteLength));
+        results.set(pageNumber, result.text);
+      } catch (error) {
+        logger.warn('OCR failed for page', {
+          pageNumber,
+          error: error instanceof Error ? error.message : 'Unknown error'
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Shut down the Tesseract worker (on server shutdown)
+   */
+  async terminate(): Promise<void> {
+    if (this.worker) {
+      const worker = await this.worker;
+      this.worker = null;
+      await worker.terminate();
+    }
+  }
+
+  /**
+   * The worker takes a moment to load its model, so it's created once and reused
+   */
+  private getWorker(): Promise<Worker> {
+    if (!this.worker) {
+      this.worker = createWorker('eng', 1, {
+        langPath: engData.langPath,
+        gzip: engData.gzip,
+        cacheMethod: 'none'
+      });
+      this.worker.catch(() => {
+        this.worker = null;
+      });
+    }
+    return this.worker;
+  }
+}
+
+// Export singleton instance
+export default new OcrService();
@@ -0,0 +1,245 @@
+import fs from 'fs';
+import JSZip from 'jszip';
+import logger from '../utils/logger';
+import { DocumentSection, ExtractedContent, PageText } from '../types';
+
+export type OfficeFormat = 'docx' | 'xlsx' | 'pptx';
+
+// Core properties that are timestamps or revision counters, never user text
+const GENERATED_PROPERTIES = new Set(['created', 'modified', 'lastPrinted', 'revision']);
+
+/**
+ * Office Document Parser Service
+ *
+ * DOCX, XLSX and PPTX are zip files of XML, so text extraction is reading the
+ * right parts and collecting their text runs. No layout is kept - we only need
+ * the text to scan. Pages are slides for PPTX and sheets for XLSX (in file
+ * order); a DOCX has no fixed pages, so its body is a single page.
+ *
+ * Comments, speaker notes, headers/footers and document properties come back
+ * as sections, like PDF annotations and metadata. Embedded objects (an Excel
+ * sheet pasted into a Word doc) are not opened.
+ */
+class OfficeParserService {
+
+  /**
+   * @param filePath - Path to the file on disk
+   * @param format - Which Office format the file is
+   * @throws Error if the file isn't a readable Office document
+   */
+  async extractText(filePath: string, format: OfficeFormat): Promise<ExtractedContent> {
+    try {
+      const zip = await JSZip.loadAsync(fs.readFileSync(filePath));
+      const { pages, sections } = format === 'docx'
+        ? await this.readDocx(zip)
+        : format === 'xlsx'
+          ? await this.readXlsx(zip)
+          : await this.readPptx(zip);
+
+      sections.push(...await this.readProperties(zip));
+      return this.toContent(pages, sections);
+    } catch (error) {
+      logger.error('Office document parsing failed', {
+        filePath,
+        format,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+      throw new Error(`Failed to parse ${format.toUpperCase()}: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  private async readDocx(zip: JSZip): Promise<{ pages: string[]; sections: DocumentSection[] }> {
+    const body = await this.readPart(zip, 'word/document.xml');
+    if (body === null) {
+      throw new Error('word/document.xml not found');
+    }
+
+    const sections: DocumentSection[] = [];
+    const parts: Array<[RegExp, string]> = [
+      [/^word\/header\d*\.xml$/, 'header'],
+      [/^word\/footer\d*\.xml$/, 'footer'],
+      [/^word\/comments\.xml$/, 'comments'],
+      [/^word\/footnotes\.xml$/, 'footnotes'],
+      [/^word\/endnotes\.xml$/, 'endnotes']
+    ];
+
+    for (const [pattern, origin] of parts) {
+      for (const name of this.partNames(zip, pattern)) {
+        sections.push({ origin, text: this.paragraphs(await this.readPart(zip, name) || '', 'w:p', 'w:t') });
+      }
+    }
+
+    return { pages: [this.paragraphs(body, 'w:p', 'w:t')], sections };
+  }
+
+  private async readXlsx(zip: JSZip): Promise<{ pages: string[]; sections: DocumentSection[] }> {
+    const sharedStrings = this.elements(await this.readPart(zip, 'xl/sharedStrings.xml') || '', 'si')
+      .map(item => this.texts(item, 't').join(''));
+
+    const sheetNames = this.partNames(zip, /^xl\/worksheets\/sheet\d+\.xml$/);
+    if (sheetNames.length === 0) {
+      throw new Error('No worksheets found');
+    }
+
+    const pages: string[] = [];
+    for (const name of sheetNames) {
+      const rows = this.elements(await this.readPart(zip, name) || '', 'row').map(row => {
+        const cells: string[] = [];
+        const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+        let cell: RegExpExecArray | null;
+
+        while ((cell = cellPattern.exec(row)) !== null) {
+          const type = /\bt="(\w+)"/.exec(cell[1] || '')?.[1];
+          const inner = cell[2] || '';
+          const value = this.texts(inner, 'v')[0] ?? '';
+
+          if (type === 's') {
+            cells.push(sharedStrings[parseInt(value, 10)] ?? '');
+          } else if (type === 'inlineStr') {
+            cells.push(this.texts(inner, 't').join(''));
+          } else {
+            cells.push(value);
+          }
+        }
+        return cells.join('\t');
+      });
+      pages.push(rows.join('\n'));
+    }
+
+    const sections: DocumentSection[] = [];
+    for (const name of this.partNames(zip, /^xl\/comments\d+\.xml$/)) {
+      sections.push({ origin: 'comments', text: this.texts(await this.readPart(zip, name) || '', 't').join('\n') });
+    }
+
+    return { pages, sections };
+  }
+
+  private async readPptx(zip: JSZip): Promise<{ pages: string[]; sections: DocumentSection[] }> {
+    const slideNames = this.partNames(zip, /^ppt\/slides\/slide\d+\.xml$/);
+    if (slideNames.length === 0) {
+      throw new Error('No slides found');
+    }
+
+    const pages: string[] = [];
+    const sections: DocumentSection[] = [];
+
+    for (const [index, name] of slideNames.entries()) {
+      pages.push(this.paragraphs(await this.readPart(zip, name) || '', 'a:p', 'a:t'));
+
+      // Speaker notes are linked from the slide's relationships, not numbered alongside it
+      const rels = await this.readPart(zip, name.replace('slides/', 'slides/_rels/') + '.rels') || '';
+      const notesTarget = /Target="\.\.\/notesSlides\/(notesSlide\d+\.xml)"/.exec(rels)?.[1];
+      if (notesTarget) {
+        const notes = await this.readPart(zip, `ppt/notesSlides/${notesTarget}`) || '';
+        sections.push({ origin: `notes p${index + 1}`, text: this.paragraphs(notes, 'a:p', 'a:t') });
+      }
+    }
+
+    for (const name of this.partNames(zip, /^ppt\/comments\/[^/]+\.xml$/)) {
+      const xml = await this.readPart(zip, name) || '';
+      sections.push({ origin: 'comments', text: [...this.texts(xml, 'p:text'), ...this.texts(xml, 'a:t')].join('\n') });
+    }
+
+    return { pages, sections };
+  }
+
+  /**
+   * Title, author, keywords etc. from docProps, plus custom properties
+   */
+  private async readProperties(zip: JSZip): Promise<DocumentSection[]> {
+    const sections: DocumentSection[] = [];
+
+    const core = await this.readPart(zip, 'docProps/core.xml') || '';
+    const corePattern = /<(\w+):(\w+)\b[^>]*>([^<]*)<\/\1:\2>/g;
+    let match: RegExpExecArray | null;
+    while ((match = corePattern.exec(core)) !== null) {
+      const [, , name = '', value = ''] = match;
+      if (!GENERATED_PROPERTIES.has(name)) {
+        sections.push({ origin: `info.${name}`, text: this.decodeEntities(value) });
+      }
+    }
+
+    const custom = await this.readPart(zip, 'docProps/custom.xml') || '';
+    const customPattern = /<property\b[^>]*\bname="([^"]*)"[^>]*>([\s\S]*?)<\/property>/g;
+    while ((match = customPattern.exec(custom)) !== null) {
+      const value = (match[2] || '').replace(/<[^>]+>/g, '');
+      sections.push({ origin: `info.${this.decodeEntities(match[1] || '')}`, text: this.decodeEntities(value) });
+    }
+
+    return sections;
+  }
+
+  /**
+   * Pages are joined with a newline, same bookkeeping as the PDF parser
+   */
+  private toContent(pages: string[], sections: DocumentSection[]): ExtractedContent {
+    const pageTexts: PageText[] = [];
+    let offset = 0;
+
+    pages.forEach((text, index) => {
+      pageTexts.push({ pageNumber: index + 1, text, offset, extraction: 'text' });
+      offset += text.length + 1;
+    });
+
+    const text = pages.join('\n');
+
+    return {
+      text,
+      pages: pages.length,
+      pageTexts,
+      pagesWithoutText: [],
+      ocrPages: [],
+      sections: sections.filter(section => section.text.trim().length > 0),
+      wordCount: text.split(/\s+/).filter(word => word.length > 0).length
+    };
+  }
+
+  /**
+   * Text of each paragraph element, one per line
+   */
+  private paragraphs(xml: string, paragraphTag: string, textTag: string): string {
+    return this.elements(xml, paragraphTag)
+      .map(paragraph => this.texts(paragraph, textTag).join(''))
+      .join('\n');
+  }
+
+  /**
+   * Contents of every <tag>...</tag> (self-closing ones are empty and skipped)
+   */
+  private elements(xml: string, tag: string): string[] {
+    const pattern = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g');
+    return Array.from(xml.matchAll(pattern), match => match[1] || '');
+  }
+
+  private texts(xml: string, tag: string): string[] {
+    return this.elements(xml, tag).map(text => this.decodeEntities(text));
+  }
+
+  /**
+   * Part names matching a pattern, in numeric order (slide2 before slide10)
+   */
+  private partNames(zip: JSZip, pattern: RegExp): string[] {
+    return Object.keys(zip.files)
+      .filter(name => pattern.test(name))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  }
+
+  private async readPart(zip: JSZip, name: string): Promise<string | null> {
+    const part = zip.file(name);
+    return part ? part.async('string') : null;
+  }
+
+  private decodeEntities(text: string): string {
+    return text
+      .replace(/&#x([0-9a-f]+);/gi, (_match, hex: string) => String.fromCodePoint(parseInt(hex, 16)))
+      .replace(/&#(\d+);/g, (_match, dec: string) => String.fromCodePoint(parseInt(dec, 10)))
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+}
+
+// Export singleton instance
+export default new OfficeParserService();
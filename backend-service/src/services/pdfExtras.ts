@@ -0,0 +1,143 @@
+import logger from '../utils/logger';
+import { openDocument } from '../utils/pdfjs';
+import { DocumentSection } from '../types';
+
+// Document info entries pdf.js fills in itself - flags and dates, never user text
+const GENERATED_INFO_KEYS = new Set([
+  'PDFFormatVersion', 'Language', 'EncryptFilterName', 'CreationDate', 'ModDate',
+  'IsLinearized', 'IsAcroFormPresent', 'IsXFAPresent', 'IsCollectionPresent', 'IsSignaturesPresent'
+]);
+
+export interface EmbeddedFile {
+  filename: string;
+  content: Uint8Array;
+}
+
+export interface PDFExtras {
+  sections: DocumentSection[];
+  attachments: EmbeddedFile[];
+}
+
+/**
+ * PDF Extras Service
+ *
+ * Collects the text a PDF carries outside its pages: document properties,
+ * XMP metadata, annotations (sticky notes, links), form field values and
+ * embedded files. None of it shows up in pdf-parse's text, but all of it
+ * goes along when the file is uploaded.
+ *
+ * Attachments are returned as raw bytes - deciding what to do with them
+ * (and recursing into attached PDFs) is up to the parser.
+ */
+class PDFExtrasService {
+
+  /**
+   * @param data - The PDF file contents
+   * @param password - For an encrypted PDF
+   * @throws Error if the document can't be opened
+   */
+  async extract(data: Uint8Array, password?: string): Promise<PDFExtras> {
+    const doc = await openDocument(data, password);
+
+    try {
+      const sections = await this.metadataSections(doc);
+      const attachments = this.toFiles(await doc.getAttachments());
+
+      for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+        const page = await doc.getPage(pageNumber);
+        const annotations: any[] = await page.getAnnotations();
+        for (const annotation of annotations) {
+          sections.push(...this.annotationSections(annotation, pageNumber));
+          if (annotation.file) {
+            attachments.push(...this.toFiles({ [annotation.file.filename]: annotation.file }));
+          }
+        }
+        page.cleanup();
+      }
+
+      return { sections, attachments: this.uniqueFiles(attachments) };
+    } finally {
+      await doc.destroy();
+    }
+  }
+
+  /**
+   * Document info dictionary (including custom properties) and XMP metadata
+   */
+  private async metadataSections(doc: any): Promise<DocumentSection[]> {
+    const sections: DocumentSection[] = [];
+
+    try {
+      const { info, metadata } = await doc.getMetadata();
+      const custom = info?.Custom && typeof info.Custom === 'object' ? info.Custom : {};
+
+      for (const [key, value] of Object.entries({ ...info, ...custom })) {
+        if (GENERATED_INFO_KEYS.has(key) || typeof value !== 'string' || !value.trim()) continue;
+        sections.push({ origin: `info.${key}`, text: value });
+      }
+
+      if (metadata) {
+        for (const [key, value] of Object.entries(metadata.getAll() as Record<string, unknown>)) {
+          const text = Array.isArray(value) ? value.join('\n') : value;
+          if (typeof text === 'string' && text.trim()) {
+            sections.push({ origin: `xmp.${key}`, text });
+          }
+        }
+      }
+    } catch (error) {
+      // Broken metadata shouldn't stop us from looking at the rest
+      logger.warn('Could not read PDF metadata', {
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+
+    return sections;
+  }
+
+  /**
+   * Text held by one annotation: form field values for widgets,
+   * the target for links, and the note text (plus author) for everything else
+   */
+  private annotationSections(annotation: any, pageNumber: number): DocumentSection[] {
+    if (annotation.subtype === 'Widget') {
+      const value = Array.isArray(annotation.fieldValue) ? annotation.fieldValue.join('\n') : annotation.fieldValue;
+      return typeof value === 'string' && value.trim()
+        ? [{ origin: `field:${annotation.fieldName || 'unnamed'} p${pageNumber}`, text: value }]
+        : [];
+    }
+
+    if (annotation.subtype === 'Link') {
+      return typeof annotation.url === 'string'
+        ? [{ origin: `link p${pageNumber}`, text: annotation.url }]
+        : [];
+    }
+
+    const text = [annotation.titleObj?.str, annotation.contentsObj?.str]
+      .filter((part): part is string => typeof part === 'string' && part.trim().length > 0)
+      .join('\n');
+    return text ? [{ origin: `annotation p${pageNumber}`, text }] : [];
+  }
+
+  private toFiles(attachments: Record<string, any> | null): EmbeddedFile[] {
+    return Object.entries(attachments || {})
+      .filter(([, file]) => file?.content instanceof Uint8Array)
+      .map(([name, file]) => ({ filename: String(file.filename || name), content: file.content }));
+  }
+
+  /**
+   * The same file can be both in the document's attachment list and
+   * behind a file attachment annotation
+   */
+  private uniqueFiles(files: EmbeddedFile[]): EmbeddedFile[] {
+    const seen = new Set<string>();
+    return files.filter(file => {
+      const key = `${file.filename}:${file.content.length}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+}
+
+// Export singleton instance
+export default new PDFExtrasService();
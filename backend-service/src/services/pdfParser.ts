@@ -1,14 +1,22 @@
-import pdfParse from 'pdf-parse';
 import fs from 'fs';
 import logger from '../utils/logger';
-import { PDFContent } from '../types';
+import config from '../config';
+import ocrService from './ocr';
+import pdfWorkerPool, { PdfEncryptedError, PdfLimitError } from './pdfWorkerPool';
+import metrics from './metrics';
+import { PDFContent, PDFLayout, PageLayout, PageText, TextItemLayout, CharSource, DocumentSection, PageProgressCallback, ParsedPdf } from '../types';
 
 /**
  * PDF Parser Service
  * 
  * Handles PDF text extraction with error handling and text normalization.
- * Initially tried pdf2pic for OCR support but decided to keep it simple
- * for the MVP. OCR can be added later if needed.
+ * pdf.js itself runs in pdfWorkerPool, under its time, memory and size
+ * limits - OCR's page drawing included; the text it returns is assembled
+ * and cleaned here.
+ * Pages without a text layer are sent to the OCR service, so a scanned
+ * `.env` screenshot doesn't come back as a clean, empty document.
+ * Metadata, annotations, form fields and attachments come back as
+ * labelled sections alongside the page text.
  */
 class PDFParserService {
   
@@ -16,45 +24,226 @@ class PDFParserService {
    * Extract text content from PDF file
    * 
    * @param filePath - Path to the PDF file on disk
+   * @param onProgress - Called after each page of the uploaded document is read
+   * @param password - For an encrypted PDF; only used in memory
    * @returns Promise containing extracted text and metadata
-   * @throws Error if PDF parsing fails
+   * @throws PdfLimitError if the file breaks a parsing limit, PdfEncryptedError if
+   *   it's encrypted and can't be opened, Error if parsing fails
    */
-  async extractText(filePath: string): Promise<PDFContent> {
+  async extractText(filePath: string, onProgress?: PageProgressCallback, password?: string): Promise<PDFContent> {
+    const { content } = await this.extractLayout(filePath, onProgress, password);
+    return content;
+  }
+
+  /**
+   * Extract text content along with where each character sits on the page
+   *
+   * Used by redaction, which needs to turn a finding's page offset back
+   * into coordinates. Offsets are identical to those from extractText.
+   *
+   * @param filePath - Path to the PDF file on disk
+   * @throws PdfLimitError if the file breaks a parsing limit, PdfEncryptedError if
+   *   it's encrypted and can't be opened, Error if parsing fails
+   */
+  async extractLayout(filePath: string, onProgress?: PageProgressCallback, password?: string): Promise<PDFLayout> {
     try {
-      const dataBuffer = fs.readFileSync(filePath);
-      const data = await pdfParse(dataBuffer);
-      
-      // Clean up the extracted text
-      const cleanedText = this.cleanText(data.text);
-      
-      return {
-        text: cleanedText,
-        pages: data.numpages,
-        wordCount: this.countWords(cleanedText),
-        metadata: data.metadata || {},
-        info: data.info || {}
-      };
+      const data = await fs.promises.readFile(filePath);
+      return await this.buildLayout(data, await pdfWorkerPool.parse(data, onProgress, password), password);
     } catch (error) {
+      // Not a parser failure - the caller reports it as unscannable
+      if (error instanceof PdfEncryptedError) throw error;
+
       logger.error('PDF parsing failed', { 
         filePath, 
         error: error instanceof Error ? error.message : 'Unknown error' 
       });
+      metrics.recordPdfParseFailure(error instanceof PdfLimitError ? error.code : 'error');
+      if (error instanceof PdfLimitError) throw error;
       throw new Error(`Failed to parse PDF: ${error instanceof Error ? error.message : 'Unknown error'}`);
     }
   }
 
+  /**
+   * Turn what the worker parsed into page text, OCRing pages that have none
+   * Attached PDFs go through it too, for their own OCR.
+   *
+   * @param data - The document's bytes, for OCR
+   * @param password - The document's password, for OCR too
+   */
+  private async buildLayout(data: Uint8Array, parsed: ParsedPdf, password?: string): Promise<PDFLayout> {
+    const builtPages = parsed.pages.map(rendered => this.buildPageText(rendered.items));
+    const pagesWithoutText = builtPages
+      .map((built, index) => (built.text ? 0 : index + 1))
+      .filter(pageNumber => pageNumber > 0);
+    const ocrTexts = await this.recognizeMissingText(data, pagesWithoutText, password);
+
+    const pages: PageLayout[] = [];
+    const pageTexts: PageText[] = [];
+    let offset = 0;
+
+    parsed.pages.forEach((rendered, index) => {
+      const pageNumber = index + 1;
+      const ocrText = ocrTexts.get(pageNumber);
+      const built = builtPages[index] as { text: string; charMap: Array<CharSource | null> };
+
+      // OCR text has no text items behind it, so nothing to map characters to
+      const { text, charMap } = ocrText !== undefined
+        ? { text: ocrText, charMap: new Array<CharSource | null>(ocrText.length).fill(null) }
+        : built;
+
+      pages.push({ pageNumber, width: rendered.width, height: rendered.height, items: rendered.items, charMap });
+      pageTexts.push({ pageNumber, text, offset, extraction: ocrText !== undefined ? 'ocr' : 'text' });
+      offset += text.length + 1; // Pages are joined with a single space
+    });
+
+    const cleanedText = pageTexts.map(page => page.text).join(' ');
+    const unreadablePages = (parsed.unreadablePages ?? []).filter(pageNumber => !ocrTexts.has(pageNumber));
+
+    if (pagesWithoutText.length > ocrTexts.size) {
+      logger.warn('Some pages have no text layer and were not OCRed', {
+        pagesWithoutText,
+        ocrPages: Array.from(ocrTexts.keys())
+      });
+    }
+    
+    return {
+      content: {
+        text: cleanedText,
+        pages: parsed.numPages,
+        pageTexts,
+        pagesWithoutText,
+        ocrPages: Array.from(ocrTexts.keys()),
+        sections: await this.buildSections(parsed),
+        wordCount: this.countWords(cleanedText),
+        ...(parsed.encryption && { encryption: parsed.encryption }),
+        ...(unreadablePages.length > 0 && { unreadablePages }),
+        metadata: parsed.metadata,
+        info: parsed.info
+      },
+      pages
+    };
+  }
+
+  /**
+   * Everything outside the page body, as cleaned and labelled sections
+   * Attached PDFs contribute their body and sections, labels prefixed with
+   * the attachment; text attachments are scanned as-is.
+   */
+  private async buildSections(parsed: ParsedPdf): Promise<DocumentSection[]> {
+    const sections: DocumentSection[] = [...parsed.sections];
+
+    for (const attachment of parsed.attachments) {
+      const origin = `attachment:${attachment.filename}`;
+
+      if (attachment.pdf && attachment.data) {
+        const nested = await this.buildLayout(attachment.data, attachment.pdf);
+        sections.push({ origin, text: nested.content.text });
+        sections.push(...nested.content.sections.map(section => ({
+          origin: `${origin} > ${section.origin}`,
+          text: section.text
+        })));
+      } else if (attachment.text !== undefined) {
+        sections.push({ origin, text: attachment.text });
+      }
+    }
+
+    return sections
+      .map(section => ({ origin: section.origin, text: this.cleanText(section.text).text }))
+      .filter(section => section.text.length > 0);
+  }
+
+  /**
+   * OCR pages that have no text layer, returning cleaned text by page number
+   * OCR problems are logged rather than thrown - the text layer results are
+   * still worth returning, and pagesWithoutText tells the caller about the gap.
+   * Breaking a parsing limit while drawing the pages refuses the file, though.
+   */
+  private async recognizeMissingText(data: Uint8Array, pageNumbers: number[], password?: string): Promise<Map<number, string>> {
+    const texts = new Map<number, string>();
+    if (!config.ocr.enabled || pageNumbers.length === 0) return texts;
+
+    try {
+      const recognized = await ocrService.recognizePages(data, pageNumbers, password);
+      recognized.forEach((raw, pageNumber) => {
+        texts.set(pageNumber, this.cleanText(raw).text);
+      });
+    } catch (error) {
+      if (error instanceof PdfLimitError) throw error;
+      logger.warn('OCR unavailable', {
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+
+    return texts;
+  }
+
+  /**
+   * Join text items into cleaned page text, remembering where each character came from
+   *
+   * Same approach as pdf-parse's default renderer: a change in y position
+   * starts a new line. The result is then run through cleanText.
+   */
+  private buildPageText(items: TextItemLayout[]): { text: string; charMap: Array<CharSource | null> } {
+    let raw = '';
+    const rawSources: Array<CharSource | null> = [];
+    let lastY: number | undefined;
+
+    items.forEach((item, itemIndex) => {
+      if (lastY !== undefined && lastY !== item.y) {
+        raw += '\n';
+        rawSources.push(null);
+      }
+      for (let i = 0; i < item.str.length; i++) {
+        rawSources.push({ item: itemIndex, index: i });
+      }
+      raw += item.str;
+      lastY = item.y;
+    });
+
+    const { text, map } = this.cleanText(raw);
+    return { text, charMap: map.map(rawIndex => rawSources[rawIndex] ?? null) };
+  }
+
   /**
    * Clean and normalize extracted text
    * 
    * PDFs can have weird formatting, so we normalize whitespace
    * and remove non-printable characters that might interfere
    * with pattern matching.
+   *
+   * Done character by character so offsets in the cleaned text can be
+   * traced back to the raw text (map[i] = raw index of char i).
    */
-  private cleanText(text: string): string {
-    return text
-      .replace(/\s+/g, ' ')  // Normalize whitespace
-      .replace(/[^\x20-\x7E\n]/g, '') // Remove non-printable chars
-      .trim();
+  private cleanText(text: string): { text: string; map: number[] } {
+    const chars: string[] = [];
+    const map: number[] = [];
+    let inWhitespace = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i] as string;
+      if (/\s/.test(ch)) {
+        if (!inWhitespace) {
+          chars.push(' ');
+          map.push(i);
+        }
+        inWhitespace = true;
+        continue;
+      }
+      inWhitespace = false;
+
+      const code = ch.charCodeAt(0);
+      if (code >= 0x20 && code <= 0x7e) {
+        chars.push(ch);
+        map.push(i);
+      }
+    }
+
+    let start = 0;
+    let end = chars.length;
+    while (start < end && chars[start] === ' ') start++;
+    while (end > start && chars[end - 1] === ' ') end--;
+
+    return { text: chars.slice(start, end).join(''), map: map.slice(start, end) };
   }
 
   /**
@@ -0,0 +1,147 @@
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { DetectedSecret, PDFLayout, PageLayout, RedactionSummary, RiskLevel, TextItemLayout } from '../types';
+
+// Padding around each black box so glyph edges don't peek out
+const BOX_PADDING = 1;
+
+// Types listed by name in a summary; it goes out as a response header, so it can't grow with the file
+const MAX_SUMMARY_TYPES = 20;
+
+/**
+ * PDF Redaction Service
+ *
+ * Produces a sanitized copy of a PDF with every located secret blacked out.
+ *
+ * We rebuild each page from its text layer instead of painting boxes over the
+ * original: a box drawn on top still leaves the secret in the content stream,
+ * where any text extractor (including the AI platform's) will find it. The
+ * trade-off is that images and styling don't survive - the copy is meant for
+ * sharing the text with an AI tool, not for archiving.
+ */
+class PDFRedactorService {
+
+  /**
+   * Build the redacted copy
+   *
+   * @param layout - Layout from pdfParser.extractLayout
+   * @param secrets - Findings for layout.content, with page and pageOffset set
+   * @returns The new PDF as a Buffer
+   */
+  async redact(layout: PDFLayout, secrets: DetectedSecret[]): Promise<Buffer> {
+    const doc = await PDFDocument.create();
+    const font = await doc.embedFont(StandardFonts.Helvetica);
+
+    for (const pageLayout of layout.pages) {
+      const page = doc.addPage([pageLayout.width, pageLayout.height]);
+      const redacted = this.redactedChars(pageLayout, secrets);
+
+      pageLayout.items.forEach((item, itemIndex) => {
+        for (const run of this.splitRuns(item, redacted.get(itemIndex))) {
+          const x = item.x + item.width * (run.start / item.str.length);
+          const width = item.width * ((run.end - run.start) / item.str.length);
+
+          if (run.redacted) {
+            page.drawRectangle({
+              x: x - BOX_PADDING,
+              y: item.y - item.fontSize * 0.25 - BOX_PADDING,
+              width: width + BOX_PADDING * 2,
+              height: item.fontSize + BOX_PADDING * 2,
+              color: rgb(0, 0, 0)
+            });
+          } else {
+            const text = this.toWinAnsi(item.str.slice(run.start, run.end));
+            if (text.trim()) {
+              page.drawText(text, { x, y: item.y, size: item.fontSize, font });
+            }
+          }
+        }
+      });
+    }
+
+    // Classic xref table - older readers choke on pdf-lib's object streams
+    return Buffer.from(await doc.save({ useObjectStreams: false }));
+  }
+
+  /**
+   * Summarize what redact() blacked out, as counts by type
+   * Findings without a page couldn't be located, so they are still in the copy.
+   * Past MAX_SUMMARY_TYPES types, the least common are counted as "Other".
+   */
+  summarize(secrets: DetectedSecret[], riskLevel: RiskLevel): RedactionSummary {
+    const located = secrets.filter(secret => secret.page !== undefined && secret.pageOffset !== undefined);
+
+    const counts = new Map<string, number>();
+    located.forEach(secret => counts.set(secret.type, (counts.get(secret.type) ?? 0) + 1));
+    const sorted = Array.from(counts).sort(([, a], [, b]) => b - a);
+
+    const types: Record<string, number> = Object.fromEntries(sorted.slice(0, MAX_SUMMARY_TYPES));
+    const rest = sorted.slice(MAX_SUMMARY_TYPES).reduce((sum, [, count]) => sum + count, 0);
+    if (rest > 0) types.Other = (types.Other ?? 0) + rest;
+
+    return {
+      secretsRedacted: located.length,
+      unlocated: secrets.length - located.length,
+      riskLevel,
+      complete: located.length === secrets.length,
+      types
+    };
+  }
+
+  /**
+   * Work out which characters of which text items belong to a finding
+   *
+   * @returns Map of item index to the set of character indexes to black out
+   */
+  private redactedChars(pageLayout: PageLayout, secrets: DetectedSecret[]): Map<number, Set<number>> {
+    const redacted = new Map<number, Set<number>>();
+
+    for (const secret of secrets) {
+      if (secret.page !== pageLayout.pageNumber || secret.pageOffset === undefined) continue;
+
+      // Masked values keep the original length
+      for (let i = 0; i < secret.value.length; i++) {
+        const source = pageLayout.charMap[secret.pageOffset + i];
+        if (!source) continue;
+
+        if (!redacted.has(source.item)) {
+          redacted.set(source.item, new Set());
+        }
+        redacted.get(source.item)!.add(source.index);
+      }
+    }
+
+    return redacted;
+  }
+
+  /**
+   * Split an item's text into alternating redacted / kept runs
+   */
+  private splitRuns(item: TextItemLayout, redacted: Set<number> | undefined): Array<{ start: number; end: number; redacted: boolean }> {
+    if (!redacted || redacted.size === 0) {
+      return [{ start: 0, end: item.str.length, redacted: false }];
+    }
+
+    const runs: Array<{ start: number; end: number; redacted: boolean }> = [];
+    for (let i = 0; i < item.str.length; i++) {
+      const isRedacted = redacted.has(i);
+      const last = runs[runs.length - 1];
+      if (last && last.redacted === isRedacted) {
+        last.end = i + 1;
+      } else {
+        runs.push({ start: i, end: i + 1, redacted: isRedacted });
+      }
+    }
+    return runs;
+  }
+
+  /**
+   * The standard Helvetica font only covers WinAnsi, so anything
+   * outside printable ASCII is swapped for a placeholder
+   */
+  private toWinAnsi(text: string): string {
+    return text.replace(/[^\x20-\x7E]/g, '?');
+  }
+}
+
+// Export singleton instance
+export default new PDFRedactorService();
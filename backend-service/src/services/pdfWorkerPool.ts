@@ -0,0 +1,231 @@
+import path from 'path';
+import { Worker } from 'worker_threads';
+import config from '../config';
+import logger from '../utils/logger';
+import { EncryptionState, PageImage, PageProgressCallback, ParsedPdf, PdfLimitCode, PdfWorkerRequest } from '../types';
+
+/**
+ * A PDF that broke one of the parsing limits
+ * Unlike other parse errors these are about the file, not the server,
+ * so the code goes back to the client as-is.
+ */
+export class PdfLimitError extends Error {
+  constructor(readonly code: PdfLimitCode, message: string) {
+    super(message);
+    this.name = 'PdfLimitError';
+  }
+}
+
+/**
+ * An encrypted PDF that couldn't be opened: no password, the wrong one, or
+ * encryption pdf.js doesn't support
+ */
+export class PdfEncryptedError extends Error {
+  constructor(readonly state: EncryptionState) {
+    super(state === 'unsupported' ? 'PDF uses encryption that is not supported' : 'PDF is password-protected');
+    this.name = 'PdfEncryptedError';
+  }
+}
+
+interface PoolTask {
+  request: PdfWorkerRequest;
+  onProgress: PageProgressCallback | undefined;
+  resolve: (result: any) => void;
+  reject: (error: Error) => void;
+}
+
+interface PoolWorker {
+  worker: Worker;
+  task: PoolTask | null;
+  timer: NodeJS.Timeout | null;
+}
+
+// What workers/pdfParseWorker sends back
+type WorkerMessage =
+  | { type: 'progress'; page: number; pages: number }
+  | { type: 'log'; level: string; message: string; meta: Record<string, any> }
+  | { type: 'done'; parsed: ParsedPdf }
+  | { type: 'rendered'; images: PageImage[] }
+  | { type: 'encrypted'; state: EncryptionState }
+  | { type: 'error'; message: string; code?: PdfLimitCode };
+
+/**
+ * PDF Worker Pool
+ *
+ * Parses PDFs in worker threads, one file per worker at a time, so a
+ * malformed or hostile PDF can't stall the event loop or take the whole
+ * server's heap with it. Each worker runs with a heap cap; a file that
+ * runs past the timeout or the cap gets its worker killed and replaced.
+ *
+ * Drawing pages for OCR is pdf.js on the same untrusted bytes, so it runs
+ * here too, as a task of its own under the same limits.
+ *
+ * Workers start on first use, up to config.pdf.workers, and don't keep
+ * the process alive while idle.
+ */
+class PdfWorkerPool {
+  private workers: PoolWorker[] = [];
+  private queue: PoolTask[] = [];
+
+  /**
+   * Parse a PDF in the next free worker
+   *
+   * @param data - File contents; the worker gets a copy
+   * @param onProgress - Called after each page of the document (not its attachments) is read
+   * @param password - For an encrypted PDF
+   * @throws PdfLimitError when the file breaks a limit, PdfEncryptedError when it
+   *   can't be decrypted, Error when it can't be parsed
+   */
+  parse(data: Uint8Array, onProgress?: PageProgressCallback, password?: string): Promise<ParsedPdf> {
+    const limits = { maxPages: config.pdf.maxPages, maxStreamBytes: config.pdf.maxStreamBytes };
+    return this.run({ kind: 'parse', data, limits, ...(password !== undefined && { password }) }, onProgress);
+  }
+
+  /**
+   * Draw pages of a PDF as PNGs for OCR, in the next free worker
+   *
+   * @param pageNumbers - 1-based page numbers; pages that fail to draw are left out
+   * @param password - For an encrypted PDF
+   * @throws PdfLimitError when drawing runs past the timeout or heap cap, Error
+   *   when the document can't be opened
+   */
+  render(data: Uint8Array, pageNumbers: number[], password?: string): Promise<PageImage[]> {
+    const limits = { dpi: config.ocr.dpi, maxPixels: config.ocr.maxPixels };
+    return this.run({ kind: 'render', data, pageNumbers, limits, ...(password !== undefined && { password }) });
+  }
+
+  /**
+   * Stop every worker, failing whatever is queued or in progress
+   */
+  async close(): Promise<void> {
+    const workers = this.workers;
+    this.workers = [];
+
+    for (const task of this.queue.splice(0)) {
+      task.reject(new Error('PDF parser is shutting down'));
+    }
+    await Promise.all(workers.map(entry => {
+      entry.task?.reject(new Error('PDF parser is shutting down'));
+      this.release(entry);
+      return entry.worker.terminate().catch(() => undefined);
+    }));
+  }
+
+  private run<T>(request: PdfWorkerRequest, onProgress?: PageProgressCallback): Promise<T> {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ request, onProgress, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  private dispatch(): void {
+    while (this.queue.length > 0) {
+      let entry = this.workers.find(candidate => !candidate.task);
+      if (!entry) {
+        if (this.workers.length >= Math.max(1, config.pdf.workers)) return;
+        entry = this.spawn();
+      }
+      this.start(entry, this.queue.shift() as PoolTask);
+    }
+  }
+
+  private start(entry: PoolWorker, task: PoolTask): void {
+    entry.task = task;
+    entry.worker.ref();
+    entry.timer = setTimeout(() => {
+      this.retire(entry, new PdfLimitError('PARSE_TIMEOUT', `PDF took more than ${config.pdf.timeoutMs / 1000}s to parse`));
+    }, config.pdf.timeoutMs);
+
+    // A copy of its own, moved rather than cloned into the worker
+    const data = new Uint8Array(task.request.data);
+    entry.worker.postMessage({ ...task.request, data }, [data.buffer]);
+  }
+
+  private spawn(): PoolWorker {
+    const { file, execArgv } = this.script();
+    const worker = new Worker(file, {
+      execArgv,
+      resourceLimits: { maxOldGenerationSizeMb: config.pdf.maxHeapMb }
+    });
+    const entry: PoolWorker = { worker, task: null, timer: null };
+    worker.unref();
+
+    worker.on('message', (message: WorkerMessage) => this.onMessage(entry, message));
+    worker.on('error', error => {
+      this.retire(entry, (error as NodeJS.ErrnoException).code === 'ERR_WORKER_OUT_OF_MEMORY'
+        ? new PdfLimitError('PARSE_MEMORY_LIMIT', `PDF needed more than ${config.pdf.maxHeapMb}MB of memory to parse`)
+        : error);
+    });
+    // Only reached here when it wasn't retired on purpose
+    worker.on('exit', code => this.retire(entry, new Error(`PDF parser exited unexpectedly (code ${code})`)));
+
+    this.workers.push(entry);
+    return entry;
+  }
+
+  private onMessage(entry: PoolWorker, message: WorkerMessage): void {
+    if (message.type === 'log') {
+      logger.log(message.level, message.message, message.meta);
+      return;
+    }
+
+    const task = entry.task;
+    if (!task) return;
+
+    if (message.type === 'progress') {
+      task.onProgress?.(message.page, message.pages);
+      return;
+    }
+
+    this.release(entry);
+    if (message.type === 'done') {
+      task.resolve(message.parsed);
+    } else if (message.type === 'rendered') {
+      task.resolve(message.images);
+    } else if (message.type === 'encrypted') {
+      task.reject(new PdfEncryptedError(message.state));
+    } else {
+      task.reject(message.code ? new PdfLimitError(message.code, message.message) : new Error(message.message));
+    }
+    this.dispatch();
+  }
+
+  /**
+   * Kill a worker and fail the file it was on
+   * Its replacement starts when the queue next needs one.
+   */
+  private retire(entry: PoolWorker, error: Error): void {
+    const index = this.workers.indexOf(entry);
+    if (index === -1) return;
+    this.workers.splice(index, 1);
+
+    const task = entry.task;
+    this.release(entry);
+    entry.worker.terminate().catch(() => undefined);
+
+    if (task) {
+      logger.warn('PDF parse worker stopped', { error: error.message });
+      task.reject(error);
+    }
+    this.dispatch();
+  }
+
+  private release(entry: PoolWorker): void {
+    if (entry.timer) clearTimeout(entry.timer);
+    entry.timer = null;
+    entry.task = null;
+    entry.worker.unref();
+  }
+
+  // The compiled worker in dist/, or the source under ts-node (npm run dev), which the worker needs loading too
+  private script(): { file: string; execArgv: string[] } {
+    const extension = path.extname(__filename);
+    return {
+      file: path.join(__dirname, '..', 'workers', `pdfParseWorker${extension}`),
+      execArgv: extension === '.ts' ? ['--require', 'ts-node/register'] : []
+    };
+  }
+}
+
+// Export singleton instance
+export default new PdfWorkerPool();
@@ -0,0 +1,66 @@
+import config from '../config';
+import { InspectionResult } from '../types';
+
+interface CacheEntry {
+  result: InspectionResult;
+  expiresAt: number;
+}
+
+/**
+ * Result Cache
+ *
+ * Inspection results keyed by the file's SHA-256 and the version of the
+ * rules that produced them, so the same deck uploaded to three chats (or
+ * resubmitted after a timeout) is parsed and sent to Prompt Security once.
+ * A rules change gives a new version, which misses every older entry
+ * without having to clear anything.
+ *
+ * In memory and per process, like jobs: bounded by entry count (least
+ * recently used goes first) and a TTL.
+ */
+class ResultCacheService {
+  // Map keeps insertion order, so re-inserting on every hit makes the first key the least recently used
+  private entries = new Map<string, CacheEntry>();
+
+  get(sha256: string, rulesVersion: string): InspectionResult | undefined {
+    if (!config.cache.enabled) return undefined;
+
+    const key = this.key(sha256, rulesVersion);
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) return undefined;
+
+    this.entries.set(key, entry);
+    return entry.result;
+  }
+
+  set(sha256: string, rulesVersion: string, result: InspectionResult): void {
+    if (!config.cache.enabled || config.cache.maxEntries <= 0) return;
+
+    const key = this.key(sha256, rulesVersion);
+    this.entries.delete(key);
+    this.entries.set(key, { result, expiresAt: Date.now() + config.cache.ttlMs });
+
+    while (this.entries.size > config.cache.maxEntries) {
+      const oldest = this.entries.keys().next().value as string;
+      this.entries.delete(oldest);
+    }
+  }
+
+  get size(): number {
+    return this.entries.size;
+  }
+
+  clear(): void {
+    this.entries.clear();
+  }
+
+  private key(sha256: string, rulesVersion: string): string {
+    return `${sha256.toLowerCase()}:${rulesVersion}`;
+  }
+}
+
+// Export singleton instance
+export default new ResultCacheService();
@@ -0,0 +1,196 @@
+import fs from 'fs';
+import path from 'path';
+import { parse as parseToml } from 'smol-toml';
+import logger from '../utils/logger';
+import { PatternAllowlist, RiskLevel, SecretPattern } from '../types';
+
+const RISK_LEVELS: RiskLevel[] = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+// POSIX bracket classes Go's regexp accepts and JavaScript doesn't
+const POSIX_CLASSES: Record<string, string> = {
+  alnum: 'A-Za-z0-9',
+  alpha: 'A-Za-z',
+  digit: '0-9',
+  lower: 'a-z',
+  upper: 'A-Z',
+  space: '\\s',
+  word: '\\w',
+  xdigit: '0-9A-Fa-f',
+  punct: '!-\\/:-@\\[-`{-~'
+};
+
+/**
+ * gitleaks Ruleset Loader
+ *
+ * Compiles gitleaks `.toml` configs into SecretPatterns so the same rules
+ * security teams use for repo scanning also apply to documents.
+ *
+ * Supported: rules (id, description, regex, secretGroup, entropy, keywords,
+ * tags), rule allowlists and the file's global allowlist, in both the old
+ * single-table and newer array-of-tables forms. Ignored: `[extend]` (we don't
+ * ship gitleaks' default config), commit allowlists, and path-only rules
+ * (there's no file path to match inside a PDF).
+ */
+class RulesetLoaderService {
+
+  /**
+   * Load and compile every ruleset file
+   *
+   * @param files - Paths to gitleaks TOML files
+   * @param defaultRiskLevel - Risk level for rules without a severity tag
+   * @throws Error if a file can't be read or isn't valid TOML, so callers can
+   *   keep their current rules instead of half-loading a broken set
+   */
+  loadFiles(files: string[], defaultRiskLevel: RiskLevel): SecretPattern[] {
+    const patterns: SecretPattern[] = [];
+
+    for (const file of files) {
+      const resolved = path.resolve(file);
+      let source: string;
+      try {
+        source = fs.readFileSync(resolved, 'utf8');
+      } catch (error) {
+        throw new Error(`Cannot read ruleset ${resolved}: ${error instanceof Error ? error.message : 'Unknown error'}`);
+      }
+
+      const compiled = this.compile(source, path.basename(resolved), defaultRiskLevel);
+      logger.info(`Loaded ${compiled.length} rules from ${resolved}`);
+      patterns.push(...compiled);
+    }
+
+    return patterns;
+  }
+
+  /**
+   * Compile the contents of one gitleaks TOML file
+   *
+   * Rules whose regex can't be translated to JavaScript are skipped with a
+   * warning rather than failing the whole file.
+   *
+   * @param origin - Label recorded on each pattern (usually the file name)
+   */
+  compile(source: string, origin: string, defaultRiskLevel: RiskLevel): SecretPattern[] {
+    let config: any;
+    try {
+      config = parseToml(source);
+    } catch (error) {
+      throw new Error(`Invalid ruleset ${origin}: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+
+    if (config.extend) {
+      logger.warn('Ruleset [extend] is not supported and was ignored', { origin });
+    }
+
+    const globalAllowlists = this.toArray(config.allowlists ?? config.allowlist);
+    const rules: any[] = Array.isArray(config.rules) ? config.rules : [];
+    const patterns: SecretPattern[] = [];
+
+    for (const rule of rules) {
+      const id: string = rule.id || `rule-${patterns.length + 1}`;
+
+      if (!rule.regex) {
+        logger.debug('Skipping path-only ruleset rule', { origin, id });
+        continue;
+      }
+
+      try {
+        const ruleAllowlists = this.toArray(rule.allowlists ?? rule.allowlist);
+        // Newer global allowlists can target specific rules
+        const applicableGlobal = globalAllowlists.filter(allowlist =>
+          !Array.isArray(allowlist.targetRules) || allowlist.targetRules.includes(id)
+        );
+
+        patterns.push({
+          id,
+          origin,
+          regex: this.toRegExp(rule.regex, 'g'),
+          type: id,
+          description: rule.description || id,
+          riskLevel: this.riskFromTags(rule.tags, defaultRiskLevel),
+          ...(Array.isArray(rule.keywords) && rule.keywords.length > 0 && {
+            keywords: rule.keywords.map((keyword: string) => String(keyword).toLowerCase())
+          }),
+          // Unset means the first group that matched anything, as in gitleaks
+          secretGroup: typeof rule.secretGroup === 'number' && rule.secretGroup > 0 ? rule.secretGroup : 0,
+          ...(typeof rule.entropy === 'number' && { entropy: rule.entropy }),
+          allowlists: [...ruleAllowlists, ...applicableGlobal].map(allowlist => this.compileAllowlist(allowlist))
+        });
+      } catch (error) {
+        logger.warn('Skipping ruleset rule with unsupported regex', {
+          origin,
+          id,
+          error: error instanceof Error ? error.message : 'Unknown error'
+        });
+      }
+    }
+
+    return patterns;
+  }
+
+  /**
+   * Translate a Go (RE2) regex into a JavaScript RegExp
+   *
+   * Handles the differences that show up in real gitleaks configs: inline
+   * flags, named groups, \A / \z anchors and POSIX classes. JavaScript can't
+   * scope a flag to part of a pattern, so an inline (?i) anywhere makes the
+   * whole regex case-insensitive - slightly looser than gitleaks.
+   */
+  toRegExp(pattern: string, baseFlags: string = ''): RegExp {
+    const flags = new Set(baseFlags.split(''));
+    let source = pattern;
+
+    // Flag groups: (?i) and scoped (?i:...); clearing flags (?-i) is dropped
+    source = source.replace(/\(\?([imsU]*)(?:-[imsU]+)?(:|\))/g, (_match, set: string, end: string) => {
+      for (const flag of set) {
+        if (flag === 'i' || flag === 's' || flag === 'm') flags.add(flag);
+      }
+      return end === ':' ? '(?:' : '';
+    });
+
+    source = source
+      .replace(/\(\?P</g, '(?<')
+      .replace(/\\A/g, '^')
+      .replace(/\\z/g, '$')
+      .replace(/\[:(\^?)(\w+):\]/g, (match, negate: string, name: string) => {
+        const cls = POSIX_CLASSES[name];
+        if (!cls) return match;
+        return negate ? `^${cls}` : cls;
+      });
+
+    return new RegExp(source, Array.from(flags).join(''));
+  }
+
+  private compileAllowlist(raw: any): PatternAllowlist {
+    const regexTarget = raw.regexTarget === 'match' || raw.regexTarget === 'line' ? raw.regexTarget : 'secret';
+
+    return {
+      ...(raw.description && { description: String(raw.description) }),
+      condition: String(raw.condition || 'OR').toUpperCase() === 'AND' ? 'AND' : 'OR',
+      regexTarget,
+      regexes: this.toArray(raw.regexes).map((regex: string) => this.toRegExp(regex)),
+      stopwords: this.toArray(raw.stopwords).map((word: string) => String(word).toLowerCase()),
+      paths: this.toArray(raw.paths).map((regex: string) => this.toRegExp(regex))
+    };
+  }
+
+  /**
+   * gitleaks has no severity field, but teams often tag rules with one
+   */
+  private riskFromTags(tags: unknown, defaultRiskLevel: RiskLevel): RiskLevel {
+    if (Array.isArray(tags)) {
+      for (const tag of tags) {
+        const level = String(tag).toUpperCase() as RiskLevel;
+        if (RISK_LEVELS.includes(level)) return level;
+      }
+    }
+    return defaultRiskLevel;
+  }
+
+  private toArray(value: unknown): any[] {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+}
+
+// Export singleton instance
+export default new RulesetLoaderService();
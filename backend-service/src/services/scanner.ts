@@ -0,0 +1,242 @@
+import fs from 'fs';
+import path from 'path';
+import fileExtractor from './fileExtractor';
+import secretDetector from './secretDetector';
+import { Baseline, BaselineEntry, RiskLevel, ScanFinding, ScanReport, ScannedFile } from '../types';
+
+const RISK_LEVELS: RiskLevel[] = ['NONE', 'LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+// Directories a tree walk never goes into; naming them explicitly still works
+const SKIPPED_DIRECTORIES = new Set(['node_modules', '.git', '.hg', '.svn']);
+
+export interface ScanOptions {
+  concurrency?: number;
+  baseline?: Baseline;
+  // Base for the paths in the report (and the baseline), cwd by default
+  root?: string;
+}
+
+/**
+ * Scanner Service
+ *
+ * Runs files on disk through the same extract -> detect pipeline the server
+ * uses for uploads, for the CLI. Nothing is audit-logged or alerted on, and
+ * files are left where they are.
+ */
+class ScannerService {
+
+  /**
+   * Expand files, directories and glob patterns into the supported files they cover
+   *
+   * Directories are walked recursively. Globs understand `*`, `**`, `?` and
+   * `{a,b}`, for when the shell hasn't expanded them already (quoted in CI
+   * config). Files no extractor handles are only kept when named directly,
+   * so they show up as errors rather than silently being skipped.
+   *
+   * @throws Error when a path that isn't a glob doesn't exist
+   */
+  resolvePaths(patterns: string[]): string[] {
+    const files = new Set<string>();
+
+    for (const pattern of patterns) {
+      if (!/[*?{]/.test(pattern)) {
+        const resolved = path.resolve(pattern);
+        if (!fs.existsSync(resolved)) {
+          throw new Error(`No such file or directory: ${pattern}`);
+        }
+        if (fs.statSync(resolved).isDirectory()) {
+          this.walk(resolved).filter(file => fileExtractor.find(file)).forEach(file => files.add(file));
+        } else {
+          files.add(resolved);
+        }
+        continue;
+      }
+
+      const { base, matcher } = this.compileGlob(pattern);
+      if (!fs.existsSync(base)) continue;
+      this.walk(base)
+        .filter(file => matcher.test(path.relative(base, file).split(path.sep).join('/')) && fileExtractor.find(file))
+        .forEach(file => files.add(file));
+    }
+
+    return [...files].sort();
+  }
+
+  /**
+   * Scan files, a few at a time
+   * Files that can't be read or parsed are reported with an error instead of findings.
+   */
+  async scan(files: string[], options: ScanOptions = {}): Promise<ScanReport> {
+    const startTime = Date.now();
+    const root = options.root ?? process.cwd();
+    const accepted = new Set((options.baseline?.findings ?? []).map(entry => this.baselineKey(entry)));
+    const results: ScannedFile[] = new Array(files.length);
+
+    let next = 0;
+    const worker = async () => {
+      while (next < files.length) {
+        const index = next++;
+        results[index] = await this.scanFile(files[index] as string, root, accepted);
+      }
+    };
+    const concurrency = Math.max(1, Math.min(options.concurrency ?? 4, files.length));
+    await Promise.all(Array.from({ length: concurrency }, worker));
+
+    return {
+      scannedAt: new Date(startTime).toISOString(),
+      durationMs: Date.now() - startTime,
+      files: results
+    };
+  }
+
+  /**
+   * A baseline accepting every finding in the report
+   */
+  toBaseline(report: ScanReport): Baseline {
+    const findings = report.files.flatMap(file => file.findings.map(finding => ({
+      file: file.path,
+      type: finding.type,
+      fingerprint: finding.fingerprint,
+      riskLevel: finding.riskLevel
+    })));
+    return { version: 1, findings };
+  }
+
+  /**
+   * Read a baseline written by toBaseline
+   * @throws Error if the file is missing or isn't a baseline
+   */
+  loadBaseline(file: string): Baseline {
+    let parsed: any;
+    try {
+      parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read baseline ${file}: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+
+    if (parsed?.version !== 1 || !Array.isArray(parsed.findings)) {
+      throw new Error(`${file} is not a baseline (expected {"version": 1, "findings": [...]})`);
+    }
+    return parsed as Baseline;
+  }
+
+  /**
+   * Whether a risk level is at or above the threshold
+   */
+  meets(riskLevel: RiskLevel, threshold: RiskLevel): boolean {
+    return RISK_LEVELS.indexOf(riskLevel) >= RISK_LEVELS.indexOf(threshold);
+  }
+
+  private async scanFile(file: string, root: string, accepted: Set<string>): Promise<ScannedFile> {
+    const relative = path.relative(root, file).split(path.sep).join('/');
+    const extractor = fileExtractor.find(file);
+    if (!extractor) {
+      return { path: relative, fileType: 'unknown', riskLevel: 'NONE', findings: [], error: 'Unsupported file type' };
+    }
+
+    try {
+      const content = await extractor.extract(file);
+      const secrets = await secretDetector.detectInDocument(content, path.basename(file));
+      // Offsets only line up with the file itself for plain text
+      const text = extractor.id === 'text' ? content.text : null;
+
+      const findings: ScanFinding[] = secrets.map(secret => ({
+        type: secret.type,
+        description: secret.description,
+        value: secret.value,
+        confidence: secret.confidence,
+        riskLevel: secret.riskLevel,
+        category: secret.category,
+        source: secret.source,
+        fingerprint: secret.fingerprint,
+        baselined: accepted.has(this.baselineKey({ file: relative, fingerprint: secret.fingerprint })),
+        ...(secret.page !== undefined && { page: secret.page }),
+        ...(secret.origin !== undefined && { origin: secret.origin }),
+        ...(text !== null && secret.origin === 'body' && this.lineAndColumn(text, secret.location))
+      }));
+
+      return {
+        path: relative,
+        fileType: extractor.id,
+        riskLevel: secretDetector.calculateRiskLevel(secrets.filter((_, index) => !findings[index]?.baselined)),
+        findings
+      };
+    } catch (error) {
+      return {
+        path: relative,
+        fileType: extractor.id,
+        riskLevel: 'NONE',
+        findings: [],
+        error: error instanceof Error ? error.message : 'Unknown error'
+      };
+    }
+  }
+
+  // Findings are matched on file and value, so they survive moving around in the file
+  private baselineKey(entry: Pick<BaselineEntry, 'file' | 'fingerprint'>): string {
+    return `${entry.file}\0${entry.fingerprint}`;
+  }
+
+  private lineAndColumn(text: string, offset: number): { line: number; column: number } {
+    const before = text.slice(0, offset);
+    const line = before.split('\n').length;
+    return { line, column: offset - before.lastIndexOf('\n') };
+  }
+
+  private walk(dir: string): string[] {
+    if (!fs.statSync(dir).isDirectory()) return [dir];
+
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        return SKIPPED_DIRECTORIES.has(entry.name) ? [] : this.walk(full);
+      }
+      return entry.isFile() ? [full] : [];
+    });
+  }
+
+  /**
+   * Split a glob into the directory to walk and a matcher for paths below it
+   */
+  private compileGlob(pattern: string): { base: string; matcher: RegExp } {
+    const segments = pattern.split(/[\\/]/);
+    const firstGlob = segments.findIndex(segment => /[*?{]/.test(segment));
+    const base = path.resolve(segments.slice(0, firstGlob).join('/') || '.');
+    const rest = segments.slice(firstGlob).join('/');
+
+    let source = '';
+    for (let i = 0; i < rest.length; i++) {
+      const ch = rest[i] as string;
+      if (rest.startsWith('**/', i)) {
+        source += '(?:.*/)?';
+        i += 2;
+      } else if (rest.startsWith('**', i)) {
+        source += '.*';
+        i += 1;
+      } else if (ch === '*') {
+        source += '[^/]*';
+      } else if (ch === '?') {
+        source += '[^/]';
+      } else if (ch === '{') {
+        const close = rest.indexOf('}', i);
+        if (close === -1) {
+          source += '\\{';
+          continue;
+        }
+        const options = rest.slice(i + 1, close).split(',').map(option => option
+          .replace(/[.+^$()|[\]\\]/g, '\\$&')
+          .replace(/\*/g, '[^/]*')
+          .replace(/\?/g, '[^/]'));
+        source += `(?:${options.join('|')})`;
+        i = close;
+      } else {
+        source += ch.replace(/[.+^$()|[\]\\]/g, '\\$&');
+      }
+    }
+
+    return { base, matcher: new RegExp(`^${source}$`) };
+  }
+}
+
+// Export singleton instance
+export default new ScannerService();
@@ -1,6 +1,43 @@
 import axios, { AxiosResponse } from 'axios';
+import crypto from 'crypto';
 import logger from '../utils/logger';
-import { DetectedSecret, RiskLevel, SecretPattern, PromptSecurityResponse } from '../types';
+import config from '../config';
+import metrics from './metrics';
+import { shannonEntropy, maxEntropy } from '../utils/entropy';
+import { VALIDATORS } from '../utils/validators';
+import { DetectedSecret, DetectionOptions, DetectionSource, RiskLevel, SecretPattern, PatternAllowlist, PromptSecurityResponse, PageText, ExtractedContent, LocalRuleSet, SerializedRegExp } from '../types';
+
+// How much text to show on each side of a finding in its context snippet
+const CONTEXT_RADIUS = 30;
+
+const RISK_ORDER: RiskLevel[] = ['NONE', 'LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+// Local patterns have decent confidence
+const LOCAL_PATTERN_CONFIDENCE = 0.8;
+
+// Generic high-entropy detection tuning
+// '=' only as trailing base64 padding, so KEY=value without spaces still splits at the '='
+const ENTROPY_CANDIDATE = /[A-Za-z0-9+/_-]{20,}={0,2}/g;
+const HEX_ENTROPY_THRESHOLD = 3.0;     // bits/char, hex alphabet tops out at 4
+const BASE64_ENTROPY_THRESHOLD = 4.2;  // bits/char, base64 alphabet tops out at 6
+const KEYWORD_WINDOW = 40;             // chars before a candidate searched for keywords
+const SECRET_KEYWORDS = /secret|aws_secret_access_key|token|api[_-]?key|passw(or)?d|credential|private[_-]?key/i;
+const AWS_SECRET_KEYWORDS = /aws_secret_access_key|aws[_ ]?secret/i;
+
+// Shapes that look random but aren't secrets
+const NON_SECRET_SHAPES: RegExp[] = [
+  /^[0-9a-f]{40}$/i, // git SHA-1
+  /^[0-9a-f]{64}$/i, // git SHA-256 / content hashes
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i // UUID
+];
+
+// Document sections go to Prompt Security together, up to this much text per call
+const PROMPT_SECURITY_BATCH_LENGTH = 50000;
+// Between texts in a batch, so one section's text doesn't run straight into the next
+const BATCH_SEPARATOR = '\n\n';
+
+// No Prompt Security URL/app id - not a failure, just a local-only deployment
+class PromptSecurityNotConfiguredError extends Error {}
 
 /**
  * Secret Detection Service
@@ -22,19 +59,16 @@ class SecretDetectorService {
       riskLevel: 'HIGH'
     },
     
-    // This pattern is a bit loose but catches most AWS secret keys
-    awsSecretKey: {
-      regex: /[A-Za-z0-9/+=]{40}/g,
-      type: 'AWS Secret Key', 
-      description: 'Potential AWS Secret Access Key',
-      riskLevel: 'HIGH'
-    },
+    // AWS secret keys have no fixed prefix - they're picked up by
+    // detectHighEntropyStrings when an aws_secret_access_key keyword is nearby
     
+    // The last 6 characters are a CRC32 of the rest, so random ghp_ strings don't count
     githubToken: {
       regex: /ghp_[A-Za-z0-9]{36}/g,
       type: 'GitHub Token',
       description: 'GitHub Personal Access Token',
-      riskLevel: 'HIGH'
+      riskLevel: 'HIGH',
+      validator: 'githubToken'
     },
     
     // JWT pattern - pretty reliable
@@ -74,57 +108,422 @@ class SecretDetectorService {
       type: 'Password',
       description: 'Password detected',
       riskLevel: 'MEDIUM'
+    },
+
+    // PII - invoices and HR forms are full of numbers shaped like these, so
+    // every one needs its checksum or issuing rules to pass (see utils/validators)
+
+    creditCard: {
+      regex: /\b\d(?:[ -]?\d){12,18}\b/g,
+      type: 'Credit Card Number',
+      description: 'Payment card number (Luhn-valid)',
+      riskLevel: 'HIGH',
+      category: 'pii',
+      validator: 'paymentCard'
+    },
+
+    iban: {
+      regex: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+      type: 'IBAN',
+      description: 'International bank account number (mod-97 valid)',
+      riskLevel: 'MEDIUM',
+      category: 'pii',
+      validator: 'iban'
+    },
+
+    // Dashed form only - bare 9-digit runs are mostly order and invoice numbers
+    usSsn: {
+      regex: /\b\d{3}-\d{2}-\d{4}\b/g,
+      type: 'US Social Security Number',
+      description: 'US Social Security number',
+      riskLevel: 'HIGH',
+      category: 'pii',
+      validator: 'usSsn'
+    },
+
+    ukNino: {
+      regex: /\b[A-Z]{2} ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/g,
+      type: 'UK National Insurance Number',
+      description: 'UK National Insurance number',
+      riskLevel: 'HIGH',
+      category: 'pii',
+      validator: 'ukNino'
+    },
+
+    caSin: {
+      regex: /\b\d{3}[ -]\d{3}[ -]\d{3}\b/g,
+      type: 'Canadian SIN',
+      description: 'Canadian Social Insurance number (Luhn-valid)',
+      riskLevel: 'HIGH',
+      category: 'pii',
+      validator: 'caSin'
+    },
+
+    // International (+...) or North American numbers
+    phoneNumber: {
+      regex: /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{2,4}\)|\d{2,4})[ .-]?\d{3,4}[ .-]\d{3,4}\b/g,
+      type: 'Phone Number',
+      description: 'Phone number',
+      riskLevel: 'LOW',
+      category: 'pii',
+      validator: 'phone'
     }
   };
 
+  // Rules imported from gitleaks rulesets, swapped wholesale on reload
+  private externalPatterns: SecretPattern[] = [];
+
+  // rulesVersion() inputs that only change when rules are loaded
+  private builtinVersion: string | null = null;
+  private externalVersion = '';
+
+  /**
+   * Replace the imported (non built-in) rules
+   */
+  setExternalPatterns(patterns: SecretPattern[]): void {
+    this.externalPatterns = patterns;
+    this.externalVersion = patterns.length === 0 ? '' : this.hash(
+      JSON.stringify(patterns, (key, value) => value instanceof RegExp ? value.toString() : value)
+    );
+  }
+
+  /**
+   * Identifies everything that decides what detection finds: built-in and
+   * imported rules, the detection mode and whether Prompt Security is used.
+   * Cached results are only reused under the same version.
+   */
+  rulesVersion(): string {
+    if (this.builtinVersion === null) {
+      this.builtinVersion = this.exportLocalRules().version;
+    }
+    const promptSecurity = this.promptSecurityConfig() ? 'prompt-security' : 'local-only';
+    return this.hash([this.builtinVersion, this.externalVersion, config.detection.mode, promptSecurity].join(':'));
+  }
+
+  /**
+   * Every active local rule: built-ins first, then imported rulesets
+   */
+  getPatterns(): SecretPattern[] {
+    const builtin = Object.entries(this.patterns).map(([id, pattern]) => ({ ...pattern, id, origin: 'builtin' }));
+    return [...builtin, ...this.externalPatterns];
+  }
+
+  /**
+   * The built-in rules and entropy tuning as JSON
+   * The extension ships a copy (see utils/exportPatterns) so it can scan
+   * offline with exactly the backend's rules. Imported rulesets stay out -
+   * they're per deployment.
+   */
+  exportLocalRules(): LocalRuleSet {
+    const serialize = (regex: RegExp): SerializedRegExp => ({ source: regex.source, flags: regex.flags });
+
+    const rules: Omit<LocalRuleSet, 'version'> = {
+      patternConfidence: LOCAL_PATTERN_CONFIDENCE,
+      patterns: Object.entries(this.patterns).map(([id, pattern]) => ({
+        id,
+        type: pattern.type,
+        description: pattern.description,
+        riskLevel: pattern.riskLevel,
+        category: pattern.category ?? 'credential',
+        regex: serialize(pattern.regex),
+        ...(pattern.validator && { validator: pattern.validator })
+      })),
+      entropy: {
+        candidate: serialize(ENTROPY_CANDIDATE),
+        hexThreshold: HEX_ENTROPY_THRESHOLD,
+        base64Threshold: BASE64_ENTROPY_THRESHOLD,
+        keywordWindow: KEYWORD_WINDOW,
+        secretKeywords: serialize(SECRET_KEYWORDS),
+        awsSecretKeywords: serialize(AWS_SECRET_KEYWORDS),
+        nonSecretShapes: NON_SECRET_SHAPES.map(serialize)
+      }
+    };
+
+    return { version: this.hash(JSON.stringify(rules)), ...rules };
+  }
+
+  /**
+   * Scan a whole parsed file: the page body plus every metadata, annotation,
+   * comment, form field and attachment section, each finding labelled with its origin
+   *
+   * Sections are scanned separately so locations and context stay within
+   * the section they came from, but go to Prompt Security together - one
+   * call per PROMPT_SECURITY_BATCH_LENGTH of text rather than one per section.
+   *
+   * @param onFallback - Called for every batch Prompt Security couldn't scan
+   */
+  async detectInDocument(
+    content: ExtractedContent,
+    filename?: string,
+    onFallback?: DetectionOptions['onFallback']
+  ): Promise<DetectedSecret[]> {
+    const parts = [{ origin: 'body', text: content.text, pages: content.pageTexts }, ...content.sections];
+    const apiSecrets = await this.detectWithPromptSecurityBatched(parts.map(part => part.text), onFallback);
+
+    return parts.flatMap((part, index) => this.combineFindings(part.text, apiSecrets[index] ?? null, {
+      ...('pages' in part && { pages: part.pages }),
+      ...(filename && { filename })
+    }).map(secret => ({ ...secret, origin: part.origin })));
+  }
+
   /**
    * Main detection method - combines local and API detection
+   *
+   * @param text - Full document text
+   * @param options.pages - Per-page breakdown of `text`, used to place findings on a page
+   * @param options.filename - Checked against ruleset path allowlists
+   * @param options.onFallback - Told when Prompt Security couldn't be used, and why
    */
-  async detectSecrets(text: string): Promise<DetectedSecret[]> {
-    const secrets: DetectedSecret[] = [];
+  async detectSecrets(text: string, options: DetectionOptions = {}): Promise<DetectedSecret[]> {
+    const [apiSecrets] = await this.detectWithPromptSecurityBatched([text], options.onFallback);
+    return this.combineFindings(text, apiSecrets ?? null, options);
+  }
 
-    // Try external API first - it's more accurate
-    try {
-      const apiSecrets = await this.detectWithPromptSecurity(text);
-      secrets.push(...apiSecrets);
-    } catch (error) {
-      // Fallback to local detection if API fails
-      logger.warn('Prompt Security API unavailable, using local detection only', { 
-        error: error instanceof Error ? error.message : 'Unknown error' 
-      });
+  /**
+   * Local findings for a text merged with what Prompt Security found in it
+   *
+   * @param apiSecrets - null when the API couldn't be used
+   */
+  private combineFindings(text: string, apiSecrets: DetectedSecret[] | null, options: DetectionOptions): DetectedSecret[] {
+    const { pages = [], filename } = options;
+    metrics.recordDetection();
 
-      const localSecrets = this.detectWithLocalPatterns(text);
-      secrets.push(...localSecrets);
-    }
+    // In hybrid mode local patterns always run - the API doesn't know about
+    // things like private keys or our imported rulesets
+    const secrets = config.detection.mode === 'hybrid' || apiSecrets === null
+      ? this.detectWithLocalPatterns(text, filename)
+      : [];
+    secrets.push(...(apiSecrets ?? []));
+
+    return this.addLocationDetails(this.mergeSecrets(secrets), text, pages);
+  }
+
+  /**
+   * Prompt Security's findings for several texts, sent in as few calls as
+   * PROMPT_SECURITY_BATCH_LENGTH allows and mapped back by offset
+   *
+   * An entity that can't be found in a batch can't be traced to a text
+   * either; it goes with the first text of its batch, unlocated.
+   *
+   * @returns For each text, its findings located within it, or null where the API couldn't be used
+   */
+  private async detectWithPromptSecurityBatched(
+    texts: string[],
+    onFallback?: DetectionOptions['onFallback']
+  ): Promise<Array<DetectedSecret[] | null>> {
+    const results: Array<DetectedSecret[] | null> = texts.map(() => []);
 
-    return this.deduplicateSecrets(secrets);
+    await Promise.all(this.batch(texts).map(async indexes => {
+      const starts: number[] = [];
+      let joined = '';
+      for (const index of indexes) {
+        if (starts.length > 0) joined += BATCH_SEPARATOR;
+        starts.push(joined.length);
+        joined += texts[index];
+      }
+
+      let found: DetectedSecret[];
+      try {
+        found = await this.detectWithPromptSecurity(joined);
+      } catch (error) {
+        // Fallback to local detection if API fails
+        logger.warn('Prompt Security API unavailable, using local detection only', {
+          error: error instanceof Error ? error.message : 'Unknown error'
+        });
+        const reason = error instanceof PromptSecurityNotConfiguredError ? 'not_configured' : 'api_error';
+        metrics.recordLocalFallback(reason);
+        onFallback?.(reason);
+        indexes.forEach(index => { results[index] = null; });
+        return;
+      }
+
+      for (const secret of found) {
+        let part = 0;
+        while (part + 1 < starts.length && (starts[part + 1] as number) <= secret.location) part++;
+
+        const location = secret.location < 0 ? -1 : secret.location - (starts[part] as number);
+        (results[indexes[part] as number] as DetectedSecret[]).push({ ...secret, location });
+      }
+    }));
+
+    return results;
+  }
+
+  /**
+   * Group texts (by index) into batches of up to PROMPT_SECURITY_BATCH_LENGTH
+   * A text longer than that on its own still gets a batch to itself.
+   */
+  private batch(texts: string[]): number[][] {
+    const batches: number[][] = [];
+    let current: number[] = [];
+    let length = 0;
+
+    texts.forEach((text, index) => {
+      if (current.length > 0 && length + BATCH_SEPARATOR.length + text.length > PROMPT_SECURITY_BATCH_LENGTH) {
+        batches.push(current);
+        current = [];
+        length = 0;
+      }
+      length += (current.length > 0 ? BATCH_SEPARATOR.length : 0) + text.length;
+      current.push(index);
+    });
+
+    if (current.length > 0) batches.push(current);
+    return batches;
   }
 
   /**
    * Local pattern matching using regex
    * Fast and doesn't require external dependencies
    */
-  private detectWithLocalPatterns(text: string): DetectedSecret[] {
+  private detectWithLocalPatterns(text: string, filename?: string): DetectedSecret[] {
     const secrets: DetectedSecret[] = [];
+    const matchedRanges: Array<[number, number]> = [];
+    const lowerText = text.toLowerCase();
+
+    for (const pattern of this.getPatterns()) {
+      // Keywords are a cheap prefilter - skip the regex if none appear
+      if (pattern.keywords && !pattern.keywords.some(keyword => lowerText.includes(keyword))) {
+        continue;
+      }
+
+      // Fresh regex per scan so lastIndex state never leaks between calls
+      const flags = pattern.regex.flags.includes('g') ? pattern.regex.flags : pattern.regex.flags + 'g';
+      const regex = new RegExp(pattern.regex.source, flags);
+      let match: RegExpExecArray | null;
+
+      while ((match = regex.exec(text)) !== null) {
+        if (match[0].length === 0) {
+          regex.lastIndex++;
+          continue;
+        }
 
-    for (const [patternName, pattern] of Object.entries(this.patterns)) {
-      const matches = text.match(pattern.regex);
-      if (matches) {
-        matches.forEach((match) => {
-          const location = text.indexOf(match);
-          secrets.push({
-            type: pattern.type,
-            description: pattern.description,
-            value: this.maskSecret(match),
-            location,
-            confidence: 0.8, // Local patterns have decent confidence
-            riskLevel: pattern.riskLevel,
-            source: 'local'
-          });
+        // When the secret is a capture group, report just that part of the match
+        const group = pattern.secretGroup === undefined
+          ? undefined
+          : pattern.secretGroup > 0 ? match[pattern.secretGroup] : match.slice(1).find(Boolean);
+        const secret = group ?? match[0];
+        const location = group !== undefined ? match.index + Math.max(0, match[0].indexOf(group)) : match.index;
+        if (!secret) continue;
+
+        if (pattern.entropy !== undefined && shannonEntropy(secret) < pattern.entropy) continue;
+        if (pattern.validator && !VALIDATORS[pattern.validator](secret)) continue;
+        if (pattern.allowlists?.some(allowlist => this.isAllowlisted(allowlist, text, match!, secret, filename))) continue;
+
+        secrets.push({
+          type: pattern.type,
+          description: pattern.description,
+          value: this.maskSecret(secret),
+          location,
+          confidence: LOCAL_PATTERN_CONFIDENCE,
+          riskLevel: pattern.riskLevel,
+          category: pattern.category ?? 'credential',
+          source: 'local',
+          fingerprint: this.fingerprint(secret)
         });
+        matchedRanges.push([location, location + secret.length]);
       }
     }
 
+    secrets.push(...this.detectHighEntropyStrings(text, matchedRanges));
+
+    return secrets;
+  }
+
+  /**
+   * gitleaks allowlist semantics: with condition OR any configured check
+   * allows the finding, with AND every configured check must.
+   *
+   * Extracted text has no reliable line breaks, so regexTarget 'line' is
+   * approximated by the match plus CONTEXT_RADIUS characters either side.
+   */
+  private isAllowlisted(
+    allowlist: PatternAllowlist,
+    text: string,
+    match: RegExpExecArray,
+    secret: string,
+    filename?: string
+  ): boolean {
+    const checks: boolean[] = [];
+
+    if (allowlist.regexes.length > 0) {
+      let target = secret;
+      if (allowlist.regexTarget === 'match') {
+        target = match[0];
+      } else if (allowlist.regexTarget === 'line') {
+        target = text.slice(Math.max(0, match.index - CONTEXT_RADIUS), match.index + match[0].length + CONTEXT_RADIUS);
+      }
+      checks.push(allowlist.regexes.some(regex => regex.test(target)));
+    }
+
+    if (allowlist.stopwords.length > 0) {
+      const lowerSecret = secret.toLowerCase();
+      checks.push(allowlist.stopwords.some(word => lowerSecret.includes(word)));
+    }
+
+    if (allowlist.paths.length > 0) {
+      checks.push(filename !== undefined && allowlist.paths.some(regex => regex.test(filename)));
+    }
+
+    if (checks.length === 0) return false;
+    return allowlist.condition === 'AND' ? checks.every(Boolean) : checks.some(Boolean);
+  }
+
+  /**
+   * Generic secret detection based on Shannon entropy
+   *
+   * Catches keys without a recognizable prefix (AWS secret keys, generic API
+   * tokens). Confidence grows with how close the token is to its alphabet's
+   * maximum entropy, and jumps when a keyword like "secret" or "token" sits
+   * just before it. Without a keyword the finding is only LOW risk - plenty of
+   * random-looking strings in documents are harmless.
+   *
+   * @param skipRanges - Spans already reported by a specific pattern
+   */
+  private detectHighEntropyStrings(text: string, skipRanges: Array<[number, number]>): DetectedSecret[] {
+    const secrets: DetectedSecret[] = [];
+    const regex = new RegExp(ENTROPY_CANDIDATE.source, ENTROPY_CANDIDATE.flags);
+    let match: RegExpExecArray | null;
+
+    while ((match = regex.exec(text)) !== null) {
+      const token = match[0];
+      const start = match.index;
+      const end = start + token.length;
+
+      if (skipRanges.some(([from, to]) => start < to && end > from)) continue;
+      if (NON_SECRET_SHAPES.some(shape => shape.test(token))) continue;
+
+      const isHex = /^[0-9a-f]+$/i.test(token);
+      const threshold = isHex ? HEX_ENTROPY_THRESHOLD : BASE64_ENTROPY_THRESHOLD;
+      const entropy = shannonEntropy(token);
+      if (entropy < threshold) continue;
+
+      const before = text.slice(Math.max(0, start - KEYWORD_WINDOW), start);
+      const hasKeyword = SECRET_KEYWORDS.test(before);
+      const isAwsSecret = token.length === 40 && AWS_SECRET_KEYWORDS.test(before);
+
+      // 0.4-0.7 on entropy alone, keywords push it up to 0.95. A 40-char token
+      // right after aws_secret_access_key is about as sure as this gets.
+      const ceiling = maxEntropy(token.length, isHex ? 16 : 64);
+      const ratio = ceiling > threshold ? Math.min(1, (entropy - threshold) / (ceiling - threshold)) : 1;
+      const keywordBoost = (hasKeyword ? 0.25 : 0) + (isAwsSecret ? 0.1 : 0);
+      const confidence = Math.min(0.95, 0.4 + 0.3 * ratio + keywordBoost);
+
+      secrets.push({
+        type: isAwsSecret ? 'AWS Secret Key' : 'High Entropy String',
+        description: isAwsSecret
+          ? 'AWS Secret Access Key'
+          : `High-entropy string (${entropy.toFixed(2)} bits/char)${hasKeyword ? ' next to a secret keyword' : ''}`,
+        value: this.maskSecret(token),
+        location: start,
+        confidence: Math.round(confidence * 100) / 100,
+        riskLevel: hasKeyword ? 'HIGH' : 'LOW',
+        category: 'credential',
+        source: 'local',
+        fingerprint: this.fingerprint(token)
+      });
+    }
+
     return secrets;
   }
 
@@ -133,15 +532,17 @@ class SecretDetectorService {
    * More sophisticated but requires network call
    */
   private async detectWithPromptSecurity(text: string): Promise<DetectedSecret[]> {
-    const apiUrl = process.env.PROMPT_SECURITY_API_URL;
-    const appId = process.env.PROMPT_SECURITY_APP_ID;
-
-    if (!apiUrl || !appId) {
-      throw new Error('Prompt Security API not configured');
+    const promptSecurity = this.promptSecurityConfig();
+    if (!promptSecurity) {
+      throw new PromptSecurityNotConfiguredError('Prompt Security API not configured');
     }
+    const { apiUrl, appId } = promptSecurity;
+
+    const done = metrics.startPromptSecurityCall();
+    let response: AxiosResponse<PromptSecurityResponse>;
 
     try {
-      const response: AxiosResponse<PromptSecurityResponse> = await axios.post(
+      response = await axios.post(
         apiUrl,
         {
           prompt: text,
@@ -154,9 +555,8 @@ class SecretDetectorService {
           }
         }
       );
-
-      return this.parsePromptSecurityResponse(response.data);
     } catch (error) {
+      done(error);
       if (axios.isAxiosError(error)) {
         if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
           throw new Error('API service unavailable');
@@ -164,14 +564,19 @@ class SecretDetectorService {
       }
       throw error;
     }
+
+    done();
+    return this.parsePromptSecurityResponse(response.data, text);
   }
 
   /**
    * Parse the response from Prompt Security API
    * Their API format might change, so we're defensive here
    */
-  private parsePromptSecurityResponse(data: PromptSecurityResponse): DetectedSecret[] {
+  private parsePromptSecurityResponse(data: PromptSecurityResponse, text: string): DetectedSecret[] {
     const secrets: DetectedSecret[] = [];
+    // Where the next search for each entity starts, so repeats map to successive occurrences
+    const searchFrom = new Map<string, number>();
 
     // Be defensive about API response shape
     const anyData: any = data as any;
@@ -186,14 +591,28 @@ class SecretDetectorService {
     findings.forEach((secret: any) => {
       const entityType = secret?.entity_type || 'Unknown';
       const category = secret?.category || 'Other';
+      const entity: string = secret?.entity || '';
+
+      // API doesn't provide location - find the entity in the text ourselves
+      let location = -1;
+      if (entity) {
+        location = text.indexOf(entity, searchFrom.get(entity) ?? 0);
+        if (location >= 0) {
+          searchFrom.set(entity, location + entity.length);
+        }
+      }
+
       secrets.push({
         type: entityType,
         description: `${entityType} detected${category ? ` in ${category}` : ''}`,
-        value: this.maskSecret(secret?.entity || ''),
-        location: 0, // API doesn't provide location
+        value: this.maskSecret(entity),
+        location,
         confidence: confidenceScore,
         riskLevel: isBlocked ? 'CRITICAL' : this.mapCategoryToRiskLevel(category, entityType),
-        source: 'prompt_security'
+        // Only the Secrets findings are read, so these are all credentials
+        category: 'credential',
+        source: 'prompt_security',
+        fingerprint: this.fingerprint(entity)
       });
     });
 
@@ -249,20 +668,142 @@ class SecretDetectorService {
   }
 
   /**
-   * Remove duplicate secrets based on type and location
-   * Different detection methods might find the same secret
+   * Attach page number, page offset and a masked context snippet to each finding
+   *
+   * Findings we couldn't place (location -1) are reported at location 0 with no
+   * page details, same as before we tracked pages.
    */
-  private deduplicateSecrets(secrets: DetectedSecret[]): DetectedSecret[] {
-    const seen = new Set<string>();
-    return secrets.filter(secret => {
-      const key = `${secret.type}-${secret.location}`;
-      if (seen.has(key)) {
-        return false;
+  private addLocationDetails(secrets: DetectedSecret[], text: string, pages: PageText[]): DetectedSecret[] {
+    return secrets.map(secret => {
+      if (secret.location < 0) {
+        return { ...secret, location: 0 };
       }
-      seen.add(key);
-      return true;
+
+      const page = this.findPage(pages, secret.location);
+      return {
+        ...secret,
+        ...(page && { page: page.pageNumber, pageOffset: secret.location - page.offset, extraction: page.extraction }),
+        context: this.buildContext(text, secret, secrets)
+      };
     });
   }
+
+  /**
+   * Find the page containing a character offset of the combined text
+   */
+  private findPage(pages: PageText[], location: number): PageText | undefined {
+    let found: PageText | undefined;
+    for (const page of pages) {
+      if (page.offset > location) break;
+      found = page;
+    }
+    return found;
+  }
+
+  /**
+   * Build a short snippet around a finding
+   * Every finding overlapping the snippet is masked, not just this one,
+   * so the context never leaks a neighbouring secret.
+   */
+  private buildContext(text: string, secret: DetectedSecret, allSecrets: DetectedSecret[]): string {
+    const start = Math.max(0, secret.location - CONTEXT_RADIUS);
+    const end = Math.min(text.length, secret.location + secret.value.length + CONTEXT_RADIUS);
+    const chars = text.slice(start, end).split('');
+
+    for (const other of allSecrets) {
+      if (other.location < 0) continue;
+      // Masked values keep the original length, so they can be written over the raw text
+      for (let i = 0; i < other.value.length; i++) {
+        const index = other.location + i - start;
+        if (index >= 0 && index < chars.length) {
+          chars[index] = other.value[i] as string;
+        }
+      }
+    }
+
+    return (start > 0 ? '...' : '') + chars.join('') + (end < text.length ? '...' : '');
+  }
+
+  /**
+   * Hash of a raw secret value, safe to compare and keep around
+   */
+  private fingerprint(value: string): string {
+    return crypto.createHash('sha256').update(value).digest('hex').substring(0, 16);
+  }
+
+  private hash(value: string): string {
+    return crypto.createHash('sha256').update(value).digest('hex').substring(0, 12);
+  }
+
+  // Read per call, not at startup, so tests and reloads can switch it
+  private promptSecurityConfig(): { apiUrl: string; appId: string } | null {
+    const apiUrl = process.env.PROMPT_SECURITY_API_URL;
+    const appId = process.env.PROMPT_SECURITY_APP_ID;
+    return apiUrl && appId ? { apiUrl, appId } : null;
+  }
+
+  /**
+   * Merge findings that refer to the same secret
+   *
+   * Detectors name the same secret differently ("AWS Access Key" vs
+   * "AWS Access Key ID"), so we match on the value instead of the type:
+   * same fingerprint at the same spot (or one side couldn't be located), or
+   * overlapping spans - a local rule often matches `api_key = "..."` where
+   * the API reports just the value. Repeats of a secret at different places
+   * stay separate findings. The fingerprints of every finding merged away are
+   * kept, since a value may have been reported under any of them.
+   */
+  private mergeSecrets(secrets: DetectedSecret[]): DetectedSecret[] {
+    const merged: DetectedSecret[] = [];
+
+    for (const secret of secrets) {
+      const index = merged.findIndex(existing => this.isSameSecret(existing, secret));
+      if (index < 0) {
+        merged.push(secret);
+        continue;
+      }
+
+      const existing = merged[index] as DetectedSecret;
+      // Keep the located finding as the base so its location and value length stay consistent
+      const base = existing.location >= 0 || secret.location < 0 ? existing : secret;
+      const riskLevel = RISK_ORDER.indexOf(secret.riskLevel) > RISK_ORDER.indexOf(existing.riskLevel)
+        ? secret.riskLevel
+        : existing.riskLevel;
+      const sources = Array.from(new Set([...this.sourcesOf(existing), ...this.sourcesOf(secret)]));
+      const fingerprints = new Set([...this.fingerprintsOf(existing), ...this.fingerprintsOf(secret)]);
+      fingerprints.delete(base.fingerprint);
+
+      merged[index] = {
+        ...base,
+        ...(fingerprints.size > 0 && { mergedFingerprints: Array.from(fingerprints) }),
+        confidence: Math.max(existing.confidence, secret.confidence),
+        riskLevel,
+        source: sources.length === 1 ? sources[0] as DetectionSource : sources
+      };
+    }
+
+    return merged;
+  }
+
+  private isSameSecret(a: DetectedSecret, b: DetectedSecret): boolean {
+    const bothLocated = a.location >= 0 && b.location >= 0;
+
+    if (a.fingerprint === b.fingerprint) {
+      return !bothLocated || a.location === b.location;
+    }
+
+    return bothLocated &&
+      a.location < b.location + b.value.length &&
+      b.location < a.location + a.value.length;
+  }
+
+  private sourcesOf(secret: DetectedSecret): DetectionSource[] {
+    return Array.isArray(secret.source) ? secret.source : [secret.source];
+  }
+
+  private fingerprintsOf(secret: DetectedSecret): string[] {
+    return [secret.fingerprint, ...(secret.mergedFingerprints ?? [])];
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,67 @@
+import fs from 'fs';
+import logger from '../utils/logger';
+import { ExtractedContent } from '../types';
+
+/**
+ * Text File Parser Service
+ *
+ * Plain text, config and source files - the `.env`s and `.yaml`s people
+ * paste into AI chats far more often than PDFs. The whole file is one page
+ * and nothing is normalized, so reported offsets match the file exactly.
+ */
+class TextParserService {
+
+  /**
+   * @param filePath - Path to the file on disk
+   * @throws Error if the file can't be read or looks binary
+   */
+  async extractText(filePath: string): Promise<ExtractedContent> {
+    let text: string | null;
+    try {
+      text = this.decode(fs.readFileSync(filePath));
+    } catch (error) {
+      logger.error('Text file read failed', {
+        filePath,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+      throw new Error(`Failed to read file: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+
+    if (text === null) {
+      throw new Error('File does not look like text');
+    }
+
+    return {
+      text,
+      pages: 1,
+      pageTexts: [{ pageNumber: 1, text, offset: 0, extraction: 'text' }],
+      pagesWithoutText: [],
+      ocrPages: [],
+      sections: [],
+      wordCount: text.split(/\s+/).filter(word => word.length > 0).length
+    };
+  }
+
+  /**
+   * Decode bytes as text, or null if they look binary
+   *
+   * UTF-8 first; anything that isn't valid UTF-8 but has no NUL bytes is
+   * read as Latin-1 so old Windows-encoded configs still get scanned.
+   */
+  decode(data: Uint8Array): string | null {
+    if (data.includes(0)) return null;
+
+    let text: string;
+    try {
+      text = new TextDecoder('utf-8', { fatal: true }).decode(data);
+    } catch {
+      text = new TextDecoder('latin1').decode(data);
+    }
+
+    // Drop the byte order mark so offsets start at the first real character
+    return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  }
+}
+
+// Export singleton instance
+export default new TextParserService();
@@ -8,29 +8,421 @@ export interface DetectedSecret {
   location: number;
   confidence: number;
   riskLevel: RiskLevel;
-  source: 'local' | 'prompt_security';
+  // Credentials and personal data are separate concerns for DLP policy
+  category: SecretCategory;
+  // A single detector, or every detector that agreed on a merged finding
+  source: DetectionSource | DetectionSource[];
+  // Hash of the raw value; lets findings from different detectors be matched
+  // without comparing secrets. Never sent to clients.
+  fingerprint: string;
+  // Fingerprints of the other findings merged into this one - the same
+  // secret as another detector saw it
+  mergedFingerprints?: string[];
+  // Only set when the finding could be placed in the document
+  page?: number;
+  pageOffset?: number;
+  context?: string;
+  extraction?: PageExtraction;
+  // Where in the file the secret was: 'body' or a DocumentSection origin
+  origin?: string;
 }
 
+export type DetectionSource = 'local' | 'prompt_security';
+
+export type SecretCategory = 'credential' | 'pii';
+
+// Checks a regex match has to pass to count - see utils/validators
+export type ValidatorName = 'githubToken' | 'paymentCard' | 'iban' | 'usSsn' | 'ukNino' | 'caSin' | 'phone';
+
 export type RiskLevel = 'NONE' | 'LOW' | 'MEDIUM' | 'HIGH' | 'CRITICAL';
 
-export interface PDFContent {
+// How a page's text was obtained: its text layer, or OCR of the rendered page
+export type PageExtraction = 'text' | 'ocr';
+
+// Text of a single page; offset is where the page starts in PDFContent.text
+export interface PageText {
+  pageNumber: number;
+  text: string;
+  offset: number;
+  extraction: PageExtraction;
+}
+
+// Text from outside the page body, labelled with where it came from
+// ('info.Author', 'annotation p3', 'attachment:config.json', ...)
+export interface DocumentSection {
+  origin: string;
+  text: string;
+}
+
+// What every extractor produces. "Pages" are whatever the format has:
+// PDF pages, slides, spreadsheet sheets, or a single page for plain text.
+export interface ExtractedContent {
   text: string;
   pages: number;
+  pageTexts: PageText[];
+  // Pages with no text layer, whether or not OCR recovered text from them
+  pagesWithoutText: number[];
+  ocrPages: number[];
+  // Metadata, annotations, comments, form fields and attachments
+  sections: DocumentSection[];
   wordCount: number;
+  // PDFs only, and only when the file is encrypted
+  encryption?: EncryptionState;
+  // PDFs only: pages that couldn't be read, even by OCR. Scanned as blank,
+  // so findings on them may be missing
+  unreadablePages?: number[];
+}
+
+export interface PDFContent extends ExtractedContent {
   metadata?: Record<string, any>;
   info?: Record<string, any>;
 }
 
+// A file format the backend can pull text out of
+export interface FileExtractor {
+  id: string;
+  // Lowercase, with the leading dot; dotfiles like `.env` are listed as-is
+  extensions: string[];
+  mimeTypes: string[];
+  extract(filePath: string, onProgress?: PageProgressCallback, options?: ExtractOptions): Promise<ExtractedContent>;
+}
+
+export interface ExtractOptions {
+  // For encrypted PDFs; only ever held in memory
+  password?: string;
+}
+
+// How an encrypted PDF went: the first two were scanned, the rest couldn't be
+export type EncryptionState = 'no_user_password' | 'decrypted' | 'password_required' | 'incorrect_password' | 'unsupported';
+
+// SCANNED, or ENCRYPTED when an encrypted PDF couldn't be opened - nothing in it was checked
+export type ScanStatus = 'SCANNED' | 'ENCRYPTED';
+
+// Called as each page is extracted; only formats with real pages report it
+export type PageProgressCallback = (page: number, pages: number) => void;
+
+export type JobStatus = 'queued' | 'running' | 'completed' | 'failed';
+
+export interface JobProgress {
+  stage: 'queued' | 'extracting' | 'detecting' | 'done';
+  page?: number;
+  pages?: number;
+}
+
+// Who/where an upload came from, for the audit log
+export interface InspectionContext {
+  platform?: string;
+  user?: string;
+  ip?: string;
+  // API key the request came with; its suppressions apply on top of the organization's
+  clientId?: string;
+}
+
+export type AlertSinkType = 'webhook' | 'slack' | 'syslog';
+
+// One destination for high-risk alerts, from the ALERTS_CONFIG file
+export interface AlertSink {
+  name: string;
+  type: AlertSinkType;
+  // Only results at or above this level are sent (default HIGH)
+  minRiskLevel: RiskLevel;
+  // webhook and slack
+  url?: string;
+  // webhook: HMAC-SHA256 key for the X-PSI-Signature header
+  secret?: string;
+  // syslog
+  host?: string;
+  port?: number;
+  protocol?: 'udp' | 'tcp' | 'tls';
+  facility?: number;
+}
+
+// What every sink is sent, whatever its format. Finding values are masked.
+export interface AlertEvent {
+  id: string;
+  inspectionId: number | null;
+  detectedAt: string;
+  filename: string;
+  fileType: string;
+  fileSize: number;
+  riskLevel: RiskLevel;
+  secretsFound: number;
+  platform?: string;
+  user?: string;
+  ip?: string;
+  findings: Array<Pick<DetectedSecret, 'type' | 'description' | 'value' | 'confidence' | 'riskLevel' | 'category' | 'page' | 'origin'>>;
+}
+
+// One finding from the CLI scanner; value is masked
+export interface ScanFinding extends Pick<DetectedSecret, 'type' | 'description' | 'value' | 'confidence' | 'riskLevel' | 'category' | 'source' | 'fingerprint' | 'page' | 'origin'> {
+  // Accepted in the baseline: reported, but doesn't fail the build
+  baselined: boolean;
+  // Plain text files only, 1-based
+  line?: number;
+  column?: number;
+}
+
+export interface ScannedFile {
+  // Relative to where the scan ran, with forward slashes
+  path: string;
+  fileType: string;
+  // Of the findings not in the baseline
+  riskLevel: RiskLevel;
+  findings: ScanFinding[];
+  error?: string;
+}
+
+export interface ScanReport {
+  scannedAt: string;
+  durationMs: number;
+  files: ScannedFile[];
+}
+
+// Findings someone has looked at and accepted, matched on file and fingerprint
+export interface BaselineEntry {
+  file: string;
+  type: string;
+  fingerprint: string;
+  riskLevel: RiskLevel;
+}
+
+export interface Baseline {
+  version: 1;
+  findings: BaselineEntry[];
+}
+
+export type ApiKeyRole = 'client' | 'admin';
+
+// Who an authenticated request came from
+export interface ApiClient {
+  id: string;
+  name: string;
+  role: ApiKeyRole;
+  // Requests per rate limit window; the global limit when unset
+  rateLimit?: number;
+}
+
+// A stored key as the admin API shows it - never the key itself
+export interface ApiKeyRecord extends ApiClient {
+  prefix: string;
+  createdAt: string;
+  revokedAt?: string;
+  lastUsedAt?: string;
+  requests: number;
+}
+
+// Who a "not a secret" report applies to: the API key that sent it, or everyone
+export type SuppressionScope = 'user' | 'organization';
+
+// A value reported as not a secret, by its salted fingerprint only
+export interface Suppression {
+  fingerprint: string;
+  // Finding type it was reported on
+  rule: string;
+  scope: SuppressionScope;
+  // How many times it was reported in this scope
+  reports: number;
+  createdAt: string;
+  lastReportedAt: string;
+}
+
+// Per-rule feedback totals for tuning: the noisiest rules come first
+export interface SuppressedRule {
+  rule: string;
+  // Distinct values suppressed, and the reports behind them
+  suppressions: number;
+  reports: number;
+  // API keys that reported it; organization-wide reports count as one
+  scopes: number;
+  lastReportedAt: string;
+}
+
+export interface AuditQuery {
+  from?: string;
+  to?: string;
+  riskLevels?: RiskLevel[];
+  platform?: string;
+  user?: string;
+  secretType?: string;
+  // Substring match on the uploaded file's name
+  filename?: string;
+  page: number;
+  pageSize: number;
+}
+
+// One stored inspection; findings only carry masked context, never values
+export interface AuditRecord {
+  id: number;
+  inspectedAt: string;
+  filename: string;
+  fileType: string;
+  fileSize: number;
+  platform: string | null;
+  user: string | null;
+  ip: string | null;
+  riskLevel: RiskLevel;
+  secretsFound: number;
+  secretTypes: string[];
+  processingTime: number;
+  result?: InspectionResult;
+}
+
+// A blocked upload or prompt the user chose to send anyway, as the extension
+// reports it: finding types and salted fingerprints, never values
+export interface OverrideItem {
+  kind: 'file' | 'prompt';
+  filename?: string;
+  // UNKNOWN when the inspection itself failed
+  riskLevel: RiskLevel | 'UNKNOWN';
+  secretTypes: string[];
+  fingerprints: string[];
+}
+
+export interface OverrideRecord extends OverrideItem {
+  id: number;
+  overriddenAt: string;
+  platform: string | null;
+  user: string | null;
+  ip: string | null;
+}
+
+export interface InspectionJob {
+  id: string;
+  status: JobStatus;
+  filename: string;
+  fileSize: number;
+  fileType: string;
+  progress: JobProgress;
+  createdAt: string;
+  updatedAt: string;
+  result?: InspectionResult;
+  error?: string;
+  // Set when the file broke a parsing limit (PARSE_TIMEOUT, TOO_MANY_PAGES...)
+  errorCode?: string;
+}
+
+// A positioned run of text on a page, in PDF user space (origin bottom-left)
+export interface TextItemLayout {
+  str: string;
+  x: number;
+  y: number;
+  width: number;
+  fontSize: number;
+}
+
+// Where a character of PageText.text came from: item index and index within item.str
+export interface CharSource {
+  item: number;
+  index: number;
+}
+
+export interface PageLayout {
+  pageNumber: number;
+  width: number;
+  height: number;
+  items: TextItemLayout[];
+  // One entry per character of the page's cleaned text; null for inserted line breaks
+  charMap: Array<CharSource | null>;
+}
+
+export interface PDFLayout {
+  content: PDFContent;
+  pages: PageLayout[];
+}
+
+// What we keep from each page while pdf-parse renders it
+export interface RenderedPage {
+  width: number;
+  height: number;
+  items: TextItemLayout[];
+}
+
+// A PDF as the parse worker returns it: pages, sections and attachments
+// before OCR and cleaning, which happen back on the main thread
+export interface ParsedPdf {
+  numPages: number;
+  // Pages pdf.js failed on, left in `pages` blank
+  unreadablePages?: number[];
+  encryption?: EncryptionState;
+  info: Record<string, any>;
+  metadata: Record<string, any>;
+  pages: RenderedPage[];
+  sections: DocumentSection[];
+  attachments: ParsedAttachment[];
+}
+
+// Attached PDFs keep their bytes, in case their pages need OCR
+export interface ParsedAttachment {
+  filename: string;
+  text?: string;
+  pdf?: ParsedPdf;
+  data?: Uint8Array;
+}
+
+export interface PdfParseLimits {
+  maxPages: number;
+  maxStreamBytes: number;
+}
+
+// Page images for OCR are drawn at `dpi`, scaled down to stay within maxPixels
+export interface PdfRenderLimits {
+  dpi: number;
+  maxPixels: number;
+}
+
+// What pdfWorkerPool asks a worker to do with a PDF
+export type PdfWorkerRequest =
+  | { kind: 'parse'; data: Uint8Array; limits: PdfParseLimits; password?: string }
+  | { kind: 'render'; data: Uint8Array; pageNumbers: number[]; limits: PdfRenderLimits; password?: string };
+
+export interface PageImage {
+  pageNumber: number;
+  png: Uint8Array;
+}
+
+// Why a PDF was refused; the same codes go back to the client
+export type PdfLimitCode = 'PARSE_TIMEOUT' | 'PARSE_MEMORY_LIMIT' | 'TOO_MANY_PAGES' | 'STREAM_TOO_LARGE';
+
+// Sent as a response header, so counts only - it has to stay small however much was found
+export interface RedactionSummary {
+  secretsRedacted: number;
+  // Findings that couldn't be placed on a page and are still in the copy
+  unlocated: number;
+  riskLevel: RiskLevel;
+  // false when unlocated > 0
+  complete: boolean;
+  // Redacted findings by type, most common first
+  types: Record<string, number>;
+}
+
 export interface InspectionResult {
   filename: string;
   fileSize: number;
   processingTime: number;
   secretsFound: number;
   riskLevel: RiskLevel;
-  secrets: Array<Omit<DetectedSecret, 'value'>>;
+  // The fingerprint here is the salted one (feedback.fingerprintOf), not DetectedSecret's
+  secrets: Array<Omit<DetectedSecret, 'value' | 'fingerprint' | 'mergedFingerprints'> & { fingerprint: string }>;
+  status: ScanStatus;
+  // Only set when nothing could be scanned: no findings doesn't mean clean
+  verdict?: 'UNSCANNABLE';
+  // Served from the result cache instead of being scanned again
+  cached?: boolean;
   metadata: {
+    // Of the uploaded file; not set for prompts
+    sha256?: string;
     pages: number;
     wordCount: number;
+    pagesWithoutText: number[];
+    ocrPages: number[];
+    // Which extractor handled the file ('pdf', 'docx', 'text', ...)
+    fileType: string;
+    // Origins of every non-body section that was scanned
+    sectionsScanned: string[];
+    // Set for encrypted PDFs
+    encryption?: EncryptionState;
+    // Pages that couldn't be read, so the scan is incomplete
+    unreadablePages?: number[];
     timestamp: string;
   };
 }
@@ -40,6 +432,68 @@ export interface SecretPattern {
   type: string;
   description: string;
   riskLevel: RiskLevel;
+  category?: SecretCategory;  // 'credential' when unset
+  validator?: ValidatorName;  // checksum/format check a match must pass
+  // The rest is only set on rules imported from gitleaks rulesets
+  id?: string;
+  origin?: string;
+  keywords?: string[];    // rule only runs when one of these appears in the text
+  secretGroup?: number;   // capture group holding the secret, 0 for the first non-empty one; whole match when unset
+  entropy?: number;       // minimum Shannon entropy of the secret
+  allowlists?: PatternAllowlist[];
+}
+
+export interface SerializedRegExp {
+  source: string;
+  flags: string;
+}
+
+// The built-in local rules in plain JSON, for the extension's offline scanner.
+// `version` is a hash of the rest, so any rule change gives a new version.
+export interface LocalRuleSet {
+  version: string;
+  patternConfidence: number;
+  patterns: Array<{
+    id: string;
+    type: string;
+    description: string;
+    riskLevel: RiskLevel;
+    category: SecretCategory;
+    regex: SerializedRegExp;
+    validator?: ValidatorName;
+  }>;
+  entropy: {
+    candidate: SerializedRegExp;
+    hexThreshold: number;
+    base64Threshold: number;
+    keywordWindow: number;
+    secretKeywords: SerializedRegExp;
+    awsSecretKeywords: SerializedRegExp;
+    nonSecretShapes: SerializedRegExp[];
+  };
+}
+
+// A finding is dropped when any of its rule's allowlists matches it
+export interface PatternAllowlist {
+  description?: string;
+  condition: 'OR' | 'AND';
+  regexTarget: 'secret' | 'match' | 'line';
+  regexes: RegExp[];
+  stopwords: string[];
+  paths: RegExp[];
+}
+
+// hybrid: run local patterns and Prompt Security together and merge the findings
+// fallback: Prompt Security only, local patterns just when the API call fails
+export type DetectionMode = 'hybrid' | 'fallback';
+
+// Why local patterns ran without Prompt Security's help
+export type FallbackReason = 'not_configured' | 'api_error';
+
+export interface DetectionOptions {
+  pages?: PageText[];
+  filename?: string;
+  onFallback?: (reason: FallbackReason) => void;
 }
 
 export interface PromptSecurityResponse {
@@ -81,6 +535,61 @@ export interface AppConfig {
     maxSize: number;
     allowedTypes: string[];
   };
+  rules: {
+    gitleaksFiles: string[];
+    defaultRiskLevel: RiskLevel;
+  };
+  detection: {
+    mode: DetectionMode;
+    maxTextLength: number;
+  };
+  pdf: {
+    workers: number;
+    timeoutMs: number;
+    maxHeapMb: number;
+    maxPages: number;
+    maxStreamBytes: number;
+  };
+  ocr: {
+    enabled: boolean;
+    dpi: number;
+    maxPages: number;
+    maxPixels: number;
+  };
+  jobs: {
+    concurrency: number;
+    maxQueued: number;
+    ttlMs: number;
+    maxFinished: number;
+  };
+  audit: {
+    enabled: boolean;
+    dbPath: string;
+  };
+  metrics: {
+    enabled: boolean;
+  };
+  cache: {
+    enabled: boolean;
+    ttlMs: number;
+    maxEntries: number;
+  };
+  alerts: {
+    configFile?: string;
+    queueDbPath: string;
+    maxAttempts: number;
+    retryBaseMs: number;
+    timeoutMs: number;
+  };
+  auth: {
+    enabled: boolean;
+    dbPath: string;
+    adminKey?: string;
+  };
+  feedback: {
+    dbPath: string;
+    salt?: string;
+  };
   promptSecurity: {
     apiUrl?: string;
     appId?: string;
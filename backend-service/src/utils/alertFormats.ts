@@ -0,0 +1,126 @@
+import crypto from 'crypto';
+import os from 'os';
+import { AlertEvent, RiskLevel } from '../types';
+
+/**
+ * Payloads for each kind of alert sink
+ *
+ * Pure functions of an AlertEvent, so the queue only has to store the event
+ * and a retry renders exactly what the first attempt sent. Finding values in
+ * the event are already masked.
+ */
+
+const PRODUCT = 'PDF Secret Inspector';
+const APP_NAME = 'pdf-secret-inspector';
+const VERSION = process.env.npm_package_version || '1.0.0';
+
+// CEF severity is 0-10
+const CEF_SEVERITY: Record<RiskLevel, number> = { NONE: 0, LOW: 3, MEDIUM: 5, HIGH: 8, CRITICAL: 10 };
+
+// RFC 5424 severities: 2 crit, 3 err, 4 warning, 5 notice, 6 info
+const SYSLOG_SEVERITY: Record<RiskLevel, number> = { NONE: 6, LOW: 5, MEDIUM: 4, HIGH: 3, CRITICAL: 2 };
+
+/**
+ * Body for generic JSON webhooks
+ */
+export function webhookBody(event: AlertEvent): string {
+  return JSON.stringify({ event: 'secrets.detected', ...event });
+}
+
+/**
+ * HMAC-SHA256 over "<timestamp>.<body>", hex encoded
+ * Receivers recompute it with the shared secret and reject stale timestamps,
+ * which stops both forged and replayed alerts.
+ */
+export function webhookSignature(secret: string, timestamp: number, body: string): string {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Body for Slack incoming webhooks (and the clones that accept the same JSON)
+ */
+export function slackBody(event: AlertEvent): string {
+  const who = [event.platform, event.user].filter(Boolean).map(part => slackEscape(part as string)).join(', ');
+  const summary = `:rotating_light: *${event.riskLevel}* - ${event.secretsFound} secret${event.secretsFound === 1 ? '' : 's'} ` +
+    `in \`${slackEscape(event.filename)}\`${who ? ` (${who})` : ''}`;
+
+  const lines = event.findings.map(finding =>
+    `• ${slackEscape(finding.type)} \`${slackEscape(finding.value)}\`` +
+    (finding.page !== undefined ? ` (page ${finding.page})` : '') +
+    ` - ${finding.riskLevel}`
+  );
+
+  return JSON.stringify({ text: [summary, ...lines].join('\n') });
+}
+
+/**
+ * ArcSight Common Event Format line
+ */
+export function cefMessage(event: AlertEvent): string {
+  const fromPrompt = event.fileType === 'prompt';
+  const header = [
+    'CEF:0',
+    cefHeader(PRODUCT),
+    cefHeader(APP_NAME),
+    cefHeader(VERSION),
+    fromPrompt ? 'secrets-in-prompt' : 'secrets-in-file',
+    fromPrompt ? 'Secrets detected in prompt' : 'Secrets detected in uploaded file',
+    String(CEF_SEVERITY[event.riskLevel])
+  ].join('|');
+
+  const extension: Array<[string, string | number | undefined]> = [
+    ['rt', Date.parse(event.detectedAt)],
+    ['externalId', event.id],
+    ['fname', event.filename],
+    ['fsize', event.fileSize],
+    ['cnt', event.secretsFound],
+    ['suser', event.user],
+    ['src', event.ip],
+    ['cs1Label', 'platform'],
+    ['cs1', event.platform],
+    ['cs2Label', 'secretTypes'],
+    ['cs2', [...new Set(event.findings.map(finding => finding.type))].join(',')],
+    ['cs3Label', 'fileType'],
+    ['cs3', event.fileType],
+    ['cs4Label', 'maskedValues'],
+    ['cs4', event.findings.map(finding => finding.value).join(',')],
+    ['cs5Label', 'riskLevel'],
+    ['cs5', event.riskLevel],
+    ['cn1Label', 'inspectionId'],
+    ['cn1', event.inspectionId ?? undefined]
+  ];
+
+  const pairs = extension
+    .filter(([, value]) => value !== undefined && value !== '')
+    .map(([key, value]) => `${key}=${cefValue(String(value))}`);
+
+  return `${header}|${pairs.join(' ')}`;
+}
+
+/**
+ * RFC 5424 syslog message carrying the CEF line
+ *
+ * @param facility - 0-23; 16 (local0) unless the sink says otherwise
+ */
+export function syslogMessage(event: AlertEvent, facility: number = 16): string {
+  const priority = facility * 8 + SYSLOG_SEVERITY[event.riskLevel];
+  const msgId = event.fileType === 'prompt' ? 'secrets-in-prompt' : 'secrets-in-file';
+  return `<${priority}>1 ${event.detectedAt} ${os.hostname() || '-'} ${APP_NAME} ${process.pid} ${msgId} - ${cefMessage(event)}`;
+}
+
+// Pipes and backslashes are escaped in the header; the extension also escapes = and line breaks
+function cefHeader(value: string): string {
+  return value.replace(/\\/g, '\\\\').replace(/\|/g, '\\|');
+}
+
+function cefValue(value: string): string {
+  return value
+    .replace(/\\/g, '\\\\')
+    .replace(/=/g, '\\=')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+// Slack treats &, < and > as control characters in message text
+function slackEscape(value: string): string {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
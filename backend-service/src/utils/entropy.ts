@@ -0,0 +1,33 @@
+/**
+ * Shannon entropy helpers for generic secret detection
+ *
+ * Random keys and tokens use their alphabet far more evenly than words,
+ * identifiers or paths do, which is what makes entropy a useful signal.
+ */
+
+/**
+ * Shannon entropy of a string, in bits per character
+ */
+export function shannonEntropy(value: string): number {
+  if (value.length === 0) return 0;
+
+  const counts = new Map<string, number>();
+  for (const ch of value) {
+    counts.set(ch, (counts.get(ch) || 0) + 1);
+  }
+
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Highest entropy a string of this length could reach over an alphabet of the given size
+ * Short strings can't use every symbol, so they're capped by their own length.
+ */
+export function maxEntropy(length: number, alphabetSize: number): number {
+  return Math.log2(Math.max(1, Math.min(length, alphabetSize)));
+}
@@ -0,0 +1,24 @@
+import fs from 'fs';
+import path from 'path';
+import secretDetector from '../services/secretDetector';
+
+/**
+ * Write the built-in local rules to the extension's copy
+ *
+ * The extension's offline scanner uses the same patterns and entropy tuning
+ * as the backend; run `npm run export-patterns` after changing them (the
+ * patternExport test fails until you do).
+ *
+ * Usage: node dist/utils/exportPatterns.js [output file]
+ */
+
+export const EXTENSION_RULES_PATH = path.resolve(__dirname, '../../../chrome-extension/lib/patterns.json');
+
+if (require.main === module) {
+  const output = path.resolve(process.argv[2] || EXTENSION_RULES_PATH);
+  const rules = secretDetector.exportLocalRules();
+
+  fs.mkdirSync(path.dirname(output), { recursive: true });
+  fs.writeFileSync(output, JSON.stringify(rules, null, 2) + '\n');
+  console.log(`Wrote ${rules.patterns.length} patterns (version ${rules.version}) to ${output}`);
+}
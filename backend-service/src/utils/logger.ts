@@ -80,6 +80,7 @@ enhancedLogger.logSecretDetection = (filename: string, secrets: DetectedSecret[]
   // Don't log actual secret values for security
   const sanitizedSecrets = secrets.map(s => ({
     type: s.type,
+    category: s.category,
     confidence: s.confidence,
     source: s.source
   }));
@@ -0,0 +1,62 @@
+import { createCanvas, DOMMatrix, ImageData, Path2D } from '@napi-rs/canvas';
+
+/**
+ * pdf.js helpers
+ *
+ * pdf-parse bundles its own (old) pdf.js for text extraction. Anything it
+ * doesn't expose - rendering, annotations, attachments - goes through the
+ * pdfjs-dist legacy build loaded here.
+ */
+
+/**
+ * Canvas factory for pdf.js backed by @napi-rs/canvas
+ * pdf.js would otherwise look for the `canvas` package, which needs native build tools.
+ */
+export const canvasFactory = {
+  create(width: number, height: number) {
+    const canvas = createCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d') };
+  },
+  reset(canvasAndContext: { canvas: any }, width: number, height: number) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  },
+  destroy(canvasAndContext: { canvas: any }) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+  }
+};
+
+let pdfjs: any;
+
+/**
+ * Load pdf.js
+ * It checks for DOMMatrix / Path2D when first required, so provide them beforehand.
+ */
+export function loadPdfJs(): any {
+  if (!pdfjs) {
+    const globals = globalThis as any;
+    globals.DOMMatrix = globals.DOMMatrix || DOMMatrix;
+    globals.Path2D = globals.Path2D || Path2D;
+    globals.ImageData = globals.ImageData || ImageData;
+    pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+  }
+  return pdfjs;
+}
+
+/**
+ * Open a document with the options we use everywhere
+ * pdf.js takes ownership of the buffer it's given, so it gets a copy.
+ *
+ * @param password - For encrypted PDFs that need one
+ */
+export function openDocument(data: Uint8Array, password?: string): Promise<any> {
+  return loadPdfJs().getDocument({
+    data: new Uint8Array(data),
+    ...(password !== undefined && { password }),
+    canvasFactory,
+    disableFontFace: true,
+    isEvalSupported: false,
+    verbosity: 0
+  }).promise;
+}
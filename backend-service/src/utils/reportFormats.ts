@@ -0,0 +1,200 @@
+import { RiskLevel, ScanFinding, ScanReport } from '../types';
+
+/**
+ * Output formats for the CLI scanner
+ *
+ * Every format lists baselined findings too, marked as such, so a report
+ * always accounts for everything that was found.
+ */
+
+const TOOL_NAME = 'pdf-secret-inspector';
+const VERSION = process.env.npm_package_version || '1.0.0';
+
+export type ReportFormat = 'text' | 'json' | 'sarif' | 'junit';
+
+export const REPORT_FORMATS: ReportFormat[] = ['text', 'json', 'sarif', 'junit'];
+
+// SARIF only has three levels that mean anything to code scanning UIs
+const SARIF_LEVEL: Record<RiskLevel, 'error' | 'warning' | 'note'> = {
+  NONE: 'note', LOW: 'note', MEDIUM: 'warning', HIGH: 'error', CRITICAL: 'error'
+};
+
+export function formatReport(report: ScanReport, format: ReportFormat, failOn: RiskLevel | null): string {
+  switch (format) {
+    case 'json': return JSON.stringify(report, null, 2) + '\n';
+    case 'sarif': return JSON.stringify(toSarif(report), null, 2) + '\n';
+    case 'junit': return toJunit(report, failOn);
+    default: return toText(report);
+  }
+}
+
+/**
+ * One block per file with findings or errors, then a summary line
+ */
+function toText(report: ScanReport): string {
+  const lines: string[] = [];
+
+  for (const file of report.files) {
+    if (file.error) {
+      lines.push(`${file.path}  ERROR  ${file.error}`, '');
+      continue;
+    }
+    if (file.findings.length === 0) continue;
+
+    lines.push(`${file.path}  ${file.riskLevel}`);
+    for (const finding of file.findings) {
+      lines.push(`  ${where(finding).padEnd(14)} ${finding.riskLevel.padEnd(8)} ${finding.type}  ${finding.value}` +
+        (finding.baselined ? '  (baseline)' : ''));
+    }
+    lines.push('');
+  }
+
+  const findings = report.files.flatMap(file => file.findings);
+  const baselined = findings.filter(finding => finding.baselined).length;
+  const withFindings = report.files.filter(file => file.findings.some(finding => !finding.baselined)).length;
+  const errors = report.files.filter(file => file.error).length;
+
+  lines.push(`Scanned ${report.files.length} file${report.files.length === 1 ? '' : 's'} in ${(report.durationMs / 1000).toFixed(1)}s: ` +
+    `${findings.length - baselined} finding${findings.length - baselined === 1 ? '' : 's'} in ${withFindings} file${withFindings === 1 ? '' : 's'}` +
+    (baselined ? `, ${baselined} accepted in baseline` : '') +
+    (errors ? `, ${errors} could not be scanned` : ''));
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * SARIF 2.1.0, as GitHub code scanning and most CI dashboards read it
+ * One rule per finding type. Baselined findings are marked as externally
+ * suppressed; offsets only become regions for plain text files, since
+ * nothing in SARIF can point at a PDF page.
+ */
+function toSarif(report: ScanReport): object {
+  const ruleIds = new Map<string, number>();
+  const rules: object[] = [];
+  const ruleFor = (finding: ScanFinding): { ruleId: string; ruleIndex: number } => {
+    const ruleId = slug(finding.type);
+    if (!ruleIds.has(ruleId)) {
+      ruleIds.set(ruleId, rules.length);
+      rules.push({
+        id: ruleId,
+        name: finding.type,
+        shortDescription: { text: finding.type },
+        fullDescription: { text: finding.description },
+        defaultConfiguration: { level: SARIF_LEVEL[finding.riskLevel] },
+        properties: { category: finding.category, tags: ['security', 'secrets'] }
+      });
+    }
+    return { ruleId, ruleIndex: ruleIds.get(ruleId) as number };
+  };
+
+  const results = report.files.flatMap(file => file.findings.map(finding => ({
+    ...ruleFor(finding),
+    level: SARIF_LEVEL[finding.riskLevel],
+    message: { text: `${finding.description} (${finding.value})${finding.page !== undefined && finding.line === undefined ? ` on page ${finding.page}` : ''}` },
+    locations: [{
+      physicalLocation: {
+        artifactLocation: { uri: encodeURI(file.path) },
+        ...(finding.line !== undefined && { region: { startLine: finding.line, startColumn: finding.column } })
+      }
+    }],
+    partialFingerprints: { secretFingerprint: finding.fingerprint },
+    ...(finding.baselined && { suppressions: [{ kind: 'external', justification: 'Accepted in baseline' }] }),
+    properties: {
+      riskLevel: finding.riskLevel,
+      confidence: finding.confidence,
+      category: finding.category,
+      ...(finding.page !== undefined && { page: finding.page }),
+      ...(finding.origin !== undefined && { origin: finding.origin })
+    }
+  })));
+
+  const notifications = report.files.filter(file => file.error).map(file => ({
+    level: 'error',
+    message: { text: `Could not scan ${file.path}: ${file.error}` },
+    locations: [{ physicalLocation: { artifactLocation: { uri: encodeURI(file.path) } } }]
+  }));
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { name: TOOL_NAME, version: VERSION, rules } },
+      invocations: [{
+        executionSuccessful: notifications.length === 0,
+        startTimeUtc: report.scannedAt,
+        ...(notifications.length > 0 && { toolExecutionNotifications: notifications })
+      }],
+      results
+    }]
+  };
+}
+
+/**
+ * JUnit XML: a test case per file
+ * A file fails when it has findings outside the baseline at or above the
+ * fail-on level; other findings go in system-out. Unreadable files are errors.
+ */
+function toJunit(report: ScanReport, failOn: RiskLevel | null): string {
+  const order: RiskLevel[] = ['NONE', 'LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+  const fails = (finding: ScanFinding) => !finding.baselined && failOn !== null &&
+    order.indexOf(finding.riskLevel) >= order.indexOf(failOn);
+
+  const failures = report.files.filter(file => file.findings.some(fails)).length;
+  const errors = report.files.filter(file => file.error).length;
+
+  const cases = report.files.map(file => {
+    const attributes = `classname="${TOOL_NAME}" name="${xml(file.path)}" file="${xml(file.path)}"`;
+    const describe = (finding: ScanFinding) =>
+      `${finding.riskLevel} ${finding.type} ${finding.value} at ${where(finding)}${finding.baselined ? ' (baseline)' : ''}`;
+
+    if (file.error) {
+      return `    <testcase ${attributes}>\n      <error message="${xml(file.error)}"/>\n    </testcase>`;
+    }
+
+    const failing = file.findings.filter(fails);
+    const body = [
+      failing.length > 0 &&
+        `      <failure message="${failing.length} secret${failing.length === 1 ? '' : 's'} at or above ${failOn}" type="${file.riskLevel}">` +
+        `${xml(failing.map(describe).join('\n'))}</failure>`,
+      file.findings.length > failing.length &&
+        `      <system-out>${xml(file.findings.filter(finding => !fails(finding)).map(describe).join('\n'))}</system-out>`
+    ].filter(Boolean);
+
+    return body.length > 0
+      ? `    <testcase ${attributes}>\n${body.join('\n')}\n    </testcase>`
+      : `    <testcase ${attributes}/>`;
+  });
+
+  const time = (report.durationMs / 1000).toFixed(3);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${TOOL_NAME}" tests="${report.files.length}" failures="${failures}" errors="${errors}" time="${time}">`,
+    `  <testsuite name="secret scan" tests="${report.files.length}" failures="${failures}" errors="${errors}" time="${time}" timestamp="${report.scannedAt}">`,
+    ...cases,
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+// "line 12:5", "page 3", "info.Author"...
+function where(finding: ScanFinding): string {
+  if (finding.line !== undefined) return `line ${finding.line}:${finding.column}`;
+  if (finding.origin && finding.origin !== 'body') return finding.origin;
+  return finding.page !== undefined ? `page ${finding.page}` : '-';
+}
+
+function slug(type: string): string {
+  return type.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'secret';
+}
+
+function xml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters aren't allowed in XML 1.0 at all
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '');
+}
@@ -0,0 +1,167 @@
+import { ValidatorName } from '../types';
+
+/**
+ * Checksum and format checks for local patterns
+ *
+ * A regex only finds things shaped like a card number, IBAN or token. Most
+ * digit runs in an invoice are neither, so a match only counts once it passes
+ * the check its pattern names. Every check takes the matched text as-is,
+ * separators included.
+ */
+
+const digitsOf = (value: string): string => value.replace(/\D/g, '');
+
+/**
+ * Luhn (mod 10) check used by card numbers and Canadian SINs
+ */
+export function luhn(digits: string): boolean {
+  if (!/^\d+$/.test(digits)) return false;
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Issuer prefixes of the major card networks: Visa, Mastercard, Amex, Discover, JCB, Diners
+const CARD_PREFIX = /^(4|5[1-5]|222[1-9]|22[3-9]|2[3-6]|27[01]|2720|3[47]|6011|64[4-9]|65|352[89]|35[3-8]|30[0-5]|3[68])/;
+
+/**
+ * Payment card number (PAN): a known network prefix, 13-19 digits and a valid Luhn digit
+ */
+export function paymentCard(value: string): boolean {
+  const digits = digitsOf(value);
+  return digits.length >= 13 && digits.length <= 19 && CARD_PREFIX.test(digits) && luhn(digits);
+}
+
+/**
+ * IBAN: ISO 13616 mod-97 check
+ * Country code and check digits move to the end, letters become 10-35, and
+ * the whole number must leave a remainder of 1.
+ */
+export function iban(value: string): boolean {
+  const compact = value.replace(/ /g, '').toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(compact)) return false;
+
+  const rearranged = compact.slice(4) + compact.slice(0, 4);
+  let remainder = 0;
+  for (const ch of rearranged) {
+    const code = /\d/.test(ch) ? ch : String(ch.charCodeAt(0) - 55);
+    for (const digit of code) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+// Numbers the SSA has published in ads and samples - not anyone's SSN
+const SAMPLE_SSNS = new Set(['078051120', '219099999', '123456789']);
+
+/**
+ * US Social Security number: area can't be 000, 666 or 900-999, group
+ * can't be 00 and serial can't be 0000
+ */
+export function usSsn(value: string): boolean {
+  const digits = digitsOf(value);
+  if (digits.length !== 9 || SAMPLE_SSNS.has(digits)) return false;
+
+  const area = Number(digits.slice(0, 3));
+  const group = digits.slice(3, 5);
+  const serial = digits.slice(5);
+  return area !== 0 && area !== 666 && area < 900 && group !== '00' && serial !== '0000';
+}
+
+// Prefixes HMRC never issues (temporary or administrative numbers)
+const INVALID_NINO_PREFIXES = new Set(['BG', 'GB', 'NK', 'KN', 'TN', 'NT', 'ZZ']);
+
+/**
+ * UK National Insurance number: letters D, F, I, Q, U and V never appear in
+ * the prefix, O never second, and a handful of prefixes aren't issued
+ */
+export function ukNino(value: string): boolean {
+  const compact = value.replace(/ /g, '').toUpperCase();
+  if (!/^[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z]\d{6}[A-D]$/.test(compact)) return false;
+  return !INVALID_NINO_PREFIXES.has(compact.slice(0, 2));
+}
+
+/**
+ * Canadian Social Insurance number: Luhn-valid, and never starting with 0 or 8
+ */
+export function caSin(value: string): boolean {
+  const digits = digitsOf(value);
+  return digits.length === 9 && !/^[08]/.test(digits) && luhn(digits);
+}
+
+/**
+ * Phone number: international numbers (leading +) need 8-15 digits, as in
+ * E.164. Without a country code only North American numbers are accepted -
+ * 10 digits, area code and exchange not starting with 0 or 1.
+ */
+export function phone(value: string): boolean {
+  const digits = digitsOf(value);
+  if (value.trim().startsWith('+')) {
+    return digits.length >= 8 && digits.length <= 15;
+  }
+
+  const national = digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+  return national.length === 10 && /^[2-9]\d\d[2-9]/.test(national);
+}
+
+const BASE62 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+let crcTable: number[] | null = null;
+
+/**
+ * CRC-32 (IEEE), as in zlib
+ */
+export function crc32(value: string): number {
+  if (!crcTable) {
+    crcTable = Array.from({ length: 256 }, (_, n) => {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      return c >>> 0;
+    });
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < value.length; i++) {
+    crc = (crcTable[(crc ^ value.charCodeAt(i)) & 0xff] as number) ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * GitHub token (ghp_ and friends): the last 6 characters are the CRC-32 of
+ * the 30 random ones before them, in base62 padded with zeros
+ */
+export function githubToken(value: string): boolean {
+  const match = /^gh[pousr]_([A-Za-z0-9]{30})([A-Za-z0-9]{6})$/.exec(value);
+  if (!match) return false;
+
+  let checksum = crc32(match[1] as string);
+  let encoded = '';
+  do {
+    encoded = BASE62[checksum % 62] + encoded;
+    checksum = Math.floor(checksum / 62);
+  } while (checksum > 0);
+
+  return encoded.padStart(6, '0') === match[2];
+}
+
+export const VALIDATORS: Record<ValidatorName, (value: string) => boolean> = {
+  githubToken,
+  paymentCard,
+  iban,
+  usSsn,
+  ukNino,
+  caSin,
+  phone
+};
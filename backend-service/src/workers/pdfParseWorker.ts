@@ -0,0 +1,374 @@
+import { parentPort } from 'worker_threads';
+import { Writable } from 'stream';
+import zlib from 'zlib';
+import pdfParse from 'pdf-parse';
+import winston from 'winston';
+import logger from '../utils/logger';
+import pdfExtras from '../services/pdfExtras';
+import textParser from '../services/textParser';
+import { canvasFactory, openDocument } from '../utils/pdfjs';
+import {
+  EncryptionState, PageImage, ParsedAttachment, ParsedPdf, PdfLimitCode, PdfParseLimits,
+  PdfRenderLimits, PdfWorkerRequest, RenderedPage, TextItemLayout
+} from '../types';
+
+/**
+ * PDF parse worker
+ *
+ * The part of PDF extraction that runs untrusted bytes through pdf.js -
+ * pages, metadata, annotations, attachments - running in a pdfWorkerPool
+ * thread under its heap cap and timeout. Page count and inflated stream
+ * size are checked here, and so is encryption: a PDF pdf.js can't open
+ * with the password it was given (if any) comes back as an `encrypted`
+ * message instead of an error. Results come back raw; pdfParser builds the
+ * page text and cleans up on the main thread.
+ *
+ * Pages that turn out to need OCR come back here to be drawn, under the
+ * same limits, and only the images go to Tesseract.
+ */
+
+// How deep to follow PDFs attached to PDFs
+const MAX_ATTACHMENT_DEPTH = 3;
+
+// Skia refuses canvases past 32767 a side; a page that thin is no use to OCR anyway
+const MAX_CANVAS_SIDE = 16384;
+
+// US Letter, for pages too broken to tell their size
+const UNREADABLE_PAGE_SIZE = [612, 792] as const;
+
+class LimitError extends Error {
+  constructor(readonly code: PdfLimitCode, message: string) {
+    super(message);
+  }
+}
+
+class EncryptedError extends Error {
+  constructor(readonly state: EncryptionState) {
+    super(`PDF is encrypted (${state})`);
+  }
+}
+
+// Inflated stream bytes left for the file being parsed, attachments included
+interface StreamBudget {
+  remaining: number;
+}
+
+// Log through the main thread, so each log file has a single writer and the CLI's quiet logger applies here too
+logger.clear();
+logger.add(new winston.transports.Stream({
+  stream: new Writable({
+    objectMode: true,
+    write({ level, message, timestamp: _timestamp, service: _service, version: _version, ...meta }, _encoding, callback) {
+      parentPort?.postMessage({ type: 'log', level, message, meta });
+      callback();
+    }
+  })
+}));
+
+parentPort?.on('message', async (request: PdfWorkerRequest) => {
+  if (request.kind === 'render') {
+    try {
+      const images = await renderImages(request.data, request.pageNumbers, request.limits, request.password);
+      parentPort?.postMessage({ type: 'rendered', images }, images.map(image => image.png.buffer as ArrayBuffer));
+    } catch (error) {
+      parentPort?.postMessage({ type: 'error', message: error instanceof Error ? error.message : 'Unknown error' });
+    }
+    return;
+  }
+
+  const { data, limits, password } = request;
+  try {
+    const parsed = await parse(data, 0, limits, { remaining: limits.maxStreamBytes }, (page, pages) => {
+      parentPort?.postMessage({ type: 'progress', page, pages });
+    }, password);
+    parentPort?.postMessage({ type: 'done', parsed });
+  } catch (error) {
+    if (error instanceof EncryptedError) {
+      parentPort?.postMessage({ type: 'encrypted', state: error.state });
+      return;
+    }
+    parentPort?.postMessage({
+      type: 'error',
+      message: error instanceof Error ? error.message : 'Unknown error',
+      ...(error instanceof LimitError && { code: error.code })
+    });
+  }
+});
+
+/**
+ * Parse one document, and any PDFs attached to it
+ *
+ * @param depth - How many attachments deep this document is (0 for the upload)
+ * @param password - For the upload only; attachments have passwords of their own
+ * @throws EncryptedError when the document is encrypted and can't be opened
+ */
+async function parse(
+  data: Uint8Array,
+  depth: number,
+  limits: PdfParseLimits,
+  budget: StreamBudget,
+  onPage?: (page: number, pages: number) => void,
+  password?: string
+): Promise<ParsedPdf> {
+  // Encrypted streams don't inflate, so checkStreams can't see into them; the heap cap still applies
+  const encrypted = isEncrypted(data);
+  if (limits.maxStreamBytes > 0) checkStreams(data, budget, limits.maxStreamBytes);
+
+  const maxPages = limits.maxPages > 0 ? limits.maxPages : Infinity;
+  const pages: RenderedPage[] = [];
+
+  // Hand pdf.js a plain Uint8Array: copies it makes of a Buffer are slices of
+  // Node's shared pool, which it then reads as if they started at offset 0
+  const dataBuffer = new Uint8Array(data) as unknown as Buffer;
+
+  // pdf-parse hands this straight to pdf.js's getDocument, which also takes
+  // an options object - the only way to get a password through to it
+  const source = { data: dataBuffer, ...(password !== undefined && { password }) } as unknown as Buffer;
+
+  // pdf-parse renders pages in order, so we can collect them as they come.
+  // It swallows errors thrown from pagerender, so an oversized document just
+  // renders nothing and is refused once numpages is known; `max` keeps it
+  // from fetching every page on the way. A page that fails to load or render
+  // is swallowed the same way - it's filled in blank afterwards.
+  let parsed;
+  try {
+    parsed = await pdfParse(source, {
+      max: maxPages + 1,
+      pagerender: async (pageData: any) => {
+        const numPages = pageData.transport?.numPages;
+        if (numPages > maxPages) return '';
+
+        const page = await renderPage(pageData);
+        pages[pageData.pageIndex ?? pages.length] = page;
+        onPage?.(pageData.pageNumber ?? pages.length, numPages ?? pages.length);
+        return '';
+      }
+    });
+  } catch (error) {
+    const passwordError = (error as any)?.name === 'PasswordException';
+    if (!encrypted && !passwordError) throw error;
+
+    // Anything but a password error on an encrypted file means a security handler pdf.js doesn't support
+    if (!passwordError) throw new EncryptedError('unsupported');
+    throw new EncryptedError(password !== undefined ? 'incorrect_password' : 'password_required');
+  }
+
+  if (parsed.numpages > maxPages) {
+    throw new LimitError('TOO_MANY_PAGES', `PDF has ${parsed.numpages} pages, the limit is ${maxPages}`);
+  }
+
+  // Blank pages in place of unreadable ones, so the pages after keep their numbers and offsets
+  const unreadablePages: number[] = [];
+  for (let index = 0; index < parsed.numpages; index++) {
+    if (pages[index] === undefined) {
+      pages[index] = { width: UNREADABLE_PAGE_SIZE[0], height: UNREADABLE_PAGE_SIZE[1], items: [] };
+      unreadablePages.push(index + 1);
+    }
+  }
+  if (unreadablePages.length > 0) {
+    logger.warn('Some PDF pages could not be read and were scanned as blank', { unreadablePages });
+  }
+
+  return {
+    numPages: parsed.numpages,
+    ...(unreadablePages.length > 0 && { unreadablePages }),
+    ...(encrypted && { encryption: password !== undefined ? 'decrypted' as const : 'no_user_password' as const }),
+    info: parsed.info || {},
+    metadata: parsed.metadata || {},
+    pages,
+    ...await readExtras(data, depth, limits, budget, password)
+  };
+}
+
+/**
+ * Metadata, annotations and form fields as sections, plus attachments
+ *
+ * Attached PDFs are parsed like the upload, text attachments decoded and
+ * anything binary skipped. Attachments count against the same limits as
+ * the upload, so breaking one refuses the whole file; any other failure
+ * only costs the affected part.
+ */
+async function readExtras(
+  data: Uint8Array,
+  depth: number,
+  limits: PdfParseLimits,
+  budget: StreamBudget,
+  password?: string
+): Promise<Pick<ParsedPdf, 'sections' | 'attachments'>> {
+  let extras;
+  try {
+    extras = await pdfExtras.extract(data, password);
+  } catch (error) {
+    logger.warn('Could not read PDF metadata, annotations or attachments', {
+      error: error instanceof Error ? error.message : 'Unknown error'
+    });
+    return { sections: [], attachments: [] };
+  }
+
+  const attachments: ParsedAttachment[] = [];
+
+  for (const file of extras.attachments) {
+    if (isPdf(file.content)) {
+      if (depth + 1 > MAX_ATTACHMENT_DEPTH) {
+        logger.warn('Attached PDF nested too deep, not scanned', { attachment: file.filename, depth });
+        continue;
+      }
+      try {
+        const pdf = await parse(file.content, depth + 1, limits, budget);
+        // A copy, so only the attachment is sent back rather than the buffer it sits in
+        attachments.push({ filename: file.filename, pdf, data: new Uint8Array(file.content) });
+      } catch (error) {
+        if (error instanceof LimitError) throw error;
+        logger.warn('Could not parse attached PDF', {
+          attachment: file.filename,
+          error: error instanceof Error ? error.message : 'Unknown error'
+        });
+      }
+      continue;
+    }
+
+    const text = textParser.decode(file.content);
+    if (text === null) {
+      logger.debug('Skipping binary attachment', { attachment: file.filename });
+      continue;
+    }
+    attachments.push({ filename: file.filename, text });
+  }
+
+  return { sections: extras.sections, attachments };
+}
+
+/**
+ * Inflate every FlateDecode stream up front, counting what they come to
+ *
+ * pdf.js inflates streams whenever it needs them with no ceiling, so a few
+ * KB of deflated zeroes can fill the heap before a single page is read.
+ * maxOutputLength stops zlib as soon as the budget is gone. Streams that
+ * don't inflate cleanly are left for pdf.js to make what it can of.
+ */
+function checkStreams(data: Uint8Array, budget: StreamBudget, limit: number): void {
+  const bytes = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  // latin1 keeps one character per byte, so string offsets are buffer offsets
+  const text = bytes.toString('latin1');
+  const keyword = /\bstream(?:\r\n|\n|\r)/g;
+
+  let match: RegExpExecArray | null;
+  while ((match = keyword.exec(text)) !== null) {
+    const start = match.index + match[0].length;
+    const end = text.indexOf('endstream', start);
+    if (end === -1) break;
+
+    const dictionary = text.slice(Math.max(0, text.lastIndexOf(' obj', match.index)), match.index);
+    keyword.lastIndex = end;
+    if (!/\/(?:FlateDecode|Fl)\b/.test(dictionary)) continue;
+
+    try {
+      const inflated = zlib.inflateSync(bytes.subarray(start, end), {
+        maxOutputLength: budget.remaining + 1,
+        finishFlush: zlib.constants.Z_SYNC_FLUSH
+      });
+      budget.remaining -= inflated.length;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'ERR_BUFFER_TOO_LARGE') continue;
+      budget.remaining = -1;
+    }
+
+    if (budget.remaining < 0) {
+      throw new LimitError('STREAM_TOO_LARGE', `PDF streams inflate to more than ${Math.round(limit / 1024 / 1024)}MB`);
+    }
+  }
+}
+
+// An /Encrypt entry in the trailer (or the xref stream standing in for it)
+function isEncrypted(data: Uint8Array): boolean {
+  return /\/Encrypt\s*(?:\d+\s+\d+\s+R|<<)/.test(Buffer.from(data.buffer, data.byteOffset, data.byteLength).toString('latin1'));
+}
+
+function isPdf(data: Uint8Array): boolean {
+  return Buffer.from(data.buffer, data.byteOffset, Math.min(data.length, 1024)).includes('%PDF-');
+}
+
+/**
+ * Draw pages as PNGs for OCR
+ * A page that fails to draw is logged and left out, like one OCR can't read.
+ *
+ * @param pageNumbers - 1-based page numbers
+ */
+async function renderImages(data: Uint8Array, pageNumbers: number[], limits: PdfRenderLimits, password?: string): Promise<PageImage[]> {
+  const doc = await openDocument(data, password);
+  const images: PageImage[] = [];
+
+  try {
+    for (const pageNumber of pageNumbers) {
+      try {
+        images.push({ pageNumber, png: await drawPage(doc, pageNumber, limits) });
+      } catch (error) {
+        logger.warn('Could not render page for OCR', {
+          pageNumber,
+          error: error instanceof Error ? error.message : 'Unknown error'
+        });
+      }
+    }
+  } finally {
+    await doc.destroy();
+  }
+
+  return images;
+}
+
+/**
+ * Render a page at the configured resolution, or as close as the size limits allow
+ *
+ * The page box comes from the file, so without a ceiling a single page can
+ * ask for a canvas of any size - and canvas memory sits outside the heap cap.
+ */
+async function drawPage(doc: any, pageNumber: number, limits: PdfRenderLimits): Promise<Uint8Array> {
+  const page = await doc.getPage(pageNumber);
+  const { width, height } = page.getViewport({ scale: 1 });
+  if (!(width > 0 && height > 0)) throw new Error('Page has no area');
+
+  const scale = Math.min(
+    limits.dpi / 72,
+    Math.sqrt(limits.maxPixels / (width * height)),
+    MAX_CANVAS_SIDE / Math.max(width, height)
+  );
+  const viewport = page.getViewport({ scale });
+  const { canvas, context } = canvasFactory.create(
+    Math.max(1, Math.floor(viewport.width)),
+    Math.max(1, Math.floor(viewport.height))
+  );
+
+  // Scans are usually black on white; a transparent background confuses Tesseract
+  context.fillStyle = 'white';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+
+  await page.render({ canvasContext: context, viewport }).promise;
+  page.cleanup();
+
+  // A copy of its own, so it can be moved to the main thread
+  return new Uint8Array(canvas.toBuffer('image/png'));
+}
+
+/**
+ * Pull positioned text items out of a pdf.js page
+ */
+async function renderPage(pageData: any): Promise<RenderedPage> {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false
+  });
+  const [x0 = 0, y0 = 0, x1 = 0, y1 = 0] = pageData.view || [];
+
+  const items: TextItemLayout[] = textContent.items.map((item: any) => {
+    const [, , c = 0, d = 0, e = 0, f = 0] = item.transform;
+    return {
+      str: item.str,
+      x: e - x0,
+      y: f - y0,
+      width: item.width || 0,
+      fontSize: Math.hypot(c, d) || 10
+    };
+  });
+
+  return { width: x1 - x0, height: y1 - y0, items };
+}
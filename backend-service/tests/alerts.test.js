@@ -0,0 +1,178 @@
+/* eslint-disable */
+const crypto = require('crypto');
+const dgram = require('dgram');
+const http = require('http');
+const path = require('path');
+
+// Retries a few milliseconds apart instead of seconds
+process.env.ALERT_RETRY_BASE_MS = '10';
+process.env.ALERT_MAX_ATTEMPTS = '3';
+
+const alerts = require(path.join(__dirname, '..', 'dist', 'services', 'alerts.js')).default;
+const { cefMessage, syslogMessage } = require(path.join(__dirname, '..', 'dist', 'utils', 'alertFormats.js'));
+
+const waitFor = async (check, timeoutMs = 3000) => {
+  const until = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > until) throw new Error('timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+const secret = (overrides = {}) => ({
+  type: 'AWS Access Key',
+  description: 'AWS Access Key ID',
+  value: 'AKIA************MPLE',
+  location: 10,
+  confidence: 0.9,
+  riskLevel: 'HIGH',
+  category: 'credential',
+  source: 'local',
+  fingerprint: 'abc',
+  page: 2,
+  ...overrides
+});
+
+const detection = (riskLevel, overrides = {}) => ({
+  filename: 'deploy notes.pdf',
+  fileType: 'pdf',
+  fileSize: 2048,
+  riskLevel,
+  secrets: [secret({ riskLevel })],
+  inspectionId: 7,
+  context: { platform: 'ChatGPT', user: 'alice', ip: '10.0.0.5' },
+  ...overrides
+});
+
+let server;
+let requests;
+let statuses;
+let baseUrl;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body });
+      res.statusCode = statuses.shift() ?? 200;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  alerts.close();
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  requests = [];
+  statuses = [];
+  alerts.open(':memory:');
+});
+
+test('signs webhook payloads and only sends what meets the sink\'s minimum level', async () => {
+  alerts.configure([
+    { name: 'soc', type: 'webhook', url: `${baseUrl}/hook`, secret: 'shh', minRiskLevel: 'HIGH' },
+    { name: 'slack', type: 'slack', url: `${baseUrl}/slack`, minRiskLevel: 'CRITICAL' }
+  ]);
+
+  alerts.notify(detection('MEDIUM'));
+  alerts.notify(detection('HIGH'));
+  await waitFor(() => requests.length === 1);
+  await alerts.drain();
+
+  expect(requests).toHaveLength(1);
+  const [request] = requests;
+  expect(request.url).toBe('/hook');
+
+  const expected = 'sha256=' + crypto.createHmac('sha256', 'shh')
+    .update(`${request.headers['x-psi-timestamp']}.${request.body}`).digest('hex');
+  expect(request.headers['x-psi-signature']).toBe(expected);
+
+  const payload = JSON.parse(request.body);
+  expect(payload).toMatchObject({
+    event: 'secrets.detected',
+    id: request.headers['x-psi-delivery'],
+    inspectionId: 7,
+    filename: 'deploy notes.pdf',
+    riskLevel: 'HIGH',
+    platform: 'ChatGPT',
+    user: 'alice',
+    findings: [{ type: 'AWS Access Key', value: 'AKIA************MPLE', page: 2 }]
+  });
+  expect(request.body).not.toContain('fingerprint');
+  expect(alerts.pending()).toEqual({});
+});
+
+test('retries failed deliveries with the same id and drops rejected ones', async () => {
+  alerts.configure([{ name: 'soc', type: 'webhook', url: `${baseUrl}/hook` }]);
+
+  statuses = [503, 200];
+  alerts.notify(detection('CRITICAL'));
+  await waitFor(() => requests.length === 2);
+  await waitFor(() => Object.keys(alerts.pending()).length === 0);
+  expect(requests[0].headers['x-psi-delivery']).toBe(requests[1].headers['x-psi-delivery']);
+
+  // 4xx won't get better with retries
+  requests = [];
+  statuses = [410];
+  alerts.notify(detection('CRITICAL'));
+  await waitFor(() => requests.length === 1);
+  await waitFor(() => Object.keys(alerts.pending()).length === 0);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  expect(requests).toHaveLength(1);
+});
+
+test('sends RFC 5424 syslog with a CEF body over UDP', async () => {
+  const socket = dgram.createSocket('udp4');
+  const received = [];
+  socket.on('message', message => received.push(message.toString()));
+  await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+
+  try {
+    alerts.configure([{ name: 'siem', type: 'syslog', host: '127.0.0.1', port: socket.address().port }]);
+    alerts.notify(detection('CRITICAL'));
+    await waitFor(() => received.length === 1);
+
+    // local0 (16) * 8 + crit (2)
+    expect(received[0]).toMatch(/^<130>1 \d{4}-\d\d-\d\dT[\d:.]+Z \S+ pdf-secret-inspector \d+ secrets-in-file - CEF:0\|/);
+    expect(received[0]).toContain('|secrets-in-file|Secrets detected in uploaded file|10|');
+    expect(received[0]).toContain('fname=deploy notes.pdf');
+    expect(received[0]).toContain('suser=alice src=10.0.0.5');
+  } finally {
+    socket.close();
+  }
+});
+
+test('escapes CEF and maps risk levels to severities', () => {
+  const event = {
+    id: 'e1', inspectionId: null, detectedAt: '2024-05-01T10:00:00.000Z', filename: 'a=b|c\\d.pdf\nx',
+    fileType: 'prompt', fileSize: 10, riskLevel: 'HIGH', secretsFound: 1,
+    findings: [{ type: 'Password', description: 'Password', value: 'hunt***2', confidence: 0.8, riskLevel: 'HIGH', category: 'credential' }]
+  };
+
+  const cef = cefMessage(event);
+  expect(cef).toContain('|secrets-in-prompt|Secrets detected in prompt|8|rt=1714557600000 ');
+  expect(cef).toContain('fname=a\\=b|c\\\\d.pdf\\nx');
+  expect(cef).not.toContain('cn1=');
+  expect(syslogMessage(event, 4)).toMatch(/^<35>1 /);
+});
+
+test('rejects invalid sink config and keeps the current sinks', () => {
+  alerts.configure([{ name: 'soc', type: 'webhook', url: `${baseUrl}/hook` }]);
+
+  expect(() => alerts.configure([{ name: 'x', type: 'email' }])).toThrow(/type must be one of/);
+  expect(() => alerts.configure([{ name: 'x', type: 'webhook', url: 'ftp://x' }])).toThrow(/http\(s\) URL/);
+  expect(() => alerts.configure([{ name: 'x', type: 'syslog' }])).toThrow(/host is required/);
+  expect(() => alerts.configure([{ name: 'x', type: 'slack', url: baseUrl, minRiskLevel: 'NONE' }])).toThrow(/minRiskLevel/);
+  expect(() => alerts.configure([
+    { name: 'x', type: 'slack', url: baseUrl },
+    { name: 'x', type: 'webhook', url: baseUrl }
+  ])).toThrow(/unique/);
+
+  expect(alerts.configuredSinks).toEqual([{ name: 'soc', type: 'webhook', minRiskLevel: 'HIGH', url: `${baseUrl}/hook` }]);
+});
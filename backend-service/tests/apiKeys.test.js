@@ -0,0 +1,55 @@
+/* eslint-disable */
+const path = require('path');
+
+process.env.ADMIN_API_KEY = 'bootstrap-admin-key';
+
+const loadService = () => {
+  const p = path.join(__dirname, '..', 'dist', 'services', 'apiKeys.js');
+  delete require.cache[require.resolve(p)];
+  return require(p).default;
+};
+
+let apiKeys;
+beforeEach(() => {
+  apiKeys = loadService();
+  apiKeys.open(':memory:');
+});
+afterEach(() => apiKeys.close());
+
+test('created keys authenticate and count their requests', () => {
+  const created = apiKeys.create({ name: 'alice@example.com', rateLimit: 20 });
+
+  expect(created.key).toMatch(/^psi_/);
+  expect(created.key.startsWith(created.prefix)).toBe(true);
+  expect(created.role).toBe('client');
+
+  expect(apiKeys.authenticate(created.key)).toEqual({ id: created.id, name: 'alice@example.com', role: 'client', rateLimit: 20 });
+  apiKeys.authenticate(created.key);
+
+  const [record] = apiKeys.list();
+  expect(record.requests).toBe(2);
+  expect(record.lastUsedAt).toBeDefined();
+  // Only the hash is stored; nothing the admin API returns contains the key
+  expect(JSON.stringify(record)).not.toContain(created.key);
+});
+
+test('revoked and unknown keys are rejected', () => {
+  const created = apiKeys.create({ name: 'ci' });
+  const revoked = apiKeys.revoke(created.id);
+
+  expect(revoked.revokedAt).toBeDefined();
+  expect(apiKeys.authenticate(created.key)).toBeNull();
+  expect(apiKeys.authenticate('psi_notarealkey')).toBeNull();
+  expect(apiKeys.revoke('no-such-id')).toBeUndefined();
+});
+
+test('the configured admin key always authenticates as admin', () => {
+  expect(apiKeys.authenticate('bootstrap-admin-key')).toMatchObject({ role: 'admin' });
+  expect(apiKeys.authenticate('bootstrap-admin-kez')).toBeNull();
+});
+
+test('rejects invalid key requests', () => {
+  expect(() => apiKeys.create({})).toThrow(/name is required/);
+  expect(() => apiKeys.create({ name: 'x', role: 'root' })).toThrow(/role must be/);
+  expect(() => apiKeys.create({ name: 'x', rateLimit: -1 })).toThrow(/rateLimit/);
+});
@@ -0,0 +1,82 @@
+/* eslint-disable */
+const path = require('path');
+
+const loadService = () => {
+  const p = path.join(__dirname, '..', 'dist', 'services', 'auditLog.js');
+  delete require.cache[require.resolve(p)];
+  return require(p).default;
+};
+
+const result = (riskLevel, types, timestamp) => ({
+  filename: 'multer-name',
+  fileSize: 1234,
+  processingTime: 42,
+  secretsFound: types.length,
+  riskLevel,
+  secrets: types.map(type => ({
+    type,
+    description: `${type} detected`,
+    confidence: 0.9,
+    location: 10,
+    riskLevel,
+    source: 'local',
+    page: 1,
+    context: 'key AKIA****************',
+    origin: 'body',
+  })),
+  metadata: { pages: 1, wordCount: 10, pagesWithoutText: [], ocrPages: [], fileType: 'pdf', sectionsScanned: [], timestamp },
+});
+
+let audit;
+beforeEach(() => {
+  audit = loadService();
+  audit.open(':memory:');
+  audit.record(result('CRITICAL', ['Private Key'], '2024-05-01T10:00:00.000Z'), 'deploy-keys.pdf', { platform: 'ChatGPT', ip: '10.0.0.1' });
+  audit.record(result('HIGH', ['AWS Access Key', 'Password'], '2024-05-03T10:00:00.000Z'), 'creds.xlsx', { platform: 'Claude' });
+  audit.record(result('NONE', [], '2024-05-08T10:00:00.000Z'), 'notes.txt', { platform: 'ChatGPT' });
+});
+afterEach(() => audit.close());
+
+test('filters by platform, risk level and date range', () => {
+  const page = audit.query(audit.parseQuery({ platform: 'chatgpt', riskLevel: 'critical,high', from: '2024-04-28', to: '2024-05-05' }));
+
+  expect(page.total).toBe(1);
+  expect(page.inspections[0]).toMatchObject({
+    filename: 'deploy-keys.pdf',
+    platform: 'ChatGPT',
+    riskLevel: 'CRITICAL',
+    secretTypes: ['Private Key'],
+  });
+  expect(page.inspections[0].result).toBeUndefined();
+});
+
+test('filters by secret type and filename, newest first with pagination', () => {
+  expect(audit.query(audit.parseQuery({ secretType: 'password' })).inspections.map(r => r.filename)).toEqual(['creds.xlsx']);
+  expect(audit.query(audit.parseQuery({ filename: 'KEYS' })).inspections.map(r => r.filename)).toEqual(['deploy-keys.pdf']);
+
+  const second = audit.query(audit.parseQuery({ page: '2', pageSize: '2' }));
+  expect(second.total).toBe(3);
+  expect(second.inspections.map(r => r.filename)).toEqual(['deploy-keys.pdf']);
+});
+
+test('stores the masked result, never raw values', () => {
+  const [latestSecret] = audit.query(audit.parseQuery({ riskLevel: 'CRITICAL' })).inspections;
+  const record = audit.get(latestSecret.id);
+
+  expect(record.result.secrets[0].context).toBe('key AKIA****************');
+  expect(record.result.secrets[0].value).toBeUndefined();
+});
+
+test('exports CSV with quoting and formula-safe cells', () => {
+  audit.record(result('LOW', ['API Key'], '2024-05-09T10:00:00.000Z'), '=HYPERLINK("x"),1.csv');
+  const rows = [...audit.iterate(audit.parseQuery({ riskLevel: 'LOW' }))].map(r => audit.csvRow(r));
+
+  expect(audit.csvHeader()).toBe('id,inspectedAt,filename,fileType,fileSize,platform,user,ip,riskLevel,secretsFound,secretTypes,processingTime\n');
+  expect(rows[0]).toContain(`"'=HYPERLINK(""x""),1.csv"`);
+});
+
+test('rejects invalid filters', () => {
+  expect(() => audit.parseQuery({ riskLevel: 'SEVERE' })).toThrow('Invalid riskLevel');
+  expect(() => audit.parseQuery({ from: 'last week' })).toThrow('Invalid date');
+  expect(() => audit.parseQuery({ pageSize: '10000' })).toThrow('pageSize');
+});
@@ -0,0 +1,53 @@
+/* eslint-disable */
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const loadService = () => {
+  const p = path.join(__dirname, '..', 'dist', 'services', 'fileExtractor.js');
+  delete require.cache[require.resolve(p)];
+  return require(p).default;
+};
+
+test('matches files on extension first, then MIME type', () => {
+  const registry = loadService();
+
+  expect(registry.find('report.PDF').id).toBe('pdf');
+  expect(registry.find('creds.xlsx', 'application/octet-stream').id).toBe('xlsx');
+  expect(registry.find('.env').id).toBe('text');
+  expect(registry.find('.env.production').id).toBe('text');
+  expect(registry.find('values.yaml').id).toBe('text');
+  expect(registry.find('README', 'text/plain').id).toBe('text');
+  expect(registry.find('photo.png', 'image/png')).toBeUndefined();
+});
+
+test('advertises extensions and MIME types of every active extractor', () => {
+  const supported = loadService().getSupportedTypes();
+
+  expect(supported.extractors).toEqual(['pdf', 'docx', 'xlsx', 'pptx', 'text']);
+  expect(supported.extensions).toEqual(expect.arrayContaining(['.pdf', '.docx', '.env', '.yml']));
+  expect(supported.mimeTypes).toContain('application/pdf');
+});
+
+test('extracts text files as a single unmodified page', async () => {
+  const file = path.join(os.tmpdir(), `text-extractor-test-${process.pid}.env`);
+  fs.writeFileSync(file, '\uFEFFDB_PASSWORD=hunter22\n\nAPI_KEY=abc\n');
+  try {
+    const content = await loadService().find(file).extract(file);
+
+    expect(content.text).toBe('DB_PASSWORD=hunter22\n\nAPI_KEY=abc\n');
+    expect(content.pageTexts).toEqual([{ pageNumber: 1, text: content.text, offset: 0, extraction: 'text' }]);
+  } finally {
+    fs.unlinkSync(file);
+  }
+});
+
+test('refuses binary content behind a text extension', async () => {
+  const file = path.join(os.tmpdir(), `text-extractor-test-${process.pid}.txt`);
+  fs.writeFileSync(file, Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x01]));
+  try {
+    await expect(loadService().find(file).extract(file)).rejects.toThrow('does not look like text');
+  } finally {
+    fs.unlinkSync(file);
+  }
+});
@@ -0,0 +1,39 @@
+/* eslint-disable */
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { jsPDF } = require('jspdf');
+
+const loadParser = () => {
+  const p = path.join(__dirname, '..', 'dist', 'services', 'pdfParser.js');
+  delete require.cache[require.resolve(p)];
+  return require(p).default;
+};
+
+const writePdf = (pages) => {
+  const doc = new jsPDF();
+  pages.forEach((lines, i) => {
+    if (i > 0) doc.addPage();
+    lines.forEach((line, j) => doc.text(line, 20, 20 + j * 10));
+  });
+  const file = path.join(os.tmpdir(), `pdf-parser-test-${process.pid}-${Date.now()}.pdf`);
+  fs.writeFileSync(file, Buffer.from(doc.output('arraybuffer')));
+  return file;
+};
+
+test('extracts text per page with offsets into the combined text', async () => {
+  const file = writePdf([['First page', 'line two'], ['Second page']]);
+  try {
+    const content = await loadParser().extractText(file);
+
+    expect(content.pages).toBe(2);
+    expect(content.pageTexts).toHaveLength(2);
+    expect(content.pageTexts[0].text).toBe('First page line two');
+    expect(content.pageTexts[1].pageNumber).toBe(2);
+    content.pageTexts.forEach(page => {
+      expect(content.text.substr(page.offset, page.text.length)).toBe(page.text);
+    });
+  } finally {
+    fs.unlinkSync(file);
+  }
+});
@@ -0,0 +1,109 @@
+/* eslint-disable */
+const path = require('path');
+const { jsPDF } = require('jspdf');
+
+const distPath = (...parts) => path.join(__dirname, '..', 'dist', ...parts);
+const config = require(distPath('config')).default;
+const { default: pool, PdfLimitError } = require(distPath('services', 'pdfWorkerPool'));
+
+const pdfData = (pages, options = {}) => {
+  const doc = new jsPDF(options);
+  pages.forEach((text, i) => {
+    if (i > 0) doc.addPage();
+    doc.text(text, 20, 20);
+  });
+  return new Uint8Array(doc.output('arraybuffer'));
+};
+
+const defaults = { ...config.pdf };
+
+afterEach(() => {
+  Object.assign(config.pdf, defaults);
+});
+
+afterAll(() => pool.close());
+
+test('parses in a worker and reports progress per page', async () => {
+  const progress = [];
+  const parsed = await pool.parse(pdfData(['First page', 'Second page']), (page, pages) => progress.push([page, pages]));
+
+  expect(parsed.numPages).toBe(2);
+  expect(parsed.pages[1].items.map(item => item.str).join('')).toBe('Second page');
+  expect(progress).toEqual([[1, 2], [2, 2]]);
+});
+
+test('a page pdf.js can\'t load is kept blank so later pages keep their numbers', async () => {
+  // Swap the second page for a page tree node whose only page is missing,
+  // padded so the xref offsets still hold
+  const pdf = Buffer.from(pdfData(['First page', 'Second page', 'Third page'])).toString('latin1')
+    .replace(/<<\/Type \/Page\n[^>]*\/Contents 6 0 R\n>>/, page => '<</Type /Pages /Count 1 /Kids [99 0 R]>>'.padEnd(page.length));
+  const parsed = await pool.parse(new Uint8Array(Buffer.from(pdf, 'latin1')));
+
+  expect(parsed.pages.map(page => page.items.map(item => item.str).join(''))).toEqual(['First page', '', 'Third page']);
+  expect(parsed.unreadablePages).toEqual([2]);
+});
+
+test('refuses documents over the page limit', async () => {
+  config.pdf.maxPages = 2;
+
+  const error = await pool.parse(pdfData(['one', 'two', 'three'])).catch(e => e);
+  expect(error).toBeInstanceOf(PdfLimitError);
+  expect(error.code).toBe('TOO_MANY_PAGES');
+  expect(error.message).toContain('3 pages');
+});
+
+test('refuses streams that inflate past the limit', async () => {
+  config.pdf.maxStreamBytes = 64;
+
+  const error = await pool.parse(pdfData(['x'.repeat(200)], { compress: true })).catch(e => e);
+  expect(error.code).toBe('STREAM_TOO_LARGE');
+});
+
+test('kills a worker that runs over the timeout and carries on with a new one', async () => {
+  config.pdf.timeoutMs = 1;
+  const error = await pool.parse(pdfData(['slow'])).catch(e => e);
+  expect(error.code).toBe('PARSE_TIMEOUT');
+
+  Object.assign(config.pdf, defaults);
+  const parsed = await pool.parse(pdfData(['after']));
+  expect(parsed.numPages).toBe(1);
+});
+
+test('pdfParser passes limit errors through with their code', async () => {
+  const fs = require('fs');
+  const os = require('os');
+  const pdfParser = require(distPath('services', 'pdfParser')).default;
+  const file = path.join(os.tmpdir(), `pdf-pool-test-${process.pid}.pdf`);
+  fs.writeFileSync(file, pdfData(['one', 'two']));
+  config.pdf.maxPages = 1;
+
+  try {
+    const error = await pdfParser.extractText(file).catch(e => e);
+    expect(error).toBeInstanceOf(PdfLimitError);
+    expect(error.code).toBe('TOO_MANY_PAGES');
+  } finally {
+    fs.unlinkSync(file);
+  }
+});
+
+test('draws pages for OCR no larger than the pixel limit, whatever size the page box claims', async () => {
+  const { PDFDocument } = require('pdf-lib');
+  const doc = await PDFDocument.create();
+  doc.addPage([100000, 100000]);
+  doc.addPage([200000, 10]);
+  const data = new Uint8Array(await doc.save());
+
+  const images = await pool.render(data, [1, 2]);
+  // PNG width and height sit in the IHDR chunk
+  const sizes = images.map(({ png }) => {
+    const header = Buffer.from(png);
+    return [header.readUInt32BE(16), header.readUInt32BE(20)];
+  });
+
+  expect(images.map(image => image.pageNumber)).toEqual([1, 2]);
+  for (const [width, height] of sizes) {
+    expect(width * height).toBeLessThanOrEqual(config.ocr.maxPixels);
+    expect(Math.max(width, height)).toBeLessThanOrEqual(16384);
+  }
+  expect(sizes[0][0]).toBe(sizes[0][1]);
+});
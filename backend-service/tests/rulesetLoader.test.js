@@ -0,0 +1,105 @@
+/* eslint-disable */
+const path = require('path');
+
+jest.mock('axios', () => ({
+  __esModule: true,
+  default: { post: jest.fn(() => Promise.reject(new Error('API down'))) },
+}));
+
+const load = (name) => {
+  const p = path.join(__dirname, '..', 'dist', 'services', `${name}.js`);
+  delete require.cache[require.resolve(p)];
+  return require(p).default;
+};
+
+const RULESET = `
+title = "acme"
+
+[allowlist]
+description = "global"
+stopwords = ["example"]
+
+[[rules]]
+id = "acme-api-token"
+description = "ACME API token"
+regex = '''(?i)acme[_-]?token\\s*[:=]\\s*(?P<secret>[a-z0-9]{24})'''
+secretGroup = 1
+keywords = ["acme"]
+tags = ["critical"]
+
+  [rules.allowlist]
+  regexes = ['''^0{24}$''']
+
+[[rules]]
+id = "acme-password"
+regex = '''pw=([[:alnum:]]{12,})\\z'''
+secretGroup = 1
+entropy = 3.0
+
+[[rules]]
+id = "acme-webhook"
+description = "Upstream-style rule without secretGroup"
+regex = '''(?:^|\\s)(?:webhook|hook_url)\\s*=\\s*(?:"([a-z0-9]{20})"|([a-z0-9]{20}))'''
+
+[[rules]]
+id = "acme-path-only"
+path = '''\\.pem$'''
+`;
+
+beforeEach(() => {
+  process.env.PROMPT_SECURITY_API_URL = 'https://eu.prompt.security/api/protect';
+  process.env.PROMPT_SECURITY_APP_ID = 'test';
+});
+
+test('compiles gitleaks rules into patterns', () => {
+  const patterns = load('rulesetLoader').compile(RULESET, 'acme.toml', 'HIGH');
+
+  expect(patterns.map(p => p.id)).toEqual(['acme-api-token', 'acme-password', 'acme-webhook']);
+  expect(patterns[0]).toMatchObject({ origin: 'acme.toml', riskLevel: 'CRITICAL', keywords: ['acme'], secretGroup: 1 });
+  expect(patterns[0].regex.flags).toContain('i');
+  expect(patterns[0].allowlists).toHaveLength(2); // rule allowlist + global allowlist
+  expect(patterns[1].riskLevel).toBe('HIGH');
+  expect(patterns[1].regex.test('pw=Abc123Def456')).toBe(true);
+});
+
+test('detector honors secretGroup, keywords, entropy and allowlists of imported rules', async () => {
+  const detector = load('secretDetector');
+  detector.setExternalPatterns(load('rulesetLoader').compile(RULESET, 'acme.toml', 'HIGH'));
+
+  const text = 'ACME_TOKEN = k3j4h5g6f7d8s9a0q1w2e3r4 and acme-token: 000000000000000000000000 ' +
+    'and acme_token=exampleexampleexample123';
+  const res = (await detector.detectSecrets(text)).filter(s => s.type === 'acme-api-token');
+
+  expect(res).toHaveLength(1);
+  expect(res[0].location).toBe(text.indexOf('k3j4'));
+  expect(res[0].value).toBe('k3j4****************e3r4');
+  expect(res[0].riskLevel).toBe('CRITICAL');
+
+  // Low entropy secret is dropped by the rule's entropy threshold
+  const lowEntropy = await detector.detectSecrets('pw=aaaaaaaaaaaa');
+  expect(lowEntropy.filter(s => s.type === 'acme-password')).toEqual([]);
+});
+
+test('rules without secretGroup report the first capture group that matched, like gitleaks', async () => {
+  const detector = load('secretDetector');
+  detector.setExternalPatterns(load('rulesetLoader').compile(RULESET, 'acme.toml', 'HIGH'));
+
+  const text = 'webhook = "q8w7e6r5t4y3u2i1o0p9" hook_url = a1s2d3f4g5h6j7k8l9z0';
+  const res = (await detector.detectSecrets(text)).filter(s => s.type === 'acme-webhook');
+
+  expect(res.map(s => s.location)).toEqual([text.indexOf('q8w7'), text.indexOf('a1s2')]);
+  expect(res.map(s => s.value)).toEqual(['q8w7************o0p9', 'a1s2************l9z0']);
+});
+
+test('rules with keywords are skipped when no keyword appears', async () => {
+  const detector = load('secretDetector');
+  detector.setExternalPatterns(load('rulesetLoader').compile(RULESET, 'acme.toml', 'HIGH'));
+
+  expect(detector.getPatterns().some(p => p.id === 'acme-api-token')).toBe(true);
+  const res = await detector.detectSecrets('token = k3j4h5g6f7d8s9a0q1w2e3r4');
+  expect(res.filter(s => s.type === 'acme-api-token')).toEqual([]);
+});
+
+test('invalid TOML is rejected as a whole', () => {
+  expect(() => load('rulesetLoader').compile('[[rules]\nid=', 'broken.toml', 'HIGH')).toThrow(/Invalid ruleset broken.toml/);
+});
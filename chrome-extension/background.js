@@ -9,7 +9,13 @@
  * FIXME: Error handling could be more robust
  */
 
-const API_BASE_URL = 'http://localhost:3000/api';
+// DEFAULT_SETTINGS, getSettings() and apiBaseUrl(); detectLocalSecrets() for offline prompt scans
+importScripts('settings.js', 'localDetector.js');
+
+// Files above this size are inspected as a backend job instead of one long request
+const ASYNC_THRESHOLD_BYTES = 2 * 1024 * 1024;
+const JOB_TIMEOUT_MS = 5 * 60 * 1000;
+const JOB_POLL_INTERVAL_MS = 2000;
 
 // Efficient and reliable data URL (base64) to Blob conversion
 function dataUrlToBlob(dataUrl) {
@@ -31,18 +37,51 @@ function dataUrlToBlob(dataUrl) {
 }
 
 
+// Blob to base64 data URL, the inverse of dataUrlToBlob
+async function blobToDataUrl(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return `data:${blob.type || 'application/octet-stream'};base64,${btoa(binary)}`;
+}
+
+/**
+ * Full URL of a backend endpoint, e.g. apiUrl('/inspect-file')
+ * Read from settings on every call so a new backend URL applies straight away.
+ */
+async function apiUrl(path) {
+  return `${apiBaseUrl(await getSettings())}${path}`;
+}
 
-// POST with timeout and small retry backoff
-async function postWithRetry(url, formData, { retries = 2, timeoutMs = 10000 } = {}) {
+/**
+ * Headers for backend requests: the API key from settings, if one is set
+ */
+async function authHeaders() {
+  const apiKey = (await getSettings()).apiKey?.trim();
+  return apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+}
+
+// POST with timeout and small retry backoff - for network errors, timeouts and 5xx only
+async function postWithRetry(url, body, { retries = 2, timeoutMs = 10000, headers: extraHeaders = {} } = {}) {
+  const headers = { ...(await authHeaders()), ...extraHeaders };
   let attempt = 0;
   let lastErr;
   while (attempt <= retries) {
     const ctrl = new AbortController();
     const timer = setTimeout(() => ctrl.abort(), timeoutMs);
     try {
-      const res = await fetch(url, { method: 'POST', body: formData, signal: ctrl.signal });
+      const res = await fetch(url, { method: 'POST', body, headers, signal: ctrl.signal });
       clearTimeout(timer);
       if (res.ok) return res;
+      // A missing or bad key won't fix itself on retry
+      if (res.status === 401 || res.status === 403) {
+        const errData = await res.json().catch(() => ({}));
+        throw new AuthError(errData.error || `HTTP ${res.status}`);
+      }
+      // The backend looked at the request and said no - asking again gets the same answer
+      if (res.status >= 400 && res.status < 500 && res.status !== 408 && res.status !== 429) {
+        throw new BackendRefusal(res.status, await res.json().catch(() => ({})));
+      }
       try {
         const errData = await res.json();
         lastErr = new Error(errData?.message || `HTTP ${res.status}`);
@@ -50,6 +89,7 @@ async function postWithRetry(url, formData, { retries = 2, timeoutMs = 10000 } =
         lastErr = new Error(`HTTP ${res.status}`);
       }
     } catch (e) {
+      if (e instanceof AuthError || e instanceof BackendRefusal) throw e;
       lastErr = e;
     }
     await new Promise(r => setTimeout(r, 500 * (attempt + 1)));
@@ -58,56 +98,253 @@ async function postWithRetry(url, formData, { retries = 2, timeoutMs = 10000 } =
   throw lastErr || new Error('Request failed');
 }
 
+// The backend turned the request down because of the API key
+class AuthError extends Error {}
+
+// The backend turned the file down (too many pages, parse timeout, unsupported type...) - a verdict, not an outage
+class BackendRefusal extends Error {
+  constructor(status, { error, message, code } = {}) {
+    super(message || error || `HTTP ${status}`);
+    this.status = status;
+    this.code = code || `HTTP_${status}`;
+  }
+}
+
+// What the user sees for an AuthError - guessing locally would hide a misconfigured key
+function apiKeyRejected(error) {
+  return new Error(`Backend rejected the API key (${error.message}) - check it in the extension options`);
+}
+
 // Listen for messages from content scripts
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'inspectPDF') {
-    handlePDFInspection(request)
+  // Meant for the offscreen document
+  if (request.target === 'offscreen') return;
+
+  // inspectPDF is the old name, kept for content scripts from before other formats
+  if (request.action === 'inspectFile' || request.action === 'inspectPDF') {
+    handleFileInspection(request, sender)
       .then(result => sendResponse({ success: true, data: result }))
       .catch(error => sendResponse({ success: false, error: error.message }));
 
     // Return true to indicate we'll respond asynchronously
     return true;
   }
+
+  if (request.action === 'inspectText') {
+    handleTextInspection(request)
+      .then(result => sendResponse({ success: true, data: result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true;
+  }
+
+  if (request.action === 'redactPDF') {
+    handlePDFRedaction(request)
+      .then(result => sendResponse({ success: true, data: result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true;
+  }
+
+  if (request.action === 'getSupportedTypes') {
+    getSupportedTypes()
+      .then(types => sendResponse({ success: true, data: types }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true;
+  }
+
+  if (request.action === 'recordOverride') {
+    recordOverride(request)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true;
+  }
+
+  if (request.action === 'reportFalsePositive') {
+    reportFalsePositive(request)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true;
+  }
 });
 
+// What we send for inspection until the backend tells us otherwise
+const DEFAULT_SUPPORTED_TYPES = { extensions: ['.pdf'], mimeTypes: ['application/pdf'] };
+const SUPPORTED_TYPES_TTL_MS = 60 * 60 * 1000;
+
 /**
- * Handle PDF inspection request
+ * File types the backend accepts, cached in storage for an hour
+ * If the backend can't be reached we keep using the last list we got.
  */
-async function handlePDFInspection(request) {
-  const { file, filename, platform } = request;
+async function getSupportedTypes() {
+  const { supportedTypes } = await chrome.storage.local.get('supportedTypes');
+  if (supportedTypes && Date.now() - supportedTypes.fetchedAt < SUPPORTED_TYPES_TTL_MS) {
+    return supportedTypes;
+  }
 
-  console.log(`PDF Secret Inspector: Inspecting ${filename} from ${platform}`);
+  try {
+    const res = await fetch(await apiUrl('/supported-types'), { headers: await authHeaders() });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const { extensions, mimeTypes } = await res.json();
+    const fresh = { extensions, mimeTypes, fetchedAt: Date.now() };
+    await chrome.storage.local.set({ supportedTypes: fresh });
+    return fresh;
+  } catch (error) {
+    console.warn('PDF Secret Inspector: Could not fetch supported file types', error);
+    return supportedTypes || DEFAULT_SUPPORTED_TYPES;
+  }
+}
+
+// How many inspections the popup history keeps; older ones drop off the end.
+// Prompt checks get a list of their own, so a busy chat can't push file inspections out.
+const MAX_HISTORY = 50;
+const MAX_PROMPT_HISTORY = 50;
+const HISTORY_KEYS = ['inspectionHistory', 'promptHistory'];
+
+/**
+ * Add an inspection to the front of the history in storage
+ * Findings are kept without their masked value and context - enough to answer
+ * "what did it flag?" without building a second copy of the secrets.
+ *
+ * @param {boolean} [prompt] - a prompt check rather than a file, kept in promptHistory
+ */
+async function recordInspection(filename, platform, result, prompt = false) {
+  const entry = {
+    id: crypto.randomUUID(),
+    filename,
+    platform,
+    timestamp: new Date().toISOString(),
+    fileType: result.metadata?.fileType,
+    riskLevel: result.riskLevel || 'NONE',
+    // Not scanned at all, so NONE above doesn't mean clean
+    ...(result.verdict === 'UNSCANNABLE' && { unscannable: true }),
+    ...(result.metadata?.refusal && { refusal: result.metadata.refusal.code }),
+    ...(result.metadata?.offlineError && { offlineFailed: true }),
+    secretsFound: result.secretsFound || 0,
+    secrets: (result.secrets || []).map(secret => ({
+      type: secret.type,
+      riskLevel: secret.riskLevel,
+      category: secret.category,
+      confidence: secret.confidence,
+      source: secret.source,
+      page: secret.page,
+      origin: secret.origin,
+      extraction: secret.extraction,
+      // Salted by the backend, for "not a secret" reports; offline findings have none
+      fingerprint: secret.fingerprint
+    }))
+  };
+
+  const key = prompt ? 'promptHistory' : 'inspectionHistory';
+  const { [key]: existing } = await chrome.storage.local.get(key);
+  const history = [entry, ...(existing || [])].slice(0, prompt ? MAX_PROMPT_HISTORY : MAX_HISTORY);
+
+  await chrome.storage.local.set({ [key]: history });
+  // Replaced by the history; only older versions wrote it
+  await chrome.storage.local.remove('lastInspection');
+}
+
+/**
+ * Tell the backend a finding isn't a secret
+ * Only its fingerprint and type are sent, never the value. Once the backend
+ * has it, later scans leave the value out; the history marks it as reported.
+ */
+async function reportFalsePositive(request) {
+  const { fingerprint, type } = request;
 
   try {
-    // Convert base64 data URL to Blob
-    const blob = dataUrlToBlob(file);
+    await postWithRetry(
+      await apiUrl('/feedback'),
+      JSON.stringify({ fingerprint, rule: type }),
+      { retries: 1, timeoutMs: 5000, headers: { 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    throw error instanceof AuthError ? apiKeyRejected(error) : error;
+  }
 
-    // Create form data for API request
-    const formData = new FormData();
-    formData.append('pdf', blob, filename);
+  const stored = await chrome.storage.local.get(HISTORY_KEYS);
+  const updated = Object.fromEntries(HISTORY_KEYS.map(key => [key, (stored[key] || []).map(entry => ({
+    ...entry,
+    secrets: (entry.secrets || []).map(secret =>
+      secret.fingerprint === fingerprint ? { ...secret, reported: true } : secret)
+  }))]));
+  await chrome.storage.local.set(updated);
+}
 
-    // Send to backend API with timeout + retry
-    const apiResponse = await postWithRetry(`${API_BASE_URL}/inspect-pdf`, formData, { retries: 2, timeoutMs: 10000 });
+// Keep the override log bounded - it's an audit trail, not a history of every upload
+const MAX_OVERRIDES = 100;
 
-    if (!apiResponse.ok) {
-      const errorData = await apiResponse.json();
-      throw new Error(errorData.message || 'API request failed');
-    }
+/**
+ * Record a user's decision to send a blocked upload or prompt anyway
+ * Kept locally, and sent to the backend's audit log - finding types and
+ * fingerprints only, never values. The local copy stands if that fails.
+ */
+async function recordOverride(request) {
+  const { platform, kind = 'file', files } = request;
+  const entry = {
+    platform,
+    kind,
+    files: files || [],
+    timestamp: new Date().toISOString()
+  };
+
+  console.warn('PDF Secret Inspector: Blocked upload sent anyway', entry);
+
+  const result = await chrome.storage.local.get('overrides');
+  const overrides = result.overrides || [];
+  overrides.push(entry);
+
+  await chrome.storage.local.set({ overrides: overrides.slice(-MAX_OVERRIDES) });
+
+  try {
+    await postWithRetry(
+      await apiUrl('/overrides'),
+      JSON.stringify({
+        platform: platform || 'Unknown',
+        kind,
+        items: entry.files.map(file => ({
+          filename: file.filename,
+          riskLevel: file.riskLevel,
+          secretTypes: file.secretTypes || [],
+          fingerprints: file.fingerprints || []
+        }))
+      }),
+      { retries: 1, timeoutMs: 5000, headers: { 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.warn('PDF Secret Inspector: Could not send the override to the backend', error);
+  }
+}
+
+/**
+ * Handle file inspection request
+ * A password (for an encrypted PDF) is passed through to this inspection
+ * only - never stored, and never part of a cache lookup.
+ */
+async function handleFileInspection(request, sender) {
+  const { file, filename, platform, password } = request;
+
+  console.log(`PDF Secret Inspector: Inspecting ${filename} from ${platform}`);
 
-    const result = await apiResponse.json();
+  // Convert base64 data URL to Blob
+  const blob = dataUrlToBlob(file);
+
+  try {
+    // Same file already scanned (another chat, a retried upload)? Then it needn't be sent at all.
+    // Big files would outlast the request timeout and get resubmitted, so they go through a job
+    const result = (password === undefined ? await lookupCachedResult(blob, filename, platform) : null)
+      ?? (blob.size > ASYNC_THRESHOLD_BYTES
+        ? await inspectViaJob(blob, filename, platform, progress => notifyProgress(sender, filename, progress), password)
+        : await inspectDirectly(blob, filename, platform, password));
 
     // Log inspection result
     console.log('PDF Secret Inspector: Inspection result', result);
 
-    // Store result in extension storage for popup
-    await chrome.storage.local.set({
-      lastInspection: {
-        filename,
-        platform,
-        timestamp: new Date().toISOString(),
-        ...result
-      }
-    });
+    // Keep it in the history the popup shows
+    await recordInspection(filename, platform, result);
 
     // Update extension statistics
     await updateStats(result.secretsFound);
@@ -117,12 +354,401 @@ async function handlePDFInspection(request) {
   } catch (error) {
     console.error('PDF Secret Inspector: API error', error);
 
+    // The backend is up but won't talk to us - guessing from the filename would hide that
+    if (error instanceof AuthError) {
+      throw apiKeyRejected(error);
+    }
+
+    // The backend read the file and refused it; scanning it here instead would overrule that
+    if (error instanceof BackendRefusal) {
+      const result = refusedResult(filename, blob.size, error);
+      await recordInspection(filename, platform, result);
+      await updateStats(result.secretsFound);
+      return result;
+    }
+
+    // Only an unreachable or failing backend gets here. PDFs can still be read here - scan them with our copy of the backend's local rules
+    if (isPdf(blob, filename)) {
+      try {
+        const result = await scanPdfOffline(file, filename, blob.size, password);
+        console.log('PDF Secret Inspector: Offline scan result', result);
+
+        await recordInspection(filename, platform, result);
+        await updateStats(result.secretsFound);
+        return result;
+      } catch (offlineError) {
+        console.error('PDF Secret Inspector: Offline scan failed', offlineError);
+
+        // Neither side could read it - a filename guess would pass it off as clean
+        const result = offlineFailedResult(filename, blob.size, offlineError);
+        await recordInspection(filename, platform, result);
+        await updateStats(result.secretsFound);
+        return result;
+      }
+    }
+
     // Fallback: basic client-side detection
     console.log('PDF Secret Inspector: Falling back to basic detection');
     return performBasicDetection(filename);
   }
 }
 
+/**
+ * Inspect prompt text pasted or typed into a chat composer
+ * Prompts are short, so no jobs and a short timeout. Without a backend the
+ * text is scanned here with the extension's copy of the local rules.
+ */
+async function handleTextInspection(request) {
+  const { text, platform } = request;
+  let result;
+
+  try {
+    const apiResponse = await postWithRetry(
+      await apiUrl('/inspect-text'),
+      JSON.stringify({ text, platform: platform || 'Unknown' }),
+      { retries: 1, timeoutMs: 5000, headers: { 'Content-Type': 'application/json' } }
+    );
+    result = await apiResponse.json();
+  } catch (error) {
+    if (error instanceof AuthError) {
+      throw apiKeyRejected(error);
+    }
+
+    console.warn('PDF Secret Inspector: Text inspection failed, scanning offline', error);
+    result = await scanTextOffline(text);
+  }
+
+  await recordInspection('Prompt text', platform, result, true);
+  return result;
+}
+
+let localRules = null;
+
+// The exported backend rules (lib/patterns.json), loaded once per worker
+async function getLocalRules() {
+  if (!localRules) {
+    localRules = await (await fetch(chrome.runtime.getURL('lib/patterns.json'))).json();
+  }
+  return localRules;
+}
+
+async function scanTextOffline(text) {
+  const startTime = Date.now();
+  const rules = await getLocalRules();
+  const secrets = detectLocalSecrets(text, [], rules);
+
+  return {
+    filename: 'prompt',
+    fileSize: text.length,
+    processingTime: Date.now() - startTime,
+    secretsFound: secrets.length,
+    riskLevel: calculateRiskLevel(secrets),
+    secrets,
+    metadata: {
+      pages: 0,
+      wordCount: text.split(/\s+/).filter(Boolean).length,
+      fileType: 'prompt',
+      timestamp: new Date().toISOString(),
+      offline: true,
+      patternSetVersion: rules.version
+    }
+  };
+}
+
+function isPdf(blob, filename) {
+  return blob.type === 'application/pdf' || /\.pdf$/i.test(filename || '');
+}
+
+const OFFSCREEN_DOCUMENT = 'offscreen.html';
+let creatingOffscreen = null;
+
+/**
+ * Open the offscreen document that does offline scans, unless it's already open
+ * Only one can exist at a time, so concurrent callers share the pending create.
+ */
+async function ensureOffscreenDocument() {
+  if (await chrome.offscreen.hasDocument()) return;
+
+  if (!creatingOffscreen) {
+    creatingOffscreen = chrome.offscreen.createDocument({
+      url: OFFSCREEN_DOCUMENT,
+      reasons: ['WORKERS'],
+      justification: 'Extract PDF text with PDF.js to scan for secrets while the backend is unreachable'
+    }).finally(() => { creatingOffscreen = null; });
+  }
+  await creatingOffscreen;
+}
+
+/**
+ * Scan a PDF without the backend
+ * Text extraction and detection happen in the offscreen document (see
+ * offscreen.js); the result is shaped like the backend's so the content
+ * script and popup treat it the same, with metadata.offline set.
+ * A PDF it can't open without a password comes back ENCRYPTED, as it
+ * would from the backend.
+ */
+async function scanPdfOffline(file, filename, fileSize, password) {
+  const startTime = Date.now();
+  await ensureOffscreenDocument();
+
+  const response = await chrome.runtime.sendMessage({
+    target: 'offscreen',
+    action: 'scanPdf',
+    file,
+    ...(password !== undefined && { password })
+  });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Offline scan failed');
+  }
+
+  const { secrets, riskLevel, pages, wordCount, patternSetVersion, encryption } = response.data;
+  const locked = encryption === 'password_required' || encryption === 'incorrect_password';
+  return {
+    filename,
+    fileSize,
+    processingTime: Date.now() - startTime,
+    status: locked ? 'ENCRYPTED' : 'SCANNED',
+    ...(locked && { verdict: 'UNSCANNABLE' }),
+    secretsFound: secrets.length,
+    riskLevel,
+    secrets,
+    metadata: {
+      pages,
+      wordCount,
+      fileType: 'pdf',
+      timestamp: new Date().toISOString(),
+      offline: true,
+      patternSetVersion,
+      ...(encryption && { encryption })
+    }
+  };
+}
+
+/**
+ * The result for a file the backend refused to scan
+ * Shaped like an encrypted one - UNSCANNABLE, so the policy's
+ * unscannableAction decides - with the backend's reason in metadata.refusal.
+ */
+function refusedResult(filename, fileSize, refusal) {
+  return {
+    filename,
+    fileSize,
+    processingTime: 0,
+    status: 'REFUSED',
+    verdict: 'UNSCANNABLE',
+    secretsFound: 0,
+    riskLevel: 'NONE',
+    secrets: [],
+    metadata: {
+      timestamp: new Date().toISOString(),
+      refusal: { status: refusal.status, code: refusal.code, message: refusal.message }
+    }
+  };
+}
+
+/**
+ * The result for a PDF the backend couldn't be reached for and that
+ * couldn't be scanned offline either
+ * UNSCANNABLE like a refused one, with the offline scan's error in
+ * metadata.offlineError.
+ */
+function offlineFailedResult(filename, fileSize, error) {
+  return {
+    filename,
+    fileSize,
+    processingTime: 0,
+    status: 'OFFLINE_FAILED',
+    verdict: 'UNSCANNABLE',
+    secretsFound: 0,
+    riskLevel: 'NONE',
+    secrets: [],
+    metadata: {
+      timestamp: new Date().toISOString(),
+      offline: true,
+      offlineError: error?.message || 'Offline scan failed'
+    }
+  };
+}
+
+/**
+ * Inspect a file in a single request
+ * The platform goes along for the backend's audit log.
+ */
+async function inspectDirectly(blob, filename, platform, password) {
+  const formData = new FormData();
+  formData.append('file', blob, filename);
+  formData.append('platform', platform || 'Unknown');
+  if (password !== undefined) formData.append('password', password);
+
+  // Send to backend API with timeout + retry
+  const apiResponse = await postWithRetry(await apiUrl('/inspect-file'), formData, { retries: 2, timeoutMs: 10000 });
+  return apiResponse.json();
+}
+
+/**
+ * Ask the backend for a cached result by the file's SHA-256
+ * Anything but a hit - a miss, an old backend without the endpoint, a
+ * timeout - means null, and the file gets uploaded as usual.
+ */
+async function lookupCachedResult(blob, filename, platform) {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  const sha256 = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  const query = new URLSearchParams({ filename, platform: platform || 'Unknown' });
+
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), 3000);
+  try {
+    const res = await fetch(await apiUrl(`/inspections/by-hash/${sha256}?${query}`), {
+      headers: await authHeaders(),
+      signal: ctrl.signal
+    });
+    if (res.status === 401 || res.status === 403) {
+      const errData = await res.json().catch(() => ({}));
+      throw new AuthError(errData.error || `HTTP ${res.status}`);
+    }
+    return res.ok ? await res.json() : null;
+  } catch (error) {
+    if (error instanceof AuthError) throw error;
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Inspect a file as a background job on the backend
+ * Only the upload has to fit in a request timeout; the work happens after.
+ */
+async function inspectViaJob(blob, filename, platform, onProgress, password) {
+  const formData = new FormData();
+  formData.append('file', blob, filename);
+  formData.append('platform', platform || 'Unknown');
+  if (password !== undefined) formData.append('password', password);
+
+  const submitResponse = await postWithRetry(await apiUrl('/jobs'), formData, { retries: 1, timeoutMs: 30000 });
+  const { id } = await submitResponse.json();
+
+  const job = await followJob(id, onProgress);
+  // A limit code means the file was refused, same as a 422 from /inspect-file
+  if (job.status === 'failed' && job.errorCode) {
+    throw new BackendRefusal(422, { message: job.error, code: job.errorCode });
+  }
+  if (job.status !== 'completed') {
+    throw new Error(job.error || 'Inspection job failed');
+  }
+  return job.result;
+}
+
+/**
+ * Wait for a job to finish, preferably via its event stream
+ * Falls back to polling if the stream can't be opened or drops.
+ */
+async function followJob(id, onProgress) {
+  const deadline = Date.now() + JOB_TIMEOUT_MS;
+
+  try {
+    const job = await streamJobEvents(id, onProgress, deadline);
+    if (job) return job;
+  } catch (error) {
+    console.warn('PDF Secret Inspector: Job event stream failed, polling instead', error);
+  }
+
+  const headers = await authHeaders();
+  while (Date.now() < deadline) {
+    const res = await fetch(await apiUrl(`/jobs/${id}`), { headers });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+    const job = await res.json();
+    if (job.status === 'completed' || job.status === 'failed') return job;
+
+    onProgress(job.progress);
+    await new Promise(r => setTimeout(r, JOB_POLL_INTERVAL_MS));
+  }
+
+  throw new Error('Inspection job timed out');
+}
+
+/**
+ * Read a job's server-sent events
+ * EventSource isn't available in service workers, so the stream is parsed by hand.
+ *
+ * @returns the finished job, or null if the stream ended before it finished
+ */
+async function streamJobEvents(id, onProgress, deadline) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), deadline - Date.now());
+
+  try {
+    const res = await fetch(await apiUrl(`/jobs/${id}/events`), { headers: await authHeaders(), signal: ctrl.signal });
+    if (!res.ok || !res.body) throw new Error(`HTTP ${res.status}`);
+
+    const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) return null;
+      buffer += value;
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) >= 0) {
+        const message = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        const event = /^event: (.*)$/m.exec(message)?.[1];
+        const data = /^data: (.*)$/m.exec(message)?.[1];
+        // Comment-only messages are keep-alives
+        if (!event || !data) continue;
+
+        const payload = JSON.parse(data);
+        if (event === 'progress') {
+          onProgress(payload.progress);
+        } else {
+          reader.cancel().catch(() => {});
+          return payload;
+        }
+      }
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Pass job progress on to the tab that asked, for its processing indicator
+ */
+function notifyProgress(sender, filename, progress) {
+  const tabId = sender?.tab?.id;
+  if (tabId === undefined || !progress) return;
+
+  chrome.tabs.sendMessage(tabId, { action: 'inspectionProgress', filename, progress }).catch(() => {});
+}
+
+/**
+ * Ask the backend for a copy of the PDF with detected secrets blacked out
+ * No fallback here - if the backend can't redact, the upload stays blocked.
+ */
+async function handlePDFRedaction(request) {
+  const { file, filename } = request;
+
+  const formData = new FormData();
+  formData.append('pdf', dataUrlToBlob(file), filename);
+
+  // Redaction parses, detects and re-renders, so give it longer than inspection
+  const apiResponse = await postWithRetry(await apiUrl('/redact-pdf'), formData, { retries: 1, timeoutMs: 30000 });
+
+  const summaryHeader = apiResponse.headers.get('X-Redaction-Summary');
+  const summary = summaryHeader ? JSON.parse(summaryHeader) : null;
+  const blob = await apiResponse.blob();
+
+  console.log('PDF Secret Inspector: Redaction summary', summary);
+
+  return {
+    file: await blobToDataUrl(new Blob([blob], { type: 'application/pdf' })),
+    summary
+  };
+}
+
 /**
  * Basic client-side detection as fallback
  * This is very limited but better than nothing if API is down
@@ -154,6 +780,7 @@ function performBasicDetection(filename) {
       confidence: 0.3,
       location: 0,
       riskLevel: 'MEDIUM',
+      category: 'credential',
       source: 'local'
     }] : [],
     metadata: {
@@ -172,13 +799,25 @@ chrome.runtime.onInstalled.addListener((details) => {
     console.log('PDF Secret Inspector: Extension installed');
 
     // Set default settings
-    chrome.storage.local.set({
-      settings: {
-        enabled: true,
-        blockUploads: false,
-        showNotifications: true
-      }
-    });
+    chrome.storage.local.set({ settings: DEFAULT_SETTINGS });
+  }
+});
+
+/**
+ * A different backend (or key) may accept different file types, so drop the
+ * cached list and fetch it again; content scripts follow the storage change
+ */
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'managed' && changes.backendUrl) {
+    chrome.storage.local.remove('supportedTypes').then(getSupportedTypes);
+    return;
+  }
+  if (area !== 'local' || !changes.settings) return;
+
+  const before = normalizeSettings(changes.settings.oldValue);
+  const after = normalizeSettings(changes.settings.newValue);
+  if (before.backendUrl !== after.backendUrl || before.apiKey !== after.apiKey) {
+    chrome.storage.local.remove('supportedTypes').then(getSupportedTypes);
   }
 });
 
@@ -187,6 +826,7 @@ chrome.runtime.onInstalled.addListener((details) => {
  */
 chrome.runtime.onStartup.addListener(() => {
   console.log('PDF Secret Inspector: Extension started');
+  getSupportedTypes();
 });
 
 /**
@@ -1,7 +1,9 @@
 /**
  * Content Script for PDF Secret Inspector
  *
- * Monitors file uploads on AI platforms and intercepts PDF files.
+ * Monitors file uploads on AI platforms and intercepts PDFs, plus any other
+ * file type the backend says it can inspect (Office documents, configs, source).
+ * Text pasted into the chat composer, and prompts as they're sent, are checked too.
  * Had to use MutationObserver because these sites are SPAs and
  * the file inputs are dynamically created.
  *
@@ -15,25 +17,30 @@ console.log('PDF Secret Inspector: Content script loaded');
 window.__pdfInspectorLoaded = true;
 
 // Configuration for different platforms
+// uploadButtonSelector is the composer's send button; composerSelector the prompt box
 const PLATFORM_CONFIG = {
   'chat.openai.com': {
     fileInputSelector: 'input[type="file"]',
     uploadButtonSelector: 'button[data-testid="send-button"]',
+    composerSelector: '#prompt-textarea',
     name: 'ChatGPT'
   },
   'chatgpt.com': {
     fileInputSelector: 'input[type="file"]',
     uploadButtonSelector: 'button[data-testid="send-button"]',
+    composerSelector: '#prompt-textarea',
     name: 'ChatGPT'
   },
   'claude.ai': {
     fileInputSelector: 'input[type="file"]',
     uploadButtonSelector: 'button[type="submit"]',
+    composerSelector: 'div[contenteditable="true"]',
     name: 'Claude'
   },
   'bard.google.com': {
     fileInputSelector: 'input[type="file"]',
     uploadButtonSelector: 'button[jsname="M2UYVd"]',
+    composerSelector: 'rich-textarea .ql-editor',
     name: 'Bard'
   }
 };
@@ -48,6 +55,7 @@ const PLATFORM_ADAPTERS = {
 
 // Select current platform adapter
 const currentAdapter = PLATFORM_ADAPTERS[window.location.hostname];
+const currentPlatform = PLATFORM_CONFIG[window.location.hostname];
 if (!currentAdapter) {
   console.log('PDF Secret Inspector: Unsupported platform');
 }
@@ -55,6 +63,137 @@ if (!currentAdapter) {
 // Track processed files to avoid duplicate processing
 const processedFiles = new Map();
 
+// Events we re-dispatch ourselves after a verdict - the capture listeners let these through
+const releasedEvents = new WeakSet();
+
+// File inputs with an inspection in flight (input and change fire for the same selection)
+const pendingInputs = new WeakMap();
+
+// File types the backend accepts; refreshed from the background script on load
+let supportedTypes = {
+  extensions: ['.pdf'],
+  mimeTypes: ['application/pdf']
+};
+
+// Mirrors settings in chrome.storage.local (defaults from settings.js); kept in
+// sync so the popup and options page apply without a reload
+let extensionSettings = normalizeSettings();
+
+// Admin policy from chrome.storage.managed (see policy.js); empty when unmanaged
+let managedPolicy = {};
+
+/**
+ * Load extension settings and follow later changes from the popup and options page
+ */
+function loadSettings() {
+  try {
+    chrome.storage.local.get('settings', (result) => {
+      extensionSettings = normalizeSettings(result.settings);
+    });
+    getManagedPolicy().then((policy) => {
+      managedPolicy = policy;
+    });
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'managed') {
+        getManagedPolicy().then((policy) => {
+          managedPolicy = policy;
+          console.log('PDF Secret Inspector: Managed policy updated', managedPolicy);
+        });
+        return;
+      }
+      if (area !== 'local') return;
+
+      if (changes.settings) {
+        extensionSettings = normalizeSettings(changes.settings.newValue);
+        console.log('PDF Secret Inspector: Settings updated', extensionSettings);
+      }
+      // The background refetches these when the backend URL changes
+      if (changes.supportedTypes?.newValue) {
+        supportedTypes = changes.supportedTypes.newValue;
+      }
+    });
+  } catch (err) {
+    console.warn('PDF Secret Inspector: Failed to load settings', err);
+  }
+}
+
+/**
+ * Whether uploads on this page should be inspected at all
+ * A managed policy can't be switched off locally.
+ */
+function isInspectionEnabled() {
+  if (!currentAdapter) return false;
+  if (hasManagedActions(managedPolicy)) return true;
+  return extensionSettings.enabled !== false && extensionSettings.platforms[currentAdapter.name] !== false;
+}
+
+/**
+ * The upload policy for this platform
+ */
+function currentPolicy() {
+  return resolvePolicy(extensionSettings, managedPolicy, currentAdapter?.name);
+}
+
+/**
+ * Whether uploads have to wait for their inspection - only when the policy
+ * could hold one back, otherwise they go through while we inspect
+ */
+function isBlockingEnabled() {
+  return isInspectionEnabled() && policyCanBlock(currentPolicy());
+}
+
+/**
+ * Whether a toast of this type should be shown at the current verbosity
+ * Warnings required by a managed policy can't be muted.
+ */
+function shouldNotify(type, { enforced = false } = {}) {
+  if (enforced) return true;
+  if (extensionSettings.notifications === 'none') return false;
+  if (extensionSettings.notifications === 'findings') return type === 'warning' || type === 'error';
+  return true;
+}
+
+/**
+ * Ask the background script which file types the backend can inspect
+ */
+async function loadSupportedTypes() {
+  if (!isMessagingAvailable()) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getSupportedTypes' });
+    if (response && response.success && response.data) {
+      supportedTypes = response.data;
+    }
+  } catch (err) {
+    console.warn('PDF Secret Inspector: Failed to load supported file types', err);
+  }
+}
+
+/**
+ * Whether the backend can inspect this file
+ * Mirrors the backend's matching: extension first (dotfiles like `.env`
+ * count as their own extension), then MIME type.
+ */
+function isSupportedFile(file) {
+  if (!file) return false;
+
+  const name = file.name.toLowerCase();
+  const dot = name.lastIndexOf('.');
+  const keys = [];
+  if (dot > 0) keys.push(name.slice(dot));
+  if (name.startsWith('.')) keys.push(name);
+  if (name.startsWith('.env.')) keys.push('.env');
+
+  return keys.some(key => supportedTypes.extensions.includes(key)) ||
+    (file.type !== '' && supportedTypes.mimeTypes.includes(file.type));
+}
+
+// Only PDFs can be swapped for a redacted copy
+function isPDF(file) {
+  return file.type === 'application/pdf' || file.name.toLowerCase().endsWith('.pdf');
+}
+
 /**
  * Main file monitoring function
  * Uses MutationObserver to watch for file input changes
@@ -108,7 +247,7 @@ function initializeFileMonitoring() {
 }
 
 /**
- * Attach page-level drag-and-drop handlers to capture PDFs
+ * Attach page-level drag-and-drop handlers to capture supported files
  */
 function attachDragAndDrop(adapter) {
   try {
@@ -122,10 +261,12 @@ function attachDragAndDrop(adapter) {
 
     zone.addEventListener('drop', async (e) => {
       try { e.preventDefault(); } catch (_) {}
+      // Blocking mode already inspected this drop in the capture phase
+      if (!isInspectionEnabled() || isBlockingEnabled()) return;
       const files = Array.from(e.dataTransfer?.files || []);
       for (const file of files) {
-        if (file && file.type === 'application/pdf') {
-          await handlePDFUpload(file, null);
+        if (isSupportedFile(file)) {
+          await handleFileUpload(file, null);
         }
       }
     });
@@ -149,21 +290,24 @@ function attachFileListener(fileInput) {
 
 
   fileInput.addEventListener('change', async (event) => {
+    // Blocking mode already inspected this selection in the capture phase
+    if (!isInspectionEnabled() || isBlockingEnabled()) return;
+
     const files = event.target.files;
     if (!files || files.length === 0) return;
 
     for (const file of files) {
-      if (file.type === 'application/pdf') {
-        await handlePDFUpload(file, event.target);
+      if (isSupportedFile(file)) {
+        await handleFileUpload(file, event.target);
       }
     }
   });
 }
 
 /**
- * Handle PDF file upload
+ * Handle a supported file upload
  */
-async function handlePDFUpload(file, inputElement) {
+async function handleFileUpload(file, inputElement) {
   // Create a unique key for this upload attempt (include timestamp to allow re-uploads)
   const fileKey = `${file.name}-${file.size}-${file.lastModified}-${Date.now()}`;
 
@@ -192,29 +336,17 @@ async function handlePDFUpload(file, inputElement) {
 
   try {
     // Ensure extension messaging is available
-    if (typeof chrome === 'undefined' || !chrome.runtime || typeof chrome.runtime.sendMessage !== 'function') {
+    if (!isMessagingAvailable()) {
       console.warn('PDF Secret Inspector: chrome.runtime.sendMessage unavailable in this context');
       showNotification('Extension messaging unavailable. Please reload the page and extension.', 'error');
       return;
     }
 
-    // Send file to background script for inspection
-    const result = await chrome.runtime.sendMessage({
-      action: 'inspectPDF',
-      file: await fileToBase64(file),
-      filename: file.name,
-      platform: currentAdapter?.name || 'Unknown'
-    });
-
-    if (result.success) {
-      handleInspectionResult(result.data, file, inputElement);
-    } else {
-      console.error('PDF Secret Inspector: Inspection failed', result.error);
-      showNotification('Failed to inspect PDF', 'error');
-    }
+    const result = await unlockEncrypted(file, await inspectFile(file));
+    handleInspectionResult(result, file, inputElement);
   } catch (error) {
     console.error('PDF Secret Inspector: Error processing file', error);
-    showNotification('Error processing PDF', 'error');
+    showNotification(`Error processing ${file.name}: ${error.message}`, 'error');
   } finally {
     showProcessingIndicator(false);
 
@@ -225,23 +357,770 @@ async function handlePDFUpload(file, inputElement) {
   }
 }
 
+function isMessagingAvailable() {
+  return typeof chrome !== 'undefined' && chrome.runtime && typeof chrome.runtime.sendMessage === 'function';
+}
+
 /**
- * Handle inspection results
+ * Send a file to the background script for inspection
+ * Resolves with the inspection result, rejects if the background reports a failure
+ *
+ * @param {string} [password] - for a password-protected PDF
  */
-function handleInspectionResult(result, file, inputElement) {
-  const { secretsFound, riskLevel, secrets } = result;
+async function inspectFile(file, password) {
+  if (!isMessagingAvailable()) {
+    throw new Error('Extension messaging unavailable');
+  }
+
+  const response = await chrome.runtime.sendMessage({
+    action: 'inspectFile',
+    file: await fileToBase64(file),
+    filename: file.name,
+    platform: currentAdapter?.name || 'Unknown',
+    ...(password !== undefined && { password })
+  });
+
+  if (!response || !response.success) {
+    console.error('PDF Secret Inspector: Inspection failed', response?.error);
+    throw new Error(response?.error || 'Inspection failed');
+  }
+
+  return response.data;
+}
+
+// Wrong passwords allowed before the file is left unscanned
+const MAX_PASSWORD_ATTEMPTS = 3;
+
+/**
+ * Offer to unlock a password-protected PDF the backend couldn't scan
+ * The password goes to the backend with this one inspection and is
+ * forgotten afterwards; skipping keeps the unscannable result.
+ *
+ * @returns {Promise<Object>} the result to go by - scanned if the user unlocked it
+ */
+async function unlockEncrypted(file, result) {
+  if (extensionSettings.askForPasswords === false) return result;
+
+  let attempts = 0;
+  while (needsPassword(result) && attempts < MAX_PASSWORD_ATTEMPTS) {
+    const password = await showPasswordDialog(file, result.metadata.encryption === 'incorrect_password');
+    if (password === null) break;
+
+    attempts++;
+    showProcessingIndicator(true);
+    try {
+      result = await inspectFile(file, password);
+    } finally {
+      showProcessingIndicator(false);
+    }
+  }
+  return result;
+}
+
+// Why a file couldn't be scanned, for "<name> ... and could not be scanned"
+function unscannableReason(result) {
+  const refusal = result?.metadata?.refusal;
+  if (refusal) return `was refused by the backend (${refusal.message})`;
+  if (result?.metadata?.offlineError) return `could not be read while the backend is unreachable (${result.metadata.offlineError})`;
+  return 'is encrypted';
+}
+
+function needsPassword(result) {
+  const encryption = result?.metadata?.encryption;
+  return result?.verdict === 'UNSCANNABLE' && (encryption === 'password_required' || encryption === 'incorrect_password');
+}
 
-  if (secretsFound > 0) {
-    // Non-blocking alert as per assignment: notify but do not block or clear input
-    const message = `⚠️ ${secretsFound} potential secret(s) detected in ${file.name} (Risk: ${riskLevel})`;
-    showNotification(message, 'warning');
+/**
+ * Ask for the password to a protected PDF
+ *
+ * @param {boolean} retry - the last password was wrong
+ * @returns {Promise<string|null>} the password, or null if the user skipped it
+ */
+function showPasswordDialog(file, retry) {
+  return new Promise((resolve) => {
+    const overlay = document.createElement('div');
+    overlay.id = 'pdf-inspector-password-dialog';
+    overlay.style.cssText = `
+      position: fixed;
+      inset: 0;
+      background: rgba(0,0,0,0.5);
+      z-index: 10001;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      font-family: Arial, sans-serif;
+    `;
+
+    const form = document.createElement('form');
+    form.style.cssText = `
+      background: white;
+      color: #333;
+      padding: 20px;
+      border-radius: 8px;
+      max-width: 420px;
+      box-shadow: 0 4px 20px rgba(0,0,0,0.3);
+      font-size: 14px;
+    `;
+
+    const title = document.createElement('h3');
+    title.style.cssText = 'margin: 0 0 10px 0; font-size: 16px;';
+    title.textContent = `🔒 ${file.name} is password-protected`;
+    form.appendChild(title);
+
+    const message = document.createElement('p');
+    message.style.cssText = `margin: 0 0 10px 0; color: ${retry ? '#dc3545' : '#333'};`;
+    message.textContent = retry
+      ? 'That password did not open it. Try again, or skip to continue without scanning.'
+      : 'Enter its password so it can be checked for secrets, or skip to continue without scanning.';
+    form.appendChild(message);
+
+    const input = document.createElement('input');
+    input.type = 'password';
+    input.autocomplete = 'off';
+    input.style.cssText = 'width: 100%; box-sizing: border-box; padding: 8px; margin-bottom: 8px; border: 1px solid #ccc; border-radius: 5px;';
+    form.appendChild(input);
+
+    const note = document.createElement('p');
+    note.style.cssText = 'margin: 0 0 12px 0; font-size: 12px; color: #666;';
+    note.textContent = 'The password is only used for this scan and is not stored.';
+    form.appendChild(note);
+
+    const actions = document.createElement('div');
+    actions.style.cssText = 'display: flex; justify-content: flex-end; gap: 10px;';
+
+    const close = (password) => {
+      overlay.remove();
+      resolve(password);
+    };
+
+    const skipButton = document.createElement('button');
+    skipButton.type = 'button';
+    skipButton.textContent = 'Skip';
+    skipButton.style.cssText = 'padding: 8px 14px; border: 1px solid #6c757d; border-radius: 5px; background: white; color: #6c757d; cursor: pointer;';
+    skipButton.addEventListener('click', () => close(null));
+
+    const scanButton = document.createElement('button');
+    scanButton.type = 'submit';
+    scanButton.textContent = 'Scan';
+    scanButton.style.cssText = 'padding: 8px 14px; border: none; border-radius: 5px; background: #007bff; color: white; cursor: pointer;';
+
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      if (input.value) close(input.value);
+    });
+
+    actions.appendChild(skipButton);
+    actions.appendChild(scanButton);
+    form.appendChild(actions);
+    overlay.appendChild(form);
+    document.body.appendChild(overlay);
+
+    input.focus();
+  });
+}
+
+/**
+ * Blocking mode
+ *
+ * Listens in the capture phase on window so we see file selections and drops
+ * before the platform's own handlers do. The event is swallowed while the file
+ * is inspected, then either re-dispatched (clean, or user overrides) or dropped.
+ */
+function initializeUploadBlocking() {
+  if (!currentAdapter || window.__pdfInspectorBlockingAttached) return;
+  window.__pdfInspectorBlockingAttached = true;
+
+  window.addEventListener('input', interceptFileSelection, true);
+  window.addEventListener('change', interceptFileSelection, true);
+  window.addEventListener('drop', interceptDrop, true);
+}
+
+function getSupportedFiles(files) {
+  return Array.from(files || []).filter(isSupportedFile);
+}
+
+function releaseEvent(target, event) {
+  releasedEvents.add(event);
+  target.dispatchEvent(event);
+}
+
+/**
+ * Hold file input selections until the supported files in them have been inspected
+ */
+function interceptFileSelection(event) {
+  if (!isBlockingEnabled() || releasedEvents.has(event)) return;
+
+  const input = event.target;
+  if (!(input instanceof HTMLInputElement) || input.type !== 'file') return;
+
+  const held = getSupportedFiles(input.files);
+  if (held.length === 0) return;
+
+  event.stopImmediatePropagation();
+
+  // Same selection, second event - the first one already started the inspection
+  if (pendingInputs.has(input)) return;
+
+  const pending = holdUpload(held)
+    .then((approved) => {
+      if (!approved) {
+        input.value = '';
+        return;
+      }
+
+      // Swap in redacted copies if the user asked for them
+      if (approved.some((file, i) => file !== held[i])) {
+        const dataTransfer = new DataTransfer();
+        replaceFiles(Array.from(input.files), held, approved).forEach(file => dataTransfer.items.add(file));
+        input.files = dataTransfer.files;
+      }
+
+      releaseEvent(input, new Event('input', { bubbles: true }));
+      releaseEvent(input, new Event('change', { bubbles: true }));
+    })
+    .finally(() => pendingInputs.delete(input));
+
+  pendingInputs.set(input, pending);
+}
+
+/**
+ * Hold dropped files until they have been inspected, then replay the drop
+ */
+function interceptDrop(event) {
+  if (!isBlockingEnabled() || releasedEvents.has(event)) return;
+
+  // Files are only readable while the event is being dispatched, so grab them now
+  const files = Array.from(event.dataTransfer?.files || []);
+  const held = getSupportedFiles(files);
+  if (held.length === 0) return;
+
+  event.preventDefault();
+  event.stopImmediatePropagation();
+
+  const { target, clientX, clientY } = event;
+
+  holdUpload(held).then((approved) => {
+    if (!approved || !target.isConnected) return;
+
+    const dataTransfer = new DataTransfer();
+    replaceFiles(files, held, approved).forEach(file => dataTransfer.items.add(file));
+    releaseEvent(target, new DragEvent('drop', {
+      bubbles: true,
+      cancelable: true,
+      clientX,
+      clientY,
+      dataTransfer
+    }));
+  });
+}
+
+/**
+ * Map each held file to its approved replacement (itself, or a redacted copy)
+ */
+function replaceFiles(allFiles, held, approved) {
+  return allFiles.map((file) => {
+    const index = held.indexOf(file);
+    return index >= 0 ? approved[index] : file;
+  });
+}
+
+/**
+ * Inspect held files and decide whether the upload may continue
+ *
+ * Each file gets the policy's action for its risk level. Files the policy
+ * requires redacted are swapped for a redacted copy automatically; blocked
+ * ones (and files we could not inspect at all) stop the upload unless the
+ * user cancels, redacts, or - if the policy allows it - sends anyway.
+ *
+ * @returns {Promise<File[]|null>} files to upload in place of `files`, or null to cancel
+ */
+async function holdUpload(files) {
+  showProcessingIndicator(true);
+
+  let verdicts;
+  try {
+    verdicts = await Promise.all(files.map(async (file) => {
+      try {
+        return { file, result: await inspectFile(file) };
+      } catch (error) {
+        return { file, error };
+      }
+    }));
+  } finally {
+    showProcessingIndicator(false);
   }
 
+  // One password prompt at a time
+  for (const v of verdicts) {
+    if (v.result) {
+      try {
+        v.result = await unlockEncrypted(v.file, v.result);
+      } catch (error) {
+        // Keep the unscannable result rather than calling the file uninspectable
+        console.warn('PDF Secret Inspector: Could not inspect with the password', error);
+      }
+    }
+  }
+
+  const policy = currentPolicy();
+  verdicts.forEach((v) => {
+    if (v.result) v.decision = decide(policy, v.result);
+  });
+
+  const toRedact = verdicts.filter(v => v.decision?.action === 'redact' && isPDF(v.file));
+  const blocked = verdicts.filter(v => v.error || v.decision.action === 'block' ||
+    (v.decision.action === 'redact' && !isPDF(v.file)));
+
+  verdicts
+    .filter(v => v.decision && (v.decision.action === 'allow' || v.decision.action === 'warn'))
+    .forEach(v => handleInspectionResult(v.result, v.file, null));
+
+  const replacements = new Map();
+
+  if (toRedact.length > 0) {
+    const redacted = await redactFiles(toRedact.map(v => v.file));
+    if (redacted) {
+      redacted.forEach((copy, file) => replacements.set(file, copy));
+      showNotification(`Uploading redacted ${toRedact.length === 1 ? 'copy' : 'copies'} - required by policy`, 'warning', { enforced: policy.managed });
+    } else {
+      // No clean copy, so the user has to decide like for any other blocked file
+      blocked.push(...toRedact);
+    }
+  }
+
+  const approvedFiles = () => files.map(file => replacements.get(file) || file);
+
+  if (blocked.length === 0) {
+    return approvedFiles();
+  }
+
+  const choice = await showBlockDialog(blocked, policy);
+
+  if (choice === 'send') {
+    await recordOverride(blocked);
+    showNotification('Upload allowed by user override', 'warning');
+    return approvedFiles();
+  }
+
+  if (choice === 'redact') {
+    const redacted = await redactFiles(blocked.map(v => v.file));
+    if (redacted) {
+      redacted.forEach((copy, file) => replacements.set(file, copy));
+      showNotification('Uploading redacted copy', 'success');
+      return approvedFiles();
+    }
+    showNotification('Upload cancelled - no clean copy to send', 'error');
+    return null;
+  }
+
+  showNotification(blocked.every(v => v.decision?.unscannable)
+    ? 'Upload cancelled - file could not be scanned'
+    : 'Upload cancelled - secrets detected', 'error');
+  return null;
+}
+
+/**
+ * Ask the backend for redacted copies of the given PDFs
+ *
+ * @returns {Promise<Map<File, File>|null>} original -> redacted copy, or null if any copy
+ *   failed or still contains findings the backend couldn't locate
+ */
+async function redactFiles(files) {
+  showProcessingIndicator(true);
+
+  try {
+    const redacted = new Map();
+
+    for (const file of files) {
+      const response = await chrome.runtime.sendMessage({
+        action: 'redactPDF',
+        file: await fileToBase64(file),
+        filename: file.name
+      });
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Redaction failed');
+      }
+
+      const { file: dataUrl, summary } = response.data;
+      if (!summary || !summary.complete) {
+        showNotification(`Could not remove every secret from ${file.name}`, 'error');
+        return null;
+      }
+
+      const blob = await (await fetch(dataUrl)).blob();
+      redacted.set(file, new File([blob], `redacted-${file.name}`, { type: 'application/pdf' }));
+    }
+
+    return redacted;
+  } catch (error) {
+    console.error('PDF Secret Inspector: Redaction failed', error);
+    showNotification('Failed to create redacted copy', 'error');
+    return null;
+  } finally {
+    showProcessingIndicator(false);
+  }
+}
+
+/**
+ * Ask the background script to keep a record of a "send anyway" decision
+ */
+async function recordOverride(blocked, kind = 'file') {
+  try {
+    await chrome.runtime.sendMessage({
+      action: 'recordOverride',
+      platform: currentAdapter?.name || 'Unknown',
+      kind,
+      files: blocked.map(({ file, result, decision, error }) => ({
+        filename: file.name,
+        riskLevel: decision ? decision.riskLevel : 'UNKNOWN',
+        secretsFound: result ? result.secretsFound : 0,
+        // What was sent anyway, for the audit log - offline findings have no fingerprint
+        secretTypes: [...new Set((decision?.secrets || []).map(secret => secret.type))],
+        fingerprints: [...new Set((decision?.secrets || []).map(secret => secret.fingerprint).filter(Boolean))],
+        error: error ? error.message : undefined
+      }))
+    });
+  } catch (err) {
+    console.warn('PDF Secret Inspector: Failed to record override', err);
+  }
+}
+
+/**
+ * Show a modal explaining why the upload was stopped
+ * "Send anyway" is only offered when the policy allows overrides.
+ *
+ * @param {Object} [text] - wording, for when it's a prompt rather than files being held
+ * @returns {Promise<'cancel'|'send'|'redact'>} what the user chose
+ */
+function showBlockDialog(blocked, policy, text = UPLOAD_DIALOG_TEXT) {
+  return new Promise((resolve) => {
+    const overlay = document.createElement('div');
+    overlay.id = 'pdf-inspector-block-dialog';
+    overlay.style.cssText = `
+      position: fixed;
+      inset: 0;
+      background: rgba(0,0,0,0.5);
+      z-index: 10001;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      font-family: Arial, sans-serif;
+    `;
+
+    const dialog = document.createElement('div');
+    dialog.style.cssText = `
+      background: white;
+      color: #333;
+      padding: 20px;
+      border-radius: 8px;
+      max-width: 420px;
+      box-shadow: 0 4px 20px rgba(0,0,0,0.3);
+      font-size: 14px;
+    `;
+
+    const title = document.createElement('h3');
+    title.style.cssText = 'margin: 0 0 10px 0; color: #dc3545; font-size: 16px;';
+    title.textContent = text.title;
+    dialog.appendChild(title);
+
+    const list = document.createElement('ul');
+    list.style.cssText = 'margin: 0 0 15px 0; padding-left: 20px;';
+    blocked.forEach(({ file, result, decision }) => {
+      const item = document.createElement('li');
+      if (!decision) {
+        item.textContent = `${file.name}: could not be inspected`;
+      } else if (decision.unscannable) {
+        item.textContent = `${file.name}: ${result.metadata?.refusal?.message || result.metadata?.offlineError || 'encrypted'} - could not be scanned`;
+      } else {
+        item.textContent = `${file.name}: ${decision.secrets.length} potential secret(s), risk ${decision.riskLevel}`;
+        if (decision.action === 'redact') item.textContent += ' - must be redacted first';
+      }
+      list.appendChild(item);
+    });
+    dialog.appendChild(list);
+
+    const actions = document.createElement('div');
+    actions.style.cssText = 'display: flex; justify-content: flex-end; gap: 10px;';
+
+    const close = (choice) => {
+      overlay.remove();
+      resolve(choice);
+    };
+
+    const cancelButton = document.createElement('button');
+    cancelButton.textContent = text.cancel;
+    cancelButton.style.cssText = 'padding: 8px 14px; border: none; border-radius: 5px; background: #007bff; color: white; cursor: pointer;';
+    cancelButton.addEventListener('click', () => close('cancel'));
+
+    const sendButton = document.createElement('button');
+    sendButton.textContent = 'Send anyway';
+    sendButton.style.cssText = 'padding: 8px 14px; border: 1px solid #dc3545; border-radius: 5px; background: white; color: #dc3545; cursor: pointer;';
+    sendButton.addEventListener('click', () => close('send'));
+
+    actions.appendChild(cancelButton);
+
+    // Only offer a redacted copy when we know what to redact, and can redact it
+    if (blocked.every(v => v.result && !v.decision?.unscannable && isPDF(v.file))) {
+      const redactButton = document.createElement('button');
+      redactButton.textContent = 'Upload redacted version';
+      redactButton.style.cssText = 'padding: 8px 14px; border: none; border-radius: 5px; background: #28a745; color: white; cursor: pointer;';
+      redactButton.addEventListener('click', () => close('redact'));
+      actions.appendChild(redactButton);
+    }
+
+    if (policy.allowOverride) {
+      actions.appendChild(sendButton);
+    } else {
+      const note = document.createElement('p');
+      note.style.cssText = 'margin: 0 0 12px 0; font-size: 12px; color: #666;';
+      note.textContent = text.noOverride;
+      dialog.appendChild(note);
+    }
+    dialog.appendChild(actions);
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+
+    cancelButton.focus();
+  });
+}
+
+const UPLOAD_DIALOG_TEXT = {
+  title: '🛑 Upload blocked by PDF Secret Inspector',
+  cancel: 'Cancel upload',
+  noOverride: 'Your organization does not allow sending these files anyway.'
+};
+
+const PROMPT_DIALOG_TEXT = {
+  title: '🛑 Message held by PDF Secret Inspector',
+  cancel: "Don't send",
+  noOverride: 'Your organization does not allow sending this anyway.'
+};
+
+/**
+ * Prompt text
+ *
+ * Pastes into the composer are checked as they happen. If the policy can
+ * block, the paste is held until the verdict and then inserted, and sending
+ * (Enter or the send button) is held until the whole prompt has been checked.
+ * Otherwise pastes are checked in the background and only warn, and sends
+ * aren't touched - typed text is only checked when it could be stopped.
+ */
+
+// Nothing the detectors look for fits in less
+const MIN_PROMPT_LENGTH = 8;
+
+// The prompt being let through, only while we repeat its send - that send isn't held a second time
+let approvedPrompt = null;
+
+// Set while a send is held, so more clicks or Enters don't start another inspection
+let promptPending = false;
+
+function initializePromptMonitoring() {
+  if (!currentPlatform || window.__pdfInspectorPromptAttached) return;
+  window.__pdfInspectorPromptAttached = true;
+
+  window.addEventListener('paste', interceptPaste, true);
+  window.addEventListener('keydown', interceptEnterSend, true);
+  window.addEventListener('click', interceptSendClick, true);
+}
+
+function findComposer(target) {
+  return target?.closest?.(currentPlatform.composerSelector) || null;
+}
+
+function composerText(composer) {
+  if (!composer) return '';
+  return composer instanceof HTMLTextAreaElement ? composer.value : composer.innerText;
+}
+
+/**
+ * Check text pasted into the composer
+ * Pasted files (screenshots) go through the upload path, so only plain-text pastes are held.
+ */
+function interceptPaste(event) {
+  if (!isInspectionEnabled()) return;
+
+  const composer = findComposer(event.target);
+  const text = event.clipboardData?.getData('text/plain') || '';
+  if (!composer || text.trim().length < MIN_PROMPT_LENGTH) return;
+
+  if (!isBlockingEnabled()) {
+    inspectPrompt(text)
+      .then(result => notifyPromptResult(result, 'pasted text'))
+      .catch(error => console.warn('PDF Secret Inspector: Could not inspect pasted text', error));
+    return;
+  }
+
+  if (event.clipboardData.files.length > 0) return;
+
+  event.preventDefault();
+  event.stopImmediatePropagation();
+
+  holdPrompt(text, 'Pasted text').then((approved) => {
+    if (!approved || !composer.isConnected) return;
+
+    composer.focus();
+    // Goes through the editor's own input handling, unlike setting the value directly
+    document.execCommand('insertText', false, text);
+  });
+}
+
+function interceptEnterSend(event) {
+  if (event.key !== 'Enter' || event.shiftKey || event.isComposing) return;
+
+  const composer = findComposer(event.target);
+  if (!composer) return;
+
+  holdSend(event, composer, () => {
+    const sendButton = document.querySelector(currentPlatform.uploadButtonSelector);
+    if (sendButton) {
+      sendButton.click();
+    } else {
+      composer.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', code: 'Enter', keyCode: 13, bubbles: true, cancelable: true }));
+    }
+  });
+}
+
+function interceptSendClick(event) {
+  const sendButton = event.target?.closest?.(currentPlatform.uploadButtonSelector);
+  if (!sendButton) return;
+
+  holdSend(event, document.querySelector(currentPlatform.composerSelector), () => sendButton.click());
+}
+
+/**
+ * Hold a send until the prompt has been inspected, then repeat it if allowed
+ */
+function holdSend(event, composer, resend) {
+  if (!isBlockingEnabled()) return;
+
+  const text = composerText(composer).trim();
+  if (text.length < MIN_PROMPT_LENGTH || text === approvedPrompt) return;
+
+  event.preventDefault();
+  event.stopImmediatePropagation();
+  if (promptPending) return;
+
+  promptPending = true;
+  holdPrompt(text, 'Your message')
+    .then((approved) => {
+      if (!approved) return;
+      // The repeated click or Enter reaches our listeners synchronously, so the approval ends with it
+      approvedPrompt = text;
+      try {
+        resend();
+      } finally {
+        approvedPrompt = null;
+      }
+    })
+    .finally(() => { promptPending = false; });
+}
+
+/**
+ * Send prompt text to the background script for inspection
+ */
+async function inspectPrompt(text) {
+  if (!isMessagingAvailable()) {
+    throw new Error('Extension messaging unavailable');
+  }
+
+  const response = await chrome.runtime.sendMessage({
+    action: 'inspectText',
+    text,
+    platform: currentAdapter?.name || 'Unknown'
+  });
+
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'Inspection failed');
+  }
+  return response.data;
+}
+
+/**
+ * Inspect held prompt text and decide whether it may be sent
+ * Like holdUpload, minus redaction - the user edits the text instead.
+ *
+ * @param {string} label - What to call the text in the dialog ("Pasted text")
+ * @returns {Promise<boolean>} whether to let it through
+ */
+async function holdPrompt(text, label) {
+  const verdict = { file: { name: label } };
+
+  showProcessingIndicator(true);
+  try {
+    verdict.result = await inspectPrompt(text);
+  } catch (error) {
+    verdict.error = error;
+  } finally {
+    showProcessingIndicator(false);
+  }
+
+  const policy = currentPolicy();
+  if (verdict.result) {
+    verdict.decision = decide(policy, verdict.result);
+    if (verdict.decision.action === 'allow' || verdict.decision.action === 'warn') {
+      notifyPromptResult(verdict.result, label.toLowerCase());
+      return true;
+    }
+  }
+
+  const choice = await showBlockDialog([verdict], policy, PROMPT_DIALOG_TEXT);
+  if (choice === 'send') {
+    await recordOverride([verdict], 'prompt');
+    showNotification('Message allowed by user override', 'warning');
+    return true;
+  }
+
+  showNotification(verdict.error ? `Not sent - ${verdict.error.message}` : 'Not sent - remove the secrets and try again', 'error');
+  return false;
+}
+
+/**
+ * Warn about findings in prompt text that's going through
+ * No "clean" toast - that would be one for every message.
+ */
+function notifyPromptResult(result, label) {
+  const policy = currentPolicy();
+  const { action, riskLevel, secrets } = decide(policy, result);
+  if (secrets.length === 0 || action === 'allow') return;
+
+  const offline = result.metadata?.offline ? ' (offline scan)' : '';
+  showNotification(`⚠️ ${secrets.length} potential secret(s) in ${label} (Risk: ${riskLevel})${offline}`, 'warning', { enforced: policy.managed });
+}
+
+/**
+ * Handle inspection results according to the upload policy
+ * Held uploads only get here once they're allowed through; uploads that
+ * weren't held (the policy couldn't block when they started) can only be
+ * cleared from the input after the fact.
+ */
+function handleInspectionResult(result, file, inputElement) {
+  const policy = currentPolicy();
+  const { action, riskLevel, secrets, unscannable } = decide(policy, result);
+  // Scanned in the extension because the backend was down - fewer rules, so say so
+  const offline = result.metadata?.offline ? ' (offline scan)' : '';
+
   // Log the result
-  console.log('PDF Secret Inspector: Inspection complete', result);
+  console.log('PDF Secret Inspector: Inspection complete', { result, action });
 
-  if (secretsFound === 0) {
-    showNotification('PDF is clean - no secrets detected', 'success');
+  if (unscannable) {
+    if (action === 'block') {
+      if (inputElement) inputElement.value = '';
+      showNotification(`🛑 ${file.name} ${unscannableReason(result)} and could not be scanned - remove it before sending`, 'error', { enforced: policy.managed });
+    } else if (action === 'warn') {
+      showNotification(`⚠️ ${file.name} ${unscannableReason(result)} and could not be scanned for secrets`, 'warning', { enforced: policy.managed });
+    }
+  } else if (action === 'block' || action === 'redact') {
+    if (inputElement) inputElement.value = '';
+    showNotification(`🛑 ${file.name} may not be uploaded (Risk: ${riskLevel}) - remove it before sending`, 'error', { enforced: policy.managed });
+  } else if (action === 'warn') {
+    const message = `⚠️ ${secrets.length} potential secret(s) detected in ${file.name} (Risk: ${riskLevel})${offline}`;
+    showNotification(message, 'warning', { enforced: policy.managed });
+  } else if (secrets.length === 0) {
+    showNotification(`${file.name} is clean - no secrets detected${offline}`, 'success');
+  } else {
+    showNotification(`${secrets.length} potential secret(s) in ${file.name} allowed by policy (Risk: ${riskLevel})`, 'info');
   }
 }
 
@@ -278,17 +1157,35 @@ function showProcessingIndicator(show) {
       font-family: Arial, sans-serif;
       font-size: 14px;
     `;
-    indicator.textContent = '🔍 Inspecting PDF...';
+    indicator.textContent = '🔍 Inspecting file...';
     document.body.appendChild(indicator);
   } else if (!show && indicator) {
     indicator.remove();
   }
 }
 
+/**
+ * Show job progress for big files in the processing indicator
+ */
+function updateProcessingIndicator(filename, progress) {
+  const indicator = document.getElementById('pdf-inspector-indicator');
+  if (!indicator) return;
+
+  if (progress.stage === 'extracting' && progress.page) {
+    indicator.textContent = `🔍 Reading ${filename}... page ${progress.page}/${progress.pages}`;
+  } else if (progress.stage === 'detecting') {
+    indicator.textContent = `🔍 Scanning ${filename} for secrets...`;
+  } else if (progress.stage === 'queued') {
+    indicator.textContent = `🔍 ${filename} is waiting in line...`;
+  }
+}
+
 /**
  * Show notification to user
  */
-function showNotification(message, type = 'info') {
+function showNotification(message, type = 'info', options = {}) {
+  if (!shouldNotify(type, options)) return;
+
   const colors = {
     success: '#28a745',
     warning: '#ffc107',
@@ -323,6 +1220,20 @@ function showNotification(message, type = 'info') {
   }, 5000);
 }
 
+// Progress updates for big files inspected as backend jobs
+if (isMessagingAvailable()) {
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message && message.action === 'inspectionProgress') {
+      updateProcessingIndicator(message.filename, message.progress);
+    }
+  });
+}
+
+loadSettings();
+loadSupportedTypes();
+initializeUploadBlocking();
+initializePromptMonitoring();
+
 // Initialize when DOM is ready
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', initializeFileMonitoring);
@@ -0,0 +1,287 @@
+/**
+ * Offline secret detection for PDF Secret Inspector
+ *
+ * A port of the backend's local pass (secretDetector.detectWithLocalPatterns)
+ * that runs on rules from lib/patterns.json - exported from the backend with
+ * `npm run export-patterns`, so both sides flag the same things. Used when the
+ * backend can't be reached. No Prompt Security and no imported gitleaks rules
+ * here, so it's a safety net rather than a full inspection.
+ */
+
+const RISK_ORDER = ['NONE', 'LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+/**
+ * Find secrets in extracted text
+ *
+ * @param {string} text - Whole document text
+ * @param {Array<{pageNumber: number, offset: number}>} pages - Where each page starts in `text`
+ * @param {Object} rules - Contents of lib/patterns.json
+ * @returns {Array<Object>} findings shaped like the backend's, with masked values
+ */
+function detectLocalSecrets(text, pages, rules) {
+  const secrets = [];
+  const matchedRanges = [];
+
+  for (const pattern of rules.patterns) {
+    const flags = pattern.regex.flags.includes('g') ? pattern.regex.flags : pattern.regex.flags + 'g';
+    const regex = new RegExp(pattern.regex.source, flags);
+    let match;
+
+    while ((match = regex.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        regex.lastIndex++;
+        continue;
+      }
+
+      if (pattern.validator && !VALIDATORS[pattern.validator](match[0])) continue;
+
+      secrets.push(finding(pattern.type, pattern.description, match[0], match.index, rules.patternConfidence, pattern.riskLevel, pattern.category));
+      matchedRanges.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  secrets.push(...detectHighEntropyStrings(text, matchedRanges, rules.entropy));
+
+  return mergeOverlapping(secrets).map(secret => placeOnPage(secret, pages));
+}
+
+/**
+ * Merge findings whose spans overlap, like the backend's mergeSecrets - a
+ * card number that also looks like a phone number is one finding. The first
+ * one found is kept, with the higher confidence and risk of the two. Every
+ * finding here has a location, so overlap is all there is to go on.
+ */
+function mergeOverlapping(secrets) {
+  const merged = [];
+
+  for (const secret of secrets) {
+    const index = merged.findIndex(existing =>
+      existing.location < secret.location + secret.value.length &&
+      secret.location < existing.location + existing.value.length);
+    if (index < 0) {
+      merged.push(secret);
+      continue;
+    }
+
+    const existing = merged[index];
+    merged[index] = {
+      ...existing,
+      confidence: Math.max(existing.confidence, secret.confidence),
+      riskLevel: RISK_ORDER.indexOf(secret.riskLevel) > RISK_ORDER.indexOf(existing.riskLevel)
+        ? secret.riskLevel
+        : existing.riskLevel
+    };
+  }
+
+  return merged;
+}
+
+/**
+ * Same scoring as the backend: entropy against the alphabet's ceiling, plus a
+ * boost for a secret-ish keyword just before the token
+ */
+function detectHighEntropyStrings(text, skipRanges, tuning) {
+  const secrets = [];
+  const regex = new RegExp(tuning.candidate.source, tuning.candidate.flags);
+  const secretKeywords = new RegExp(tuning.secretKeywords.source, tuning.secretKeywords.flags);
+  const awsSecretKeywords = new RegExp(tuning.awsSecretKeywords.source, tuning.awsSecretKeywords.flags);
+  const nonSecretShapes = tuning.nonSecretShapes.map(shape => new RegExp(shape.source, shape.flags));
+  let match;
+
+  while ((match = regex.exec(text)) !== null) {
+    const token = match[0];
+    const start = match.index;
+    const end = start + token.length;
+
+    if (skipRanges.some(([from, to]) => start < to && end > from)) continue;
+    if (nonSecretShapes.some(shape => shape.test(token))) continue;
+
+    const isHex = /^[0-9a-f]+$/i.test(token);
+    const threshold = isHex ? tuning.hexThreshold : tuning.base64Threshold;
+    const entropy = shannonEntropy(token);
+    if (entropy < threshold) continue;
+
+    const before = text.slice(Math.max(0, start - tuning.keywordWindow), start);
+    const hasKeyword = secretKeywords.test(before);
+    const isAwsSecret = token.length === 40 && awsSecretKeywords.test(before);
+
+    const ceiling = Math.log2(Math.max(1, Math.min(token.length, isHex ? 16 : 64)));
+    const ratio = ceiling > threshold ? Math.min(1, (entropy - threshold) / (ceiling - threshold)) : 1;
+    const keywordBoost = (hasKeyword ? 0.25 : 0) + (isAwsSecret ? 0.1 : 0);
+    const confidence = Math.round(Math.min(0.95, 0.4 + 0.3 * ratio + keywordBoost) * 100) / 100;
+
+    secrets.push(finding(
+      isAwsSecret ? 'AWS Secret Key' : 'High Entropy String',
+      isAwsSecret
+        ? 'AWS Secret Access Key'
+        : `High-entropy string (${entropy.toFixed(2)} bits/char)${hasKeyword ? ' next to a secret keyword' : ''}`,
+      token,
+      start,
+      confidence,
+      hasKeyword ? 'HIGH' : 'LOW',
+      'credential'
+    ));
+  }
+
+  return secrets;
+}
+
+function finding(type, description, secret, location, confidence, riskLevel, category) {
+  return {
+    type,
+    description,
+    value: maskSecret(secret),
+    location,
+    confidence,
+    riskLevel,
+    category,
+    source: 'extension_local'
+  };
+}
+
+function placeOnPage(secret, pages) {
+  let page;
+  for (const candidate of pages) {
+    if (candidate.offset > secret.location) break;
+    page = candidate;
+  }
+  return page ? { ...secret, page: page.pageNumber, pageOffset: secret.location - page.offset } : secret;
+}
+
+/**
+ * Highest risk level among the findings
+ */
+function calculateRiskLevel(secrets) {
+  return secrets.reduce((highest, secret) =>
+    RISK_ORDER.indexOf(secret.riskLevel) > RISK_ORDER.indexOf(highest) ? secret.riskLevel : highest, 'NONE');
+}
+
+function shannonEntropy(value) {
+  if (value.length === 0) return 0;
+
+  const counts = new Map();
+  for (const ch of value) {
+    counts.set(ch, (counts.get(ch) || 0) + 1);
+  }
+
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+// Masked values keep their length, like the backend's
+function maskSecret(secret) {
+  if (secret.length <= 8) {
+    return '*'.repeat(secret.length);
+  }
+  return secret.substring(0, 4) + '*'.repeat(secret.length - 8) + secret.substring(secret.length - 4);
+}
+
+/**
+ * Checksum and format checks named by patterns' `validator`
+ * Same rules as the backend's utils/validators.ts - see there for the details.
+ */
+const CARD_PREFIX = /^(4|5[1-5]|222[1-9]|22[3-9]|2[3-6]|27[01]|2720|3[47]|6011|64[4-9]|65|352[89]|35[3-8]|30[0-5]|3[68])/;
+const SAMPLE_SSNS = new Set(['078051120', '219099999', '123456789']);
+const INVALID_NINO_PREFIXES = new Set(['BG', 'GB', 'NK', 'KN', 'TN', 'NT', 'ZZ']);
+const BASE62 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+const digitsOf = value => value.replace(/\D/g, '');
+
+const VALIDATORS = {
+  githubToken(value) {
+    const match = /^gh[pousr]_([A-Za-z0-9]{30})([A-Za-z0-9]{6})$/.exec(value);
+    if (!match) return false;
+
+    let checksum = crc32(match[1]);
+    let encoded = '';
+    do {
+      encoded = BASE62[checksum % 62] + encoded;
+      checksum = Math.floor(checksum / 62);
+    } while (checksum > 0);
+    return encoded.padStart(6, '0') === match[2];
+  },
+
+  paymentCard(value) {
+    const digits = digitsOf(value);
+    return digits.length >= 13 && digits.length <= 19 && CARD_PREFIX.test(digits) && luhn(digits);
+  },
+
+  iban(value) {
+    const compact = value.replace(/ /g, '').toUpperCase();
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(compact)) return false;
+
+    let remainder = 0;
+    for (const ch of compact.slice(4) + compact.slice(0, 4)) {
+      const code = /\d/.test(ch) ? ch : String(ch.charCodeAt(0) - 55);
+      for (const digit of code) {
+        remainder = (remainder * 10 + Number(digit)) % 97;
+      }
+    }
+    return remainder === 1;
+  },
+
+  usSsn(value) {
+    const digits = digitsOf(value);
+    if (digits.length !== 9 || SAMPLE_SSNS.has(digits)) return false;
+
+    const area = Number(digits.slice(0, 3));
+    return area !== 0 && area !== 666 && area < 900 && digits.slice(3, 5) !== '00' && digits.slice(5) !== '0000';
+  },
+
+  ukNino(value) {
+    const compact = value.replace(/ /g, '').toUpperCase();
+    return /^[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z]\d{6}[A-D]$/.test(compact) && !INVALID_NINO_PREFIXES.has(compact.slice(0, 2));
+  },
+
+  caSin(value) {
+    const digits = digitsOf(value);
+    return digits.length === 9 && !/^[08]/.test(digits) && luhn(digits);
+  },
+
+  phone(value) {
+    const digits = digitsOf(value);
+    if (value.trim().startsWith('+')) {
+      return digits.length >= 8 && digits.length <= 15;
+    }
+
+    const national = digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+    return national.length === 10 && /^[2-9]\d\d[2-9]/.test(national);
+  }
+};
+
+function luhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+let crcTable = null;
+
+function crc32(value) {
+  if (!crcTable) {
+    crcTable = Array.from({ length: 256 }, (_, n) => {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      return c >>> 0;
+    });
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < value.length; i++) {
+    crc = crcTable[(crc ^ value.charCodeAt(i)) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
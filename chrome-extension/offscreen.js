@@ -0,0 +1,96 @@
+/**
+ * Offscreen document for offline PDF scanning
+ *
+ * The background opens this page when the backend can't be reached. It pulls
+ * the text out of the PDF with the bundled PDF.js and runs the exported local
+ * rules over it (see localDetector.js). Only messages addressed to it
+ * (`target: 'offscreen'`) are handled - everything else is for the background.
+ */
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = chrome.runtime.getURL('lib/pdfjs/pdf.worker.min.js');
+
+// Rules ship with the extension, so one fetch lasts the life of the document
+let rulesPromise = null;
+
+function loadRules() {
+  if (!rulesPromise) {
+    rulesPromise = fetch(chrome.runtime.getURL('lib/patterns.json')).then(res => res.json());
+  }
+  return rulesPromise;
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.target !== 'offscreen') return;
+
+  if (request.action === 'scanPdf') {
+    scanPdf(request.file, request.password)
+      .then(result => sendResponse({ success: true, data: result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true;
+  }
+});
+
+/**
+ * Extract the text of every page and look for secrets in it
+ *
+ * @param {string} file - The PDF as a data URL
+ * @param {string} [password] - For a password-protected PDF
+ * @returns {Promise<Object>} findings, risk level, page and word counts, and
+ *   the version of the rules that produced them, plus `encryption` when the
+ *   PDF needed a password (no findings if it couldn't be opened)
+ */
+async function scanPdf(file, password) {
+  const [rules, data] = await Promise.all([
+    loadRules(),
+    fetch(file).then(res => res.arrayBuffer())
+  ]);
+
+  let pdf;
+  try {
+    pdf = await pdfjsLib.getDocument({
+      data: new Uint8Array(data),
+      isEvalSupported: false,
+      ...(password !== undefined && { password })
+    }).promise;
+  } catch (error) {
+    if (error?.name !== 'PasswordException') throw error;
+    return {
+      secrets: [],
+      riskLevel: 'NONE',
+      pages: 0,
+      wordCount: 0,
+      patternSetVersion: rules.version,
+      encryption: error.code === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD ? 'incorrect_password' : 'password_required'
+    };
+  }
+
+  try {
+    const pages = [];
+    let text = '';
+
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      const pageText = content.items.map(item => item.str + (item.hasEOL ? '\n' : '')).join('');
+
+      if (pageNumber > 1) text += '\n';
+      pages.push({ pageNumber, offset: text.length });
+      text += pageText;
+      page.cleanup();
+    }
+
+    const secrets = detectLocalSecrets(text, pages, rules);
+
+    return {
+      secrets,
+      riskLevel: calculateRiskLevel(secrets),
+      pages: pdf.numPages,
+      wordCount: text.split(/\s+/).filter(Boolean).length,
+      patternSetVersion: rules.version,
+      ...(password !== undefined && { encryption: 'decrypted' })
+    };
+  } finally {
+    pdf.destroy();
+  }
+}
@@ -0,0 +1,172 @@
+/**
+ * Options page for PDF Secret Inspector
+ *
+ * Backend URL and API key, which platforms to watch, how chatty the
+ * in-page notifications are, and whether to ask for PDF passwords. Everything is stored in the same `settings`
+ * object the popup uses; background and content scripts listen for storage
+ * changes, so nothing needs a reload. Settings a managed policy controls are
+ * shown but can't be changed.
+ */
+
+// Settings decided by the managed policy (see lockedSettings in settings.js)
+let locked = [];
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const settings = await getSettings();
+  locked = lockedSettings(await getManagedPolicy());
+
+  const backendInput = document.getElementById('backendUrl');
+  const apiKeyInput = document.getElementById('apiKey');
+  backendInput.value = settings.backendUrl;
+  apiKeyInput.value = settings.apiKey;
+
+  if (locked.includes('backendUrl')) {
+    backendInput.disabled = true;
+    backendInput.title = 'Set by your organization';
+  }
+
+  document.getElementById('saveBackend').addEventListener('click', saveBackend);
+  document.getElementById('testBackend').addEventListener('click', testBackend);
+
+  renderPlatforms(settings.platforms, locked.includes('platforms'));
+  if (locked.length > 0) {
+    document.getElementById('managedNotice').style.display = 'block';
+  }
+
+  document.querySelectorAll('input[name="notifications"]').forEach((radio) => {
+    radio.checked = radio.value === settings.notifications;
+    radio.addEventListener('change', () => updateSettings({ notifications: radio.value }));
+  });
+
+  const askForPasswords = document.getElementById('askForPasswords');
+  askForPasswords.checked = settings.askForPasswords !== false;
+  askForPasswords.addEventListener('change', () => updateSettings({ askForPasswords: askForPasswords.checked }));
+});
+
+/**
+ * One checkbox per platform, saved as soon as it changes
+ * A managed upload policy applies everywhere, so the boxes are all ticked and locked.
+ */
+function renderPlatforms(platforms, isLocked) {
+  const container = document.getElementById('platforms');
+
+  for (const name of PLATFORMS) {
+    const label = document.createElement('label');
+    label.className = 'choice';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = isLocked || platforms[name] !== false;
+    checkbox.disabled = isLocked;
+    checkbox.addEventListener('change', async () => {
+      const current = await getSettings();
+      await updateSettings({ platforms: { ...current.platforms, [name]: checkbox.checked } });
+    });
+
+    label.append(checkbox, ` ${name}`);
+    container.appendChild(label);
+  }
+}
+
+/**
+ * Parse the backend URL field
+ * Accepts the URL with or without a trailing /api, since both get pasted.
+ *
+ * @returns {{ url: string, origin: string }|null} the URL to store and the host
+ *   permission it needs, or null if it isn't a usable http(s) URL
+ */
+function parseBackendUrl(value) {
+  let parsed;
+  try {
+    parsed = new URL(value.trim());
+  } catch (_) {
+    return null;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+
+  const url = `${parsed.origin}${parsed.pathname}`.replace(/\/+$/, '').replace(/\/api$/, '');
+  // Match patterns can't carry a port, so permission is per host
+  return { url, origin: `${parsed.protocol}//${parsed.hostname}/*` };
+}
+
+/**
+ * Ask for access to the backend's host
+ * Must run straight from the click handler - Chrome only shows the prompt
+ * during a user gesture, and an earlier await would end it.
+ */
+function requestHostPermission(origin) {
+  return chrome.permissions.request({ origins: [origin] });
+}
+
+async function saveBackend() {
+  const backend = parseBackendUrl(document.getElementById('backendUrl').value);
+  if (!backend) {
+    showStatus('Enter an http:// or https:// URL', 'error');
+    return;
+  }
+
+  const granted = await requestHostPermission(backend.origin);
+  if (!granted) {
+    showStatus(`Permission to reach ${backend.origin} was denied - settings not saved`, 'error');
+    return;
+  }
+
+  const apiKey = document.getElementById('apiKey').value.trim();
+  // The managed URL applies regardless, so only the key is the user's to save
+  await updateSettings(locked.includes('backendUrl') ? { apiKey } : { backendUrl: backend.url, apiKey });
+  document.getElementById('backendUrl').value = backend.url;
+  showStatus('Saved', 'ok');
+}
+
+/**
+ * Check the backend in the form (saved or not) answers its health check,
+ * and whether it accepts the API key
+ */
+async function testBackend() {
+  const backend = parseBackendUrl(document.getElementById('backendUrl').value);
+  if (!backend) {
+    showStatus('Enter an http:// or https:// URL', 'error');
+    return;
+  }
+
+  if (!(await requestHostPermission(backend.origin))) {
+    showStatus(`Permission to reach ${backend.origin} was denied`, 'error');
+    return;
+  }
+
+  showStatus('Testing…', '');
+  const api = apiBaseUrl({ backendUrl: backend.url });
+  const apiKey = document.getElementById('apiKey').value.trim();
+
+  try {
+    const health = await fetchWithTimeout(`${api}/health`);
+    if (!health.ok) throw new Error(`HTTP ${health.status}`);
+    const { version } = await health.json();
+
+    // The health check is open to everyone; any other endpoint tells us about the key
+    const auth = await fetchWithTimeout(`${api}/supported-types`, apiKey ? { Authorization: `Bearer ${apiKey}` } : {});
+    if (auth.status === 401 || auth.status === 403) {
+      showStatus(`Connected (v${version}), but ${apiKey ? 'the API key was rejected' : 'the backend requires an API key'}`, 'warn');
+    } else {
+      showStatus(`Connected (v${version})${apiKey ? ' - API key accepted' : ''}`, 'ok');
+    }
+  } catch (error) {
+    showStatus(`Could not reach ${api}/health: ${error.name === 'AbortError' ? 'timed out' : error.message}`, 'error');
+  }
+}
+
+async function fetchWithTimeout(url, headers = {}, timeoutMs = 5000) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    return await fetch(url, { headers, signal: ctrl.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function showStatus(message, type) {
+  const status = document.getElementById('backendStatus');
+  status.textContent = message;
+  status.className = `status ${type}`;
+}
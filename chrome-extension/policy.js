@@ -0,0 +1,129 @@
+/**
+ * Upload policy: what to do with an inspection result
+ *
+ * Every result maps to one action by its risk level and the platform:
+ *   allow  - let it through quietly
+ *   warn   - let it through with a warning
+ *   block  - hold it until the user cancels, redacts, or (if allowed) sends anyway
+ *   redact - only a redacted copy may go up; files that can't be redacted are blocked
+ *
+ * Files the backend couldn't scan at all (encrypted PDFs) have no risk level
+ * to go by, so they get an action of their own: unscannableAction.
+ *
+ * Admins set this through chrome.storage.managed (see managed_schema.json),
+ * optionally per finding category (credential or pii) - then every finding is
+ * judged by its own category's actions and the strictest one wins.
+ * Without a managed policy it comes from the user's own settings: warn on
+ * anything found, and block HIGH/CRITICAL (and unscannable files) when
+ * "Block Risky Uploads" is on.
+ */
+
+const RISK_LEVELS = ['NONE', 'LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+const POLICY_ACTIONS = ['allow', 'warn', 'block', 'redact'];
+
+const DEFAULT_RISK_ACTIONS = { NONE: 'allow', LOW: 'warn', MEDIUM: 'warn', HIGH: 'warn', CRITICAL: 'warn' };
+
+// There's nothing to redact in a file that couldn't be read
+const UNSCANNABLE_ACTIONS = ['allow', 'warn', 'block'];
+
+// Least to most restrictive - block beats redact, since nothing goes up at all
+const ACTION_SEVERITY = ['allow', 'warn', 'redact', 'block'];
+
+/**
+ * The policy for one platform
+ *
+ * @returns {{ riskActions: Object, categoryRiskActions: Object, unscannableAction: string,
+ *   minConfidence: number, allowOverride: boolean, managed: boolean }}
+ */
+function resolvePolicy(settings, managed, platform) {
+  if (!hasManagedActions(managed)) {
+    return {
+      riskActions: settings.blockUploads
+        ? { ...DEFAULT_RISK_ACTIONS, HIGH: 'block', CRITICAL: 'block' }
+        : { ...DEFAULT_RISK_ACTIONS },
+      categoryRiskActions: {},
+      unscannableAction: settings.blockUploads ? 'block' : 'warn',
+      minConfidence: 0,
+      allowOverride: true,
+      managed: false
+    };
+  }
+
+  const riskActions = withOverrides(
+    withOverrides(DEFAULT_RISK_ACTIONS, managed.riskActions),
+    managed.platformRiskActions?.[platform]
+  );
+
+  // Category actions start from the platform's, so they only need the levels that differ
+  const categoryRiskActions = {};
+  for (const [category, overrides] of Object.entries(managed.categoryRiskActions || {})) {
+    categoryRiskActions[category] = withOverrides(riskActions, overrides);
+  }
+
+  const minConfidence = Number(managed.minConfidence);
+
+  return {
+    riskActions,
+    categoryRiskActions,
+    unscannableAction: UNSCANNABLE_ACTIONS.includes(managed.unscannableAction) ? managed.unscannableAction : 'warn',
+    minConfidence: Number.isFinite(minConfidence) ? Math.min(Math.max(minConfidence, 0), 1) : 0,
+    allowOverride: managed.allowOverride !== false,
+    managed: true
+  };
+}
+
+// Copy of `riskActions` with the valid entries of `overrides` applied
+function withOverrides(riskActions, overrides) {
+  const merged = { ...riskActions };
+  for (const level of RISK_LEVELS) {
+    if (POLICY_ACTIONS.includes(overrides?.[level])) {
+      merged[level] = overrides[level];
+    }
+  }
+  return merged;
+}
+
+/**
+ * Decide what happens to an upload
+ * Findings under the confidence threshold don't count, so the risk level is
+ * worked out again from the ones that are left (highest wins, as on the backend).
+ * An unscannable result has no findings to judge, only unscannableAction.
+ *
+ * @returns {{ action: string, riskLevel: string, secrets: Array, unscannable: boolean }}
+ */
+function decide(policy, result) {
+  if (result.verdict === 'UNSCANNABLE') {
+    return { action: policy.unscannableAction || 'warn', riskLevel: 'UNKNOWN', secrets: [], unscannable: true };
+  }
+
+  const secrets = (result.secrets || []).filter(secret => (secret.confidence ?? 1) >= policy.minConfidence);
+
+  const riskLevel = policy.minConfidence > 0
+    ? secrets.reduce((highest, secret) =>
+      RISK_LEVELS.indexOf(secret.riskLevel) > RISK_LEVELS.indexOf(highest) ? secret.riskLevel : highest, 'NONE')
+    : result.riskLevel || 'NONE';
+
+  return { action: actionFor(policy, riskLevel, secrets), riskLevel, secrets, unscannable: false };
+}
+
+function actionFor(policy, riskLevel, secrets) {
+  const categoryRiskActions = policy.categoryRiskActions || {};
+  if (secrets.length === 0 || Object.keys(categoryRiskActions).length === 0) {
+    return policy.riskActions[riskLevel] || 'warn';
+  }
+
+  return secrets.reduce((strictest, secret) => {
+    const actions = categoryRiskActions[secret.category] || policy.riskActions;
+    const action = actions[secret.riskLevel] || 'warn';
+    return ACTION_SEVERITY.indexOf(action) > ACTION_SEVERITY.indexOf(strictest) ? action : strictest;
+  }, 'allow');
+}
+
+/**
+ * Whether any result could be held back - uploads then have to wait for inspection
+ */
+function policyCanBlock(policy) {
+  if (policy.unscannableAction === 'block') return true;
+  return [policy.riskActions, ...Object.values(policy.categoryRiskActions || {})]
+    .some(riskActions => Object.values(riskActions).some(action => action === 'block' || action === 'redact'));
+}
@@ -2,7 +2,7 @@
  * Popup script for PDF Secret Inspector
  * 
  * Simple interface to show extension status and settings.
- * Keeps track of inspection history and allows users to configure behavior.
+ * Shows the inspection history and allows users to configure behavior.
  */
 
 document.addEventListener('DOMContentLoaded', async () => {
@@ -16,14 +16,17 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     console.log('Chrome storage available, getting data...');
     
-    // Get extension settings, stats, and last inspection
-    const result = await chrome.storage.local.get(['settings', 'lastInspection', 'stats']);
+    // Get extension settings, stats, and inspection history
+    const result = await chrome.storage.local.get(['settings', 'inspectionHistory', 'promptHistory', 'stats']);
     console.log('Storage result:', result);
     
     // Show status
-    const settings = result.settings || { enabled: true };
+    const settings = normalizeSettings(result.settings);
+    const managed = await getManagedPolicy();
+    const locked = lockedSettings(managed);
     const statusElement = document.getElementById('status');
-    statusElement.textContent = settings.enabled ? 'Active' : 'Disabled';
+    statusElement.textContent = locked.includes('enabled') ? 'Active (managed)' : settings.enabled ? 'Active' : 'Disabled';
+    showPolicyBanner(managed);
     
     // Show stats
     const stats = result.stats || { filesScanned: 0, secretsFound: 0 };
@@ -32,36 +35,263 @@ document.addEventListener('DOMContentLoaded', async () => {
     document.getElementById('filesScanned').textContent = stats.filesScanned;
     document.getElementById('secretsFound').textContent = stats.secretsFound;
     
-    // Show last inspection if available
-    const lastInspection = result.lastInspection;
-    const lastInspectionDiv = document.getElementById('lastInspection');
+    // Show inspection history, files and prompt checks together, re-rendering whenever a filter changes
+    let history = [...(result.inspectionHistory || []), ...(result.promptHistory || [])]
+      .sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''));
+    const searchInput = document.getElementById('historySearch');
+    const riskSelect = document.getElementById('historyRisk');
+    const render = () => renderHistory(history, searchInput.value, riskSelect.value);
     
-    if (lastInspection) {
-      document.getElementById('lastFilename').textContent = lastInspection.filename || '-';
-      document.getElementById('lastPlatform').textContent = lastInspection.platform || '-';
-      document.getElementById('lastSecretsCount').textContent = lastInspection.secretsFound || 0;
-      
-      // Update risk level with color
-      const riskElement = document.getElementById('lastRiskLevel');
-      const riskLevel = lastInspection.riskLevel || 'NONE';
-      riskElement.textContent = riskLevel;
-      riskElement.className = `risk-${riskLevel.toLowerCase()}`;
-      
-      // Format timestamp
-      if (lastInspection.timestamp) {
-        const date = new Date(lastInspection.timestamp);
-        document.getElementById('lastTimestamp').textContent = date.toLocaleString();
-      }
-      
-      lastInspectionDiv.style.display = 'block';
+    searchInput.addEventListener('input', render);
+    riskSelect.addEventListener('change', render);
+    render();
+    
+    document.getElementById('clearHistory').addEventListener('click', async () => {
+      if (!confirm('Clear the inspection history?')) return;
+      await chrome.storage.local.remove(['inspectionHistory', 'promptHistory']);
+      history = [];
+      render();
+    });
+    
+    document.getElementById('exportHistory').addEventListener('click', () => exportHistory(history));
+    
+    // Scanning and blocking toggles - content scripts pick up the change from storage.
+    // Under a managed policy they just show what the policy does.
+    const enableToggle = document.getElementById('enableToggle');
+    const blockToggle = document.getElementById('blockToggle');
+    
+    if (locked.includes('enabled')) {
+      lockToggle(enableToggle, true);
+      lockToggle(blockToggle, PLATFORMS.some(platform => policyCanBlock(resolvePolicy(settings, managed, platform))));
     } else {
-      lastInspectionDiv.style.display = 'none';
+      enableToggle.classList.toggle('active', settings.enabled);
+      enableToggle.addEventListener('click', async () => {
+        const updated = await updateSettings({ enabled: !(await getSettings()).enabled });
+        enableToggle.classList.toggle('active', updated.enabled);
+        statusElement.textContent = updated.enabled ? 'Active' : 'Disabled';
+      });
+      
+      blockToggle.classList.toggle('active', settings.blockUploads === true);
+      blockToggle.addEventListener('click', async () => {
+        const updated = await updateSettings({ blockUploads: !(await getSettings()).blockUploads });
+        blockToggle.classList.toggle('active', updated.blockUploads);
+      });
     }
     
+    // Backend, platforms, notifications and the API key live on the options page
+    document.getElementById('openOptions').addEventListener('click', () => chrome.runtime.openOptionsPage());
+    
     console.log('Popup loaded successfully');
     
   } catch (error) {
     console.error('Popup error details:', error);
     document.getElementById('status').textContent = 'Error';
   }
-});
\ No newline at end of file
+});
+
+/**
+ * Tell the user which settings their organization controls
+ */
+function showPolicyBanner(managed) {
+  const parts = [];
+  if (hasManagedActions(managed)) parts.push('Upload policy');
+  if (managed.backendUrl) parts.push(parts.length > 0 ? 'backend URL' : 'Backend URL');
+  if (parts.length === 0) return;
+  
+  const banner = document.getElementById('policyBanner');
+  banner.textContent = `🔒 ${parts.join(' and ')} ${parts.length > 1 ? 'are' : 'is'} set by your organization`;
+  banner.style.display = 'block';
+}
+
+function lockToggle(toggle, active) {
+  toggle.classList.toggle('active', active);
+  toggle.classList.add('locked');
+  toggle.title = 'Set by your organization\'s policy';
+}
+
+/**
+ * Render the history list, newest first
+ * Search matches the filename, platform or any finding type.
+ */
+function renderHistory(history, search, riskLevel) {
+  const list = document.getElementById('historyList');
+  const query = search.trim().toLowerCase();
+  
+  const entries = history.filter(entry => {
+    if (riskLevel && entry.riskLevel !== riskLevel) return false;
+    if (!query) return true;
+    return [entry.filename, entry.platform, ...(entry.secrets || []).map(secret => secret.type)]
+      .some(value => (value || '').toLowerCase().includes(query));
+  });
+  
+  list.replaceChildren();
+  
+  if (entries.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'history-empty';
+    empty.textContent = history.length === 0 ? 'No inspections yet' : 'No inspections match the filter';
+    list.appendChild(empty);
+    return;
+  }
+  
+  for (const entry of entries) {
+    list.appendChild(renderEntry(entry));
+  }
+}
+
+/**
+ * One history entry; clicking the summary expands its findings
+ * Built with textContent throughout - filenames come from the page.
+ */
+function renderEntry(entry) {
+  const item = document.createElement('div');
+  item.className = 'history-entry';
+  
+  const summary = document.createElement('div');
+  summary.className = 'history-summary';
+  
+  const title = document.createElement('div');
+  title.className = 'history-title';
+  const filename = document.createElement('strong');
+  filename.textContent = entry.filename || '-';
+  filename.title = entry.filename || '';
+  const risk = document.createElement('span');
+  const riskLevel = entry.riskLevel || 'NONE';
+  risk.textContent = entry.unscannable ? (entry.refusal || entry.offlineFailed ? 'UNSCANNED' : 'ENCRYPTED') : riskLevel;
+  risk.className = entry.unscannable ? 'risk-unscannable' : `risk-${riskLevel.toLowerCase()}`;
+  title.append(filename, risk);
+  
+  const meta = document.createElement('div');
+  meta.className = 'history-meta';
+  const secretsCount = entry.secretsFound || 0;
+  meta.textContent = [
+    entry.platform || 'Unknown',
+    `${secretsCount} secret${secretsCount === 1 ? '' : 's'}`,
+    entry.timestamp ? new Date(entry.timestamp).toLocaleString() : '-'
+  ].join(' · ');
+  
+  summary.append(title, meta);
+  summary.addEventListener('click', () => item.classList.toggle('expanded'));
+  
+  const findings = document.createElement('div');
+  findings.className = 'history-findings';
+  
+  if (!entry.secrets || entry.secrets.length === 0) {
+    findings.textContent = 'Nothing flagged';
+  } else {
+    for (const secret of entry.secrets) {
+      findings.appendChild(renderFinding(secret));
+    }
+  }
+  
+  item.append(summary, findings);
+  return item;
+}
+
+function renderFinding(secret) {
+  const finding = document.createElement('div');
+  finding.className = 'finding';
+  
+  const heading = document.createElement('div');
+  const type = document.createElement('strong');
+  type.textContent = secret.category === 'pii' ? `${secret.type} (PII)` : secret.type;
+  const risk = document.createElement('span');
+  const riskLevel = secret.riskLevel || 'NONE';
+  risk.textContent = ` ${riskLevel}`;
+  risk.className = `risk-${riskLevel.toLowerCase()}`;
+  heading.append(type, risk);
+  
+  const detail = document.createElement('div');
+  detail.className = 'finding-detail';
+  const sources = Array.isArray(secret.source) ? secret.source : [secret.source];
+  detail.textContent = [
+    `${Math.round((secret.confidence || 0) * 100)}% confidence`,
+    sources.filter(Boolean).map(formatSource).join(' + '),
+    formatLocation(secret)
+  ].filter(Boolean).join(' · ');
+  
+  finding.append(heading, detail);
+  
+  // Only backend findings can be reported - offline ones have no fingerprint
+  if (secret.reported) {
+    const note = document.createElement('div');
+    note.className = 'finding-detail';
+    note.textContent = 'Reported as not a secret';
+    finding.appendChild(note);
+  } else if (secret.fingerprint) {
+    finding.appendChild(renderReportButton(secret));
+  }
+  return finding;
+}
+
+/**
+ * "Not a secret" - sends the finding's fingerprint (never its value) so
+ * later scans stop flagging it
+ */
+function renderReportButton(secret) {
+  const button = document.createElement('button');
+  button.className = 'finding-report';
+  button.textContent = 'Not a secret';
+  button.title = 'Stop flagging this value in future scans';
+  
+  button.addEventListener('click', async () => {
+    button.disabled = true;
+    button.textContent = 'Reporting...';
+    
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'reportFalsePositive',
+        fingerprint: secret.fingerprint,
+        type: secret.type
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Report failed');
+      }
+      button.replaceWith(Object.assign(document.createElement('div'), {
+        className: 'finding-detail',
+        textContent: 'Reported - it won\'t be flagged again'
+      }));
+    } catch (error) {
+      console.error('PDF Secret Inspector: Could not report finding', error);
+      button.disabled = false;
+      button.textContent = 'Not a secret';
+      button.title = `Could not report it: ${error.message}`;
+    }
+  });
+  
+  return button;
+}
+
+const SOURCE_LABELS = {
+  prompt_security: 'Prompt Security',
+  local: 'local patterns',
+  extension_local: 'offline scan'
+};
+
+function formatSource(source) {
+  return SOURCE_LABELS[source] || source;
+}
+
+/**
+ * Where the finding was: page and, outside the body, the part of the file
+ */
+function formatLocation(secret) {
+  const parts = [];
+  if (secret.page !== undefined && secret.page !== null) parts.push(`page ${secret.page}`);
+  if (secret.origin && secret.origin !== 'body') parts.push(secret.origin);
+  if (secret.extraction === 'ocr') parts.push('OCR');
+  return parts.length > 0 ? parts.join(', ') : 'location unknown';
+}
+
+/**
+ * Download the full history as a JSON file
+ */
+function exportHistory(history) {
+  const blob = new Blob([JSON.stringify(history, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `inspection-history-${new Date().toISOString().slice(0, 10)}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,107 @@
+/**
+ * Extension settings shared by the background, content, popup and options scripts
+ *
+ * Settings live in chrome.storage.local under `settings`. Anything missing
+ * falls back to the defaults here, so older installs pick up new options
+ * without a migration step. A managed policy (chrome.storage.managed, set by
+ * an admin) takes precedence over the settings it covers - see lockedSettings().
+ */
+
+const DEFAULT_BACKEND_URL = 'http://localhost:3000';
+
+// Platforms the content script knows how to watch, by the name it reports
+const PLATFORMS = ['ChatGPT', 'Claude', 'Bard'];
+
+// 'all' - every result, 'findings' - only findings and errors, 'none' - no toasts
+// (the block dialog still shows, it's a decision rather than a notification)
+const NOTIFICATION_LEVELS = ['all', 'findings', 'none'];
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  blockUploads: false,
+  notifications: 'all',
+  backendUrl: DEFAULT_BACKEND_URL,
+  apiKey: '',
+  // Offer to unlock password-protected PDFs so they can be scanned
+  askForPasswords: true,
+  platforms: Object.fromEntries(PLATFORMS.map(name => [name, true]))
+};
+
+/**
+ * Fill in defaults and carry over settings from older versions
+ */
+function normalizeSettings(stored) {
+  const settings = { ...DEFAULT_SETTINGS, ...(stored || {}) };
+  settings.platforms = { ...DEFAULT_SETTINGS.platforms, ...(stored?.platforms || {}) };
+
+  // Before verbosity levels there was just an on/off switch
+  if (!stored?.notifications && stored?.showNotifications === false) {
+    settings.notifications = 'none';
+  }
+  delete settings.showNotifications;
+
+  if (!NOTIFICATION_LEVELS.includes(settings.notifications)) {
+    settings.notifications = DEFAULT_SETTINGS.notifications;
+  }
+  return settings;
+}
+
+/**
+ * Effective settings: the user's, with anything the managed policy sets on top
+ */
+async function getSettings() {
+  const [{ settings }, managed] = await Promise.all([chrome.storage.local.get('settings'), getManagedPolicy()]);
+  return applyManagedSettings(normalizeSettings(settings), managed);
+}
+
+function applyManagedSettings(settings, managed) {
+  return managed.backendUrl ? { ...settings, backendUrl: managed.backendUrl } : settings;
+}
+
+/**
+ * Merge changes into the stored settings
+ * Works on the user's own settings, so managed values never get copied into them.
+ */
+async function updateSettings(changes) {
+  const { settings } = await chrome.storage.local.get('settings');
+  const updated = { ...normalizeSettings(settings), ...changes };
+  await chrome.storage.local.set({ settings: updated });
+  return applyManagedSettings(updated, await getManagedPolicy());
+}
+
+/**
+ * Policy pushed by an admin through Chrome enterprise management
+ * Empty when the extension isn't managed (or the platform has no managed storage).
+ */
+async function getManagedPolicy() {
+  try {
+    return (await chrome.storage.managed.get(null)) || {};
+  } catch (_) {
+    return {};
+  }
+}
+
+// A managed policy deciding what happens to uploads (anything but the backend URL)
+function hasManagedActions(managed) {
+  return ['riskActions', 'platformRiskActions', 'categoryRiskActions', 'unscannableAction', 'minConfidence', 'allowOverride']
+    .some(key => managed?.[key] !== undefined);
+}
+
+/**
+ * Settings the user can't change because the managed policy decides them
+ * With a managed upload policy, scanning can't be switched off - globally or
+ * per platform - and blocking follows the policy instead of the toggle.
+ */
+function lockedSettings(managed) {
+  const locked = [];
+  if (managed?.backendUrl) locked.push('backendUrl');
+  if (hasManagedActions(managed)) locked.push('enabled', 'blockUploads', 'platforms');
+  return locked;
+}
+
+/**
+ * Where the backend API lives for the given settings
+ */
+function apiBaseUrl(settings) {
+  return `${(settings.backendUrl || DEFAULT_BACKEND_URL).replace(/\/+$/, '')}/api`;
+}